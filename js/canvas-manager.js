@@ -32,21 +32,35 @@ class CanvasManager {
 
         this.backgroundImage = null;
         this.lastLoadedBg = null; // Track loaded bg to avoid loops
+        this.savingBgLayoutId = null; // Layout whose new background is still being written to the blob store
         this.lastLayoutId = null;
+        this.gestureOpen = false; // History batch of a drag/resize/rotate is open
+
+        // Sharp re-rendering of PDF backgrounds when zoomed in
+        this.pdfTiles = new PdfTileRenderer(() => this.draw());
+        this.lastLoadedPdf = null; // "key#page" of the PDF page loaded into pdfTiles
+        this.pdfDocuments = new Map(); // key -> Promise<PDFDocumentProxy>
+
+        // Vector drawing of DXF backgrounds
+        this.dxfScene = null; // Visible layers of the active layout's DXF, see buildDxfScene
+        this.lastLoadedDxf = null; // "key|hidden layers" the scene was built for
+        this.dxfDocuments = new Map(); // key -> Promise<flattened items>
+        this.renderTarget = null; // { layout, filters } drawn instead of the active layout while exporting
+        this.pdfRasters = new WeakMap(); // background image -> { quality, data } JPEG for PDF export
+
+        this.snapEngine = new SnapEngine(); // Snapping of drawn points and dragged vertices
         
         this.clipboard = []; // For copy/paste
         this.contextMenu = document.getElementById('context-menu');
 
         // Debounced save function for view state
         this.saveViewStateDebounced = debounce(() => {
-            this.dataManager.updateActiveLayout({
-                scale: this.scale,
-                pan: { x: this.offsetX, y: this.offsetY }
-            });
+            this.dataManager.setLayoutView(this.scale, { x: this.offsetX, y: this.offsetY });
         }, 500);
 
         // Subscribe to state changes
         this.dataManager.subscribe(this.handleStateChange.bind(this));
+        this.dataManager.setThumbnailProvider(() => this.createThumbnail());
 
         this.initEventListeners();
         this.resizeCanvas();
@@ -60,19 +74,9 @@ class CanvasManager {
             this.offsetY = activeLayout.pan ? activeLayout.pan.y : 0;
             this.uiManager.updateZoomLevel(Math.round(this.scale * 100));
             
-            const savedBg = activeLayout.backgroundImage;
-            if (savedBg) {
-                this.lastLoadedBg = savedBg;
-                const img = new Image();
-                img.onload = () => {
-                    this.setBackground(img, false);
-                };
-                img.onerror = (e) => {
-                    console.error("Failed to load initial background", e);
-                    this.lastLoadedBg = null;
-                };
-                img.src = savedBg;
-            }
+            this.loadBackground(activeLayout);
+            this.loadPdfSource(activeLayout);
+            this.loadDxfSource(activeLayout);
         }
 
         // Subscribe to data changes to redraw
@@ -90,29 +94,10 @@ class CanvasManager {
                 this.uiManager.updateZoomLevel(Math.round(this.scale * 100));
             }
 
-            const currentBg = currentLayout.backgroundImage;
-
             // Check if background image changed (e.g. import or layout switch)
-            if (currentBg && currentBg !== this.lastLoadedBg) {
-                console.log(`Loading background for layout ${currentLayout.id}...`);
-                this.lastLoadedBg = currentBg;
-                const img = new Image();
-                img.onload = () => {
-                    console.log(`Background loaded for layout ${currentLayout.id}`);
-                    this.setBackground(img, false);
-                };
-                img.onerror = (e) => {
-                    console.error(`Failed to load background for layout ${currentLayout.id}`, e);
-                    // Reset lastLoadedBg so we can try again if needed, or at least we know it failed
-                    this.lastLoadedBg = null; 
-                };
-                img.src = currentBg;
-            } else if (!currentBg && this.backgroundImage) {
-                // Layout has no background, clear it
-                this.backgroundImage = null;
-                this.lastLoadedBg = null;
-                document.getElementById('empty-state').style.display = 'flex';
-            }
+            this.loadBackground(currentLayout);
+            this.loadPdfSource(currentLayout);
+            this.loadDxfSource(currentLayout);
             
             this.draw();
         });
@@ -196,6 +181,7 @@ class CanvasManager {
         if (this.clipboard && this.clipboard.length > 0) {
             this.clearSelection();
             
+            this.dataManager.beginBatch('histPaste', { count: this.clipboard.length });
             this.clipboard.forEach(item => {
                 const newZone = JSON.parse(JSON.stringify(item));
                 newZone.id = generateUUID();
@@ -219,6 +205,7 @@ class CanvasManager {
                 this.dataManager.addZone(newZone);
                 this.addToSelection(newZone.id);
             });
+            this.dataManager.endBatch();
             
             this.draw();
         }
@@ -301,8 +288,6 @@ class CanvasManager {
     bringToFront() {
         if (this.selectedZoneIds.size === 0) return;
         
-        this.dataManager.saveState();
-
         const layout = this.dataManager.getActiveLayout();
         const zones = layout.zones;
         const selected = [];
@@ -317,15 +302,13 @@ class CanvasManager {
         });
         
         const newOrder = [...others, ...selected];
-        this.dataManager.updateActiveLayout({ zones: newOrder });
+        this.dataManager.updateActiveLayout({ zones: newOrder }, 'histBringToFront');
         this.draw();
     }
 
     sendToBack() {
         if (this.selectedZoneIds.size === 0) return;
         
-        this.dataManager.saveState();
-
         const layout = this.dataManager.getActiveLayout();
         const zones = layout.zones;
         const selected = [];
@@ -340,7 +323,7 @@ class CanvasManager {
         });
         
         const newOrder = [...selected, ...others];
-        this.dataManager.updateActiveLayout({ zones: newOrder });
+        this.dataManager.updateActiveLayout({ zones: newOrder }, 'histSendToBack');
         this.draw();
     }
 
@@ -370,10 +353,41 @@ class CanvasManager {
         };
     }
 
+    getSnapSettings() {
+        const settings = this.dataManager.getState().projectSettings || {};
+        return { ...DEFAULT_SNAP_SETTINGS, ...settings.snap };
+    }
+
+    /**
+     * Cursor position pulled onto nearby zone geometry or the grid, see SnapEngine.
+     * Holding Alt places the point freely.
+     * @param {{zoneId: string, vertexIndex?: number}} [exclude] - Zone (or vertex) being edited
+     */
+    getSnappedPos(e, pos, exclude = null) {
+        const settings = this.getSnapSettings();
+        const layout = this.dataManager.getActiveLayout();
+        if (!settings.enabled || e.altKey || !layout) {
+            this.snapEngine.clear();
+            return pos;
+        }
+
+        const snapped = this.snapEngine.snap(pos, {
+            zones: this.getVisibleZones(),
+            settings,
+            tolerance: 10 / this.scale,
+            gridSize: settings.gridSize * (layout.calibrationScale || 50),
+            origin: getLayoutOrigin(layout),
+            extraPoints: this.polyPoints,
+            exclude
+        });
+        return snapped ? { x: snapped.x, y: snapped.y } : pos;
+    }
+
     // --- Input Handling ---
 
     handleMouseDown(e) {
-        const pos = this.getMousePos(e);
+        let pos = this.getMousePos(e);
+        if (SNAP_TOOLS.includes(this.activeTool) && !(e.shiftKey && this.isDrawing)) pos = this.getSnappedPos(e, pos);
         
         if (this.isSizingSymbol && this.tempZone) {
             // Commit Symbol Placement
@@ -411,6 +425,13 @@ class CanvasManager {
             return;
         }
 
+        if (this.activeTool === 'origin') {
+            this.dataManager.updateActiveLayout({ origin: { x: pos.x, y: pos.y } }, 'histSetOrigin');
+            this.setTool('select');
+            this.draw();
+            return;
+        }
+
         this.startPos = pos;
 
         if (this.activeTool === 'calibrate') {
@@ -484,7 +505,7 @@ class CanvasManager {
                 
                 if (this.resizeHandle === 'rotate') {
                     this.isRotating = true;
-                    this.dataManager.saveState();
+                    this.beginGesture('histRotateZone', zone);
                     return;
                 }
 
@@ -549,7 +570,7 @@ class CanvasManager {
                 
                 if (this.resizeHandle !== null) {
                     this.isResizing = true;
-                    this.dataManager.saveState();
+                    this.beginGesture('histResizeZone', zone);
                     return;
                 }
             }
@@ -573,7 +594,7 @@ class CanvasManager {
                     }
                 }
                 this.isDragging = true;
-                this.dataManager.saveState();
+                this.beginGesture('histMoveZones', clickedZone);
             } else {
                 if (!e.shiftKey) {
                     this.clearSelection();
@@ -617,9 +638,11 @@ class CanvasManager {
         if (this.selectedZoneIds.size === 0) return;
         
         if (confirm(this.uiManager.t('confirmDeleteZone'))) {
+            this.dataManager.beginBatch('histDeleteZones', { count: this.selectedZoneIds.size });
             this.selectedZoneIds.forEach(id => {
                 this.dataManager.deleteZone(id);
             });
+            this.dataManager.endBatch();
             this.clearSelection();
             this.draw();
         }
@@ -627,9 +650,29 @@ class CanvasManager {
 
     handleMouseMove(e) {
         let pos = this.getMousePos(e);
+        const previousSnap = this.snapEngine.indicator;
+
+        // Axis locking with Shift wins over snapping
+        const isAxisLocked = e.shiftKey && this.isDrawing;
+        if (SNAP_TOOLS.includes(this.activeTool) && !isAxisLocked) {
+            pos = this.getSnappedPos(e, pos);
+        } else if (this.isResizing && this.selectedZoneIds.size === 1) {
+            // The dragged vertex or handle must not snap to itself
+            const zoneId = Array.from(this.selectedZoneIds)[0];
+            const vertexIndex = typeof this.resizeHandle === 'number' ? this.resizeHandle : undefined;
+            pos = this.getSnappedPos(e, pos, { zoneId, vertexIndex });
+        } else {
+            this.snapEngine.clear();
+        }
+
+        // Snap indicator follows the cursor before the first click too
+        const snap = this.snapEngine.indicator;
+        if (!this.isDrawing && (snap ? !previousSnap || snap.x !== previousSnap.x || snap.y !== previousSnap.y : previousSnap)) {
+            this.draw();
+        }
 
         // Axis Locking with Shift
-        if (e.shiftKey && this.isDrawing) {
+        if (isAxisLocked) {
             let anchor = null;
             
             if (this.activeTool === 'poly' || this.activeTool === 'cloud' || this.activeTool === 'measure-area' || this.activeTool === 'draw-poly') {
@@ -707,7 +750,7 @@ class CanvasManager {
             this.dataManager.updateZone({
                 ...zone,
                 rotation: rotation
-            }, false);
+            });
         } else if (this.isDragging && this.selectedZoneIds.size > 0) {
             const dx = pos.x - this.startPos.x;
             const dy = pos.y - this.startPos.y;
@@ -728,7 +771,7 @@ class CanvasManager {
                         y: zone.y + dy
                     };
                 }
-                this.dataManager.updateZone(updatedZone, false);
+                this.dataManager.updateZone(updatedZone);
             });
             
             this.startPos = pos; // Reset start pos for continuous drag
@@ -780,7 +823,7 @@ class CanvasManager {
                     
                     this.dataManager.updateActiveLayout({
                         calibrationScale: pixelsPerMeter
-                    });
+                    }, 'histCalibrate');
                     
                     alert(`${this.uiManager.t('calibrationSaved')}: ${pixelsPerMeter.toFixed(2)} px/m`);
                 }
@@ -901,6 +944,7 @@ class CanvasManager {
             this.saveViewStateDebounced();
         }
 
+        this.endGesture();
         this.isDragging = false;
         this.isResizing = false;
         this.isRotating = false;
@@ -909,6 +953,19 @@ class CanvasManager {
         this.draw();
     }
 
+    // A drag, resize or rotation becomes one history entry, opened on mouse down and closed on mouse up
+    beginGesture(labelKey, zone) {
+        this.endGesture(); // Mouse up outside the canvas never reached handleMouseUp
+        this.dataManager.beginBatch(labelKey, { name: zone.name || '', count: this.selectedZoneIds.size });
+        this.gestureOpen = true;
+    }
+
+    endGesture() {
+        if (!this.gestureOpen) return;
+        this.gestureOpen = false;
+        this.dataManager.endBatch();
+    }
+
     handleWheel(e) {
         e.preventDefault();
         const zoomIntensity = 0.1;
@@ -965,10 +1022,11 @@ class CanvasManager {
 
     setTool(tool) {
         this.activeTool = tool;
-        this.canvas.style.cursor = (tool === 'draw' || tool === 'poly' || tool === 'cloud') ? 'crosshair' : 'default';
+        this.canvas.style.cursor = (tool === 'draw' || tool === 'poly' || tool === 'cloud' || tool === 'origin') ? 'crosshair' : 'default';
         this.uiManager.updateToolState(tool);
         this.polyPoints = []; // Reset poly points if switching tools
         this.isDrawing = false;
+        this.snapEngine.clear();
     }
 
     getZoneAt(pos) {
@@ -1130,9 +1188,9 @@ class CanvasManager {
     resizeZone(zone, pos) {
         if (zone.type === 'measure-length' || zone.type === 'calibration-line' || zone.type === 'arrow' || zone.type === 'line') {
             if (this.resizeHandle === 'start') {
-                this.dataManager.updateZone({ ...zone, x: pos.x, y: pos.y }, false);
+                this.dataManager.updateZone({ ...zone, x: pos.x, y: pos.y });
             } else if (this.resizeHandle === 'end') {
-                this.dataManager.updateZone({ ...zone, x2: pos.x, y2: pos.y }, false);
+                this.dataManager.updateZone({ ...zone, x2: pos.x, y2: pos.y });
             }
             return;
         }
@@ -1160,7 +1218,7 @@ class CanvasManager {
                     y: newY,
                     height: newHeight,
                     width: zone.width // Keep width or recalculate if linked? Text width might change if font changed, but we removed that.
-                }, false);
+                });
             }
             return;
         }
@@ -1182,7 +1240,7 @@ class CanvasManager {
                     ...zone,
                     points: newPoints,
                     x, y, width, height
-                }, false);
+                });
             }
         } else {
             let newX = zone.x;
@@ -1215,7 +1273,7 @@ class CanvasManager {
                     y: newY,
                     width: newW,
                     height: newH
-                }, false);
+                });
             }
         }
     }
@@ -1286,48 +1344,231 @@ class CanvasManager {
 
     // --- Rendering ---
 
-    setBackground(imageOrCanvas, saveToState = true) {
+    loadBackground(layout) {
+        // Layouts that have not been migrated yet may still carry an inline data URL
+        const currentBg = layout.backgroundRef || layout.backgroundImage || null;
+
+        if (!currentBg) {
+            if (layout.id === this.savingBgLayoutId) return;
+            if (this.backgroundImage) {
+                // Layout has no background, clear it
+                this.backgroundImage = null;
+                document.getElementById('empty-state').style.display = 'flex';
+            }
+            this.lastLoadedBg = null;
+            return;
+        }
+        if (currentBg === this.lastLoadedBg) return;
+
+        console.log(`Loading background for layout ${layout.id}...`);
+        this.lastLoadedBg = currentBg;
+
+        const urlPromise = layout.backgroundRef
+            ? this.dataManager.loadBlob(currentBg).then(blob => {
+                if (!blob) throw new Error(`Background ${currentBg} not found`);
+                return URL.createObjectURL(blob);
+            })
+            : Promise.resolve(currentBg);
+
+        urlPromise.then(url => {
+            const img = new Image();
+            img.onload = () => {
+                if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                // Layout may have been switched while loading
+                if (this.lastLoadedBg !== currentBg) return;
+                console.log(`Background loaded for layout ${layout.id}`);
+                this.setBackground(img, false);
+            };
+            img.onerror = (e) => {
+                if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                console.error(`Failed to load background for layout ${layout.id}`, e);
+                // Reset lastLoadedBg so we can try again if needed, or at least we know it failed
+                this.lastLoadedBg = null;
+            };
+            img.src = url;
+        }).catch(e => {
+            console.error(`Failed to load background for layout ${layout.id}`, e);
+            this.lastLoadedBg = null;
+        });
+    }
+
+    loadPdfSource(layout) {
+        const source = layout.backgroundPdf;
+        const sourceId = source ? `${source.key}#${source.pageNumber}` : null;
+        if (sourceId === this.lastLoadedPdf) return;
+
+        this.lastLoadedPdf = sourceId;
+        this.pdfTiles.clear();
+        if (!source) return;
+
+        if (!this.pdfDocuments.has(source.key)) {
+            this.pdfDocuments.set(source.key, this.dataManager.loadPdfSource(source.key).then(bytes => {
+                if (!bytes) throw new Error(`PDF source ${source.key} not found`);
+                // pdf.js detaches the buffer it is given, so hand it a copy
+                return pdfjsLib.getDocument({ data: bytes.slice() }).promise;
+            }));
+        }
+
+        this.pdfDocuments.get(source.key)
+            .then(pdf => pdf.getPage(source.pageNumber))
+            .then(page => {
+                // Layout may have been switched while loading
+                if (this.lastLoadedPdf !== sourceId) return;
+                this.pdfTiles.setPage(page, source.renderScale || 1.5);
+                this.draw();
+            })
+            .catch(e => {
+                console.error(`Failed to load PDF source for layout ${layout.id}`, e);
+                this.pdfDocuments.delete(source.key);
+            });
+    }
+
+    loadDxfSource(layout) {
+        const source = layout.backgroundDxf;
+        const sourceId = source ? [source.key, ...(source.hiddenLayers || [])].join('|') : null;
+        if (sourceId === this.lastLoadedDxf) return;
+
+        this.lastLoadedDxf = sourceId;
+        this.dxfScene = null;
+        if (!source) return;
+
+        this.loadDxfItems(source.key)
+            .then(items => {
+                // Layout may have been switched while loading
+                if (this.lastLoadedDxf !== sourceId) return;
+                this.dxfScene = buildDxfScene(items, source, source.hiddenLayers);
+                this.draw();
+            })
+            .catch(e => console.error(`Failed to load DXF source for layout ${layout.id}`, e));
+    }
+
+    // Parsed and flattened DXF, shared by the layouts and exports that use it
+    loadDxfItems(key) {
+        if (!this.dxfDocuments.has(key)) {
+            const items = this.dataManager.loadDxfSource(key).then(text => {
+                if (text === null) throw new Error(`DXF source ${key} not found`);
+                return flattenDxf(parseDxf(text));
+            });
+            items.catch(() => this.dxfDocuments.delete(key));
+            this.dxfDocuments.set(key, items);
+        }
+        return this.dxfDocuments.get(key);
+    }
+
+    // Scene of a layout that is not necessarily on screen, null without DXF background
+    async loadDxfScene(layout) {
+        if (!layout || !layout.backgroundDxf) return null;
+        try {
+            const items = await this.loadDxfItems(layout.backgroundDxf.key);
+            return buildDxfScene(items, layout.backgroundDxf, layout.backgroundDxf.hiddenLayers);
+        } catch (e) {
+            console.error("Failed to load DXF source for export", e);
+            return null;
+        }
+    }
+
+    /**
+     * Use a DXF drawing as background of the active layout. Its raster is stored like an image
+     * background and defines the canvas coordinates, the vectors are drawn on top of it.
+     * Also used to change the visible layers, then the view is kept.
+     * @param {Object} source - backgroundDxf: { key, units, hiddenLayers } and the placement from getDxfPlacement
+     * @param {Array|null} items - The flattened drawing if already read, see flattenDxf
+     */
+    async setDxfBackground(source, keepView = false, items = null) {
+        if (items) this.dxfDocuments.set(source.key, Promise.resolve(items));
+        else items = await this.loadDxfItems(source.key);
+        const canvas = document.createElement('canvas');
+        canvas.width = source.width;
+        canvas.height = source.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        drawDxfScene(ctx, buildDxfScene(items, source, source.hiddenLayers), 1);
+        await this.setBackground(canvas, true, { dxf: source, keepView });
+    }
+
+    // Show only the DXF layers not in `hiddenLayers` on the active layout
+    async setDxfLayers(hiddenLayers) {
+        const layout = this.dataManager.getActiveLayout();
+        if (!layout || !layout.backgroundDxf) return;
+        await this.setDxfBackground({ ...layout.backgroundDxf, hiddenLayers }, true);
+    }
+
+    /**
+     * @param {HTMLImageElement|HTMLCanvasElement} imageOrCanvas
+     * @param {boolean} saveToState - Store the background in the blob store and reference it from the layout
+     * @param {Object} source - { blob, pdf, dxf, keepView } the original file (stored instead of a
+     *                          re-encoded PNG), the PDF page or DXF it was rendered from, and
+     *                          whether to keep the zoom instead of fitting the new background
+     */
+    async setBackground(imageOrCanvas, saveToState = true, source = {}) {
+        const layoutId = this.dataManager.getState().activeLayoutId;
         this.backgroundImage = imageOrCanvas;
-        
-        // Calculate scale to fit
-        const scaleX = this.canvas.width / imageOrCanvas.width;
-        const scaleY = this.canvas.height / imageOrCanvas.height;
-        this.scale = Math.min(scaleX, scaleY) * 0.9; // 90% fit
-        
-        // Update UI zoom level
-        this.uiManager.updateZoomLevel(Math.round(this.scale * 100));
 
-        // Center image
-        this.offsetX = (this.canvas.width - imageOrCanvas.width * this.scale) / 2;
-        this.offsetY = (this.canvas.height - imageOrCanvas.height * this.scale) / 2;
-        
+        if (!source.keepView) {
+            // Calculate scale to fit
+            const scaleX = this.canvas.width / imageOrCanvas.width;
+            const scaleY = this.canvas.height / imageOrCanvas.height;
+            this.scale = Math.min(scaleX, scaleY) * 0.9; // 90% fit
+
+            // Update UI zoom level
+            this.uiManager.updateZoomLevel(Math.round(this.scale * 100));
+
+            // Center image
+            this.offsetX = (this.canvas.width - imageOrCanvas.width * this.scale) / 2;
+            this.offsetY = (this.canvas.height - imageOrCanvas.height * this.scale) / 2;
+        }
+
         this.draw();
         
         // Hide empty state
         document.getElementById('empty-state').style.display = 'none';
 
         if (saveToState) {
+            this.savingBgLayoutId = layoutId;
             try {
-                let dataUrl;
-                if (imageOrCanvas instanceof HTMLCanvasElement) {
-                    dataUrl = imageOrCanvas.toDataURL();
-                } else {
-                    const canvas = document.createElement('canvas');
-                    canvas.width = imageOrCanvas.width;
-                    canvas.height = imageOrCanvas.height;
-                    const ctx = canvas.getContext('2d');
-                    ctx.drawImage(imageOrCanvas, 0, 0);
-                    dataUrl = canvas.toDataURL();
+                let blob = source.blob;
+                if (!blob) {
+                    let canvas = imageOrCanvas;
+                    if (!(imageOrCanvas instanceof HTMLCanvasElement)) {
+                        canvas = document.createElement('canvas');
+                        canvas.width = imageOrCanvas.width;
+                        canvas.height = imageOrCanvas.height;
+                        const ctx = canvas.getContext('2d');
+                        ctx.drawImage(imageOrCanvas, 0, 0);
+                    }
+                    blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+                }
+                const ref = await this.dataManager.saveBlob(blob);
+                if (this.dataManager.getState().activeLayoutId === layoutId) {
+                    this.lastLoadedBg = ref; // Update tracker so we don't reload it
                 }
-                this.dataManager.setBackgroundImage(dataUrl);
-                this.lastLoadedBg = dataUrl; // Update tracker so we don't reload it
+                this.dataManager.setBackgroundRef(ref, { pdf: source.pdf, dxf: source.dxf }, layoutId);
             } catch (e) {
                 console.error("Failed to save background image to state", e);
+            } finally {
+                this.savingBgLayoutId = null;
             }
         }
     }
 
-    draw(isExport = false) {
+    // Small JPEG of what is currently on screen, used in the project library
+    createThumbnail(maxSize = 240) {
+        if (!this.backgroundImage || !this.canvas.width || !this.canvas.height) return null;
+
+        const ratio = Math.min(maxSize / this.canvas.width, maxSize / this.canvas.height);
+        const thumb = document.createElement('canvas');
+        thumb.width = Math.round(this.canvas.width * ratio);
+        thumb.height = Math.round(this.canvas.height * ratio);
+
+        const ctx = thumb.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, thumb.width, thumb.height);
+        ctx.drawImage(this.canvas, 0, 0, thumb.width, thumb.height);
+        return thumb.toDataURL('image/jpeg', 0.7);
+    }
+
+    draw(isExport = false, drawBackground = true) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
@@ -1337,10 +1578,28 @@ class CanvasManager {
             this.ctx.scale(this.scale, this.scale);
 
             // Draw Background
-            if (this.backgroundImage) {
+            if (this.backgroundImage && drawBackground && this.dxfScene) {
+                // DXF vectors instead of their raster, sharp at any zoom
+                this.ctx.fillStyle = '#ffffff';
+                this.ctx.fillRect(0, 0, this.backgroundImage.width, this.backgroundImage.height);
+                drawDxfScene(this.ctx, this.dxfScene, 1 / this.scale);
+            } else if (this.backgroundImage && drawBackground) {
                 this.ctx.drawImage(this.backgroundImage, 0, 0);
+
+                // Sharper tiles on top of the base raster where available
+                if (!isExport) {
+                    this.pdfTiles.draw(this.ctx, {
+                        scale: this.scale,
+                        offsetX: this.offsetX,
+                        offsetY: this.offsetY,
+                        width: this.canvas.width,
+                        height: this.canvas.height
+                    });
+                }
             }
 
+            if (!isExport) this.drawSnapGrid();
+
             // Draw Zones
             const zones = this.getVisibleZones();
             
@@ -1352,6 +1611,8 @@ class CanvasManager {
                 }
             });
 
+            if (!isExport) this.drawLayoutOrigin();
+
             // Draw Temp Zone (while drawing rect)
             if ((this.activeTool === 'draw' || this.activeTool === 'text' || this.activeTool === 'draw-rect') && this.isDrawing && this.tempZone) {
                 this.ctx.fillStyle = 'rgba(37, 99, 235, 0.3)';
@@ -1477,6 +1738,8 @@ class CanvasManager {
                 this.ctx.lineWidth = 1 / this.scale;
                 this.ctx.strokeRect(this.tempZone.x, this.tempZone.y, this.tempZone.width, this.tempZone.height);
             }
+
+            if (!isExport) this.snapEngine.drawIndicator(this.ctx, this.scale);
         } catch (e) {
             console.error("Critical error in draw loop:", e);
         } finally {
@@ -1485,6 +1748,9 @@ class CanvasManager {
     }
 
     createHatchPattern(type, color, opacity) {
+        // Vector contexts (PDF export) draw the hatch lines themselves
+        if (this.ctx.createHatch) return this.ctx.createHatch(type, color, opacity);
+
         // Create a small canvas for the pattern
         const patternCanvas = document.createElement('canvas');
         const size = 20; // Pattern tile size
@@ -1549,6 +1815,67 @@ class CanvasManager {
         return this.ctx.createPattern(patternCanvas, 'repeat');
     }
 
+    // Dots of the snap grid in view, hidden when they would be too dense to read
+    drawSnapGrid() {
+        const settings = this.getSnapSettings();
+        const layout = this.getRenderLayout();
+        if (!layout || !settings.enabled || !settings.grid || !(settings.gridSize > 0)) return;
+        const spacing = settings.gridSize * (layout.calibrationScale || 50);
+        if (spacing * this.scale < 8) return;
+
+        const origin = getLayoutOrigin(layout);
+        const left = -this.offsetX / this.scale;
+        const top = -this.offsetY / this.scale;
+        const right = left + this.canvas.width / this.scale;
+        const bottom = top + this.canvas.height / this.scale;
+        const size = 1.5 / this.scale;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(100, 116, 139, 0.6)';
+        this.ctx.beginPath();
+        for (let x = origin.x + Math.ceil((left - origin.x) / spacing) * spacing; x <= right; x += spacing) {
+            for (let y = origin.y + Math.ceil((top - origin.y) / spacing) * spacing; y <= bottom; y += spacing) {
+                this.ctx.rect(x - size, y - size, size * 2, size * 2);
+            }
+        }
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
+    // Axes at the origin of the GeoJSON and DXF coordinates, x east (red) and y north (green)
+    drawLayoutOrigin() {
+        const layout = this.getRenderLayout();
+        if (!layout || !layout.origin) return;
+        const { x, y } = layout.origin;
+        const length = 30 / this.scale;
+        const head = 6 / this.scale;
+
+        this.ctx.save();
+        this.ctx.setLineDash([]);
+        this.ctx.lineWidth = 2 / this.scale;
+        [['#DC2626', 1, 0], ['#16A34A', 0, -1]].forEach(([color, dx, dy]) => {
+            const endX = x + dx * length;
+            const endY = y + dy * length;
+            this.ctx.strokeStyle = color;
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, y);
+            this.ctx.lineTo(endX, endY);
+            this.ctx.stroke();
+            this.ctx.beginPath();
+            this.ctx.moveTo(endX + dx * head, endY + dy * head);
+            this.ctx.lineTo(endX - dy * head, endY + dx * head);
+            this.ctx.lineTo(endX + dy * head, endY - dx * head);
+            this.ctx.closePath();
+            this.ctx.fill();
+        });
+        this.ctx.fillStyle = '#000000';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, 3 / this.scale, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+    }
+
     drawZone(zone, isExport = false) {
         const isSelected = this.selectedZoneIds.has(zone.id);
         const state = this.dataManager.getState();
@@ -1685,6 +2012,7 @@ class CanvasManager {
 
                         const svgBlob = new Blob([svgString], {type: 'image/svg+xml;charset=utf-8'});
                         const url = URL.createObjectURL(svgBlob);
+                        img.svgSource = svgString; // Embedded as vector by the SVG export
                         img.src = url;
                         img.onload = () => this.draw(); // Redraw when loaded
                         img.onerror = () => console.error(`Failed to load symbol: ${symbolDef.name}`);
@@ -1803,7 +2131,7 @@ class CanvasManager {
                 const dy = zone.y2 - zone.y;
                 const distPixels = Math.sqrt(dx*dx + dy*dy);
                 
-                const layout = this.dataManager.getActiveLayout();
+                const layout = this.getRenderLayout();
                 const scale = layout.calibrationScale || 50; // Default 50px/m
                 const distMeters = distPixels / scale;
                 
@@ -1941,18 +2269,8 @@ class CanvasManager {
             this.ctx.stroke();
 
             if (zone.type === 'measure-area' && zone.points && zone.points.length > 2) {
-                // Calculate Area
-                let area = 0;
-                for (let i = 0; i < zone.points.length; i++) {
-                    const p1 = zone.points[i];
-                    const p2 = zone.points[(i + 1) % zone.points.length];
-                    area += (p1.x * p2.y - p2.x * p1.y);
-                }
-                area = Math.abs(area / 2);
-                
-                const layout = this.dataManager.getActiveLayout();
-                const scale = layout.calibrationScale || 50;
-                const areaMeters = area / (scale * scale);
+                const layout = this.getRenderLayout();
+                const areaMeters = getZoneAreaMeters(zone, layout.calibrationScale);
                 
                 // Draw Label
                 // Calculate centroid
@@ -2189,6 +2507,12 @@ class CanvasManager {
             this.drawConnectionIndicator(zone, renderScale);
         }
 
+        // Linked activities that were removed from the schedule, left of the checkmark if both are shown
+        const hasWarnings = zone.customData && zone.customData._activityWarnings && zone.customData._activityWarnings.length > 0;
+        if (hasWarnings) {
+            this.drawWarningIndicator(zone, renderScale, (hasLegacy || hasMulti) ? 1 : 0);
+        }
+
         // Draw Resize Handles if selected
         if (isSelected) {
             this.drawResizeHandles(zone);
@@ -2218,6 +2542,35 @@ class CanvasManager {
         this.ctx.stroke();
     }
 
+    drawWarningIndicator(zone, renderScale = null, slot = 0) {
+        const scale = renderScale || this.scale;
+        const size = 16 / scale;
+        const padding = 4 / scale;
+        const x = zone.x + zone.width - (size + padding) * (slot + 1);
+        const y = zone.y + padding;
+
+        // Triangle background
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + size / 2, y);
+        this.ctx.lineTo(x + size, y + size);
+        this.ctx.lineTo(x, y + size);
+        this.ctx.closePath();
+        this.ctx.fillStyle = '#F59E0B'; // Warning amber
+        this.ctx.fill();
+
+        // Exclamation mark
+        this.ctx.beginPath();
+        this.ctx.moveTo(x + size / 2, y + size * 0.35);
+        this.ctx.lineTo(x + size / 2, y + size * 0.68);
+        this.ctx.strokeStyle = 'white';
+        this.ctx.lineWidth = 2 / scale;
+        this.ctx.stroke();
+        this.ctx.beginPath();
+        this.ctx.arc(x + size / 2, y + size * 0.83, 1.2 / scale, 0, Math.PI * 2);
+        this.ctx.fillStyle = 'white';
+        this.ctx.fill();
+    }
+
     drawResizeHandles(zone) {
         const handleSize = 8 / this.scale;
         this.ctx.fillStyle = 'white';
@@ -2453,7 +2806,7 @@ class CanvasManager {
             const zone = this.getZoneAt(pos);
             if (zone) {
                 // Map Excel data to Zone
-                let connectedActivities = zone.customData._connectedActivities || [];
+                let connectedActivities = [...(zone.customData._connectedActivities || [])];
                 
                 // Migration: Check for legacy single activity
                 if (zone.customData._activityCode && !connectedActivities.some(a => a.code === zone.customData._activityCode)) {
@@ -2515,7 +2868,9 @@ class CanvasManager {
                 // Update status based on dates (simple logic)
                 // Could be expanded later
                 
+                this.dataManager.beginBatch('histConnectActivity', { name: data.title });
                 this.dataManager.updateZone({ ...zone, ...updates });
+                this.dataManager.endBatch();
                 this.uiManager.selectZone(zone.id); // Refresh UI
                 
                 // Visual feedback
@@ -2526,12 +2881,17 @@ class CanvasManager {
         }
     }
 
+    // Layout being drawn, the active one unless an export renders another layout
+    getRenderLayout() {
+        return this.renderTarget ? this.renderTarget.layout : this.dataManager.getActiveLayout();
+    }
+
     getVisibleZones() {
-        const activeLayout = this.dataManager.getActiveLayout();
+        const activeLayout = this.getRenderLayout();
         if (!activeLayout) return [];
         
         const zones = activeLayout.zones || [];
-        const filters = this.dataManager.getState().filters;
+        const filters = this.renderTarget ? this.renderTarget.filters : this.dataManager.getState().filters;
         
         if (!filters) return zones;
 
@@ -2691,107 +3051,621 @@ class CanvasManager {
         }
     }
 
-    exportPdf(quality = 0.8, filename = 'Zone_Planner-export') {
+    /**
+     * Export the active layout as a vector PDF: zones, labels, legend and week box are paths
+     * and text. PDF backgrounds keep their original page (via pdf-lib), image backgrounds are
+     * embedded as JPEG at `quality`.
+     * @param {Object|null} template - Sheet template (see sheet-template.js), null keeps the plan size
+     * @param {string|null} zoneTable - 'panel' or 'pages' to add the zone table (see zone-table.js)
+     */
+    exportPdf(quality = 0.8, filename = 'Zone_Planner-export', template = null, zoneTable = null) {
         if (!this.backgroundImage) {
             alert(this.uiManager.t('uploadLayoutPrompt'));
             return;
         }
 
+        const performExport = async () => {
+            try {
+                const layout = this.dataManager.getActiveLayout();
+                const pdfBackground = await this.loadPdfBackground(layout);
+                const logo = await this.loadSheetLogo(template);
+                const page = { layout, image: this.backgroundImage, pdfBackground, dxfScene: this.dxfScene, template, logo, zoneTable };
+                await this.saveExportFile(await this.renderPdfPages([page], quality), filename);
+            } catch (e) {
+                console.error("PDF Export failed:", e);
+                alert("PDF Export failed. See console for details.");
+            }
+        };
+
+        performExport();
+    }
+
+    /**
+     * One PDF with a page per layout, or per layout and week. Week pages replace the week
+     * filter with that week, the other filters stay as they are.
+     * @param {string[]} layoutIds - Layouts in page order, layouts without background are skipped
+     * @param {number[]|null} weeks - Week numbers, null for one page per layout with the current filters
+     */
+    async exportPdfBatch(layoutIds, weeks, quality = 0.8, filename = 'Zone_Planner-export', template = null, zoneTable = null) {
+        try {
+            const state = this.dataManager.getState();
+            const pdfSources = new Map();
+            const logo = await this.loadSheetLogo(template);
+            const pages = [];
+
+            for (const layoutId of layoutIds) {
+                const layout = state.layouts.find(l => l.id === layoutId);
+                if (!layout) continue;
+                const image = layout.id === state.activeLayoutId && this.backgroundImage
+                    ? this.backgroundImage
+                    : await this.loadLayoutImage(layout);
+                if (!image) continue;
+                const pdfBackground = await this.loadPdfBackground(layout, pdfSources);
+                const dxfScene = await this.loadDxfScene(layout);
+
+                if (!weeks) {
+                    pages.push({ layout, image, pdfBackground, dxfScene, template, logo, zoneTable, header: layout.name, showWeekFilter: true });
+                    continue;
+                }
+                weeks.forEach(week => pages.push({
+                    layout,
+                    image,
+                    pdfBackground,
+                    dxfScene,
+                    template,
+                    logo,
+                    zoneTable,
+                    filters: { ...state.filters, weeks: [week], week: '' },
+                    header: this.uiManager.t('pdfPageHeaderWeek', { layout: layout.name, week })
+                }));
+            }
+
+            if (pages.length === 0) {
+                alert(this.uiManager.t('alertExportNoLayouts'));
+                return;
+            }
+            await this.saveExportFile(await this.renderPdfPages(pages, quality), filename);
+        } catch (e) {
+            console.error("PDF Export failed:", e);
+            alert("PDF Export failed. See console for details.");
+        }
+    }
+
+    /**
+     * Render pages into one PDF and put the original PDF pages behind them.
+     * Falls back to the image backgrounds if the PDF pages cannot be embedded.
+     * @returns {Promise<Blob>}
+     */
+    async renderPdfPages(pages, quality) {
+        let doc = null;
+        const backgrounds = [];
+        pages.forEach(page => {
+            doc = this.renderPdfPage(doc, page, quality);
+            backgrounds.push(page.pdfBackground
+                ? { ...page.pdfBackground, box: this.getPdfSheet(page).plan }
+                : null);
+            // Zone table pages have no background
+            while (backgrounds.length < doc.getNumberOfPages()) backgrounds.push(null);
+        });
+
+        if (backgrounds.some(Boolean)) {
+            try {
+                const bytes = await addPdfPageBackgrounds(doc.output('arraybuffer'), backgrounds);
+                return new Blob([bytes], { type: 'application/pdf' });
+            } catch (e) {
+                console.error("Could not embed the original PDF pages, using the image backgrounds", e);
+                doc = pages.reduce((doc, page) => this.renderPdfPage(doc, { ...page, pdfBackground: null }, quality), null);
+            }
+        }
+        return doc.output('blob');
+    }
+
+    // Background of a layout that is not on screen, as a loaded image
+    async loadLayoutImage(layout) {
+        const currentBg = layout.backgroundRef || layout.backgroundImage || null;
+        if (!currentBg) return null;
+
+        let url = currentBg;
+        if (layout.backgroundRef) {
+            const blob = await this.dataManager.loadBlob(currentBg);
+            if (!blob) return null;
+            url = URL.createObjectURL(blob);
+        }
+
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = (e) => {
+                if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                console.error(`Failed to load background for layout ${layout.id}`, e);
+                resolve(null);
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Original PDF of the layout background, if it can be embedded instead of the raster.
+     * @param {Map} sources - key -> bytes, shared between layouts from the same PDF
+     */
+    async loadPdfBackground(layout, sources = new Map()) {
+        if (!layout || !layout.backgroundPdf || !window.PDFLib) return null;
+        const { key, pageNumber } = layout.backgroundPdf;
+        try {
+            if (!sources.has(key)) sources.set(key, await this.dataManager.loadPdfSource(key));
+            const bytes = sources.get(key);
+            return bytes ? { bytes, pageNumber } : null;
+        } catch (e) {
+            console.error("Failed to load PDF source for export", e);
+            return null;
+        }
+    }
+
+    // Company logo of a sheet template as a loaded image
+    async loadSheetLogo(template) {
+        if (!template || !template.titleBlock || !template.logoRef) return null;
+        const blob = await db.loadBlob(template.logoRef);
+        if (!blob) return null;
+        const url = URL.createObjectURL(blob);
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(img);
+            };
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            img.src = url;
+        });
+    }
+
+    /**
+     * Page size and plan position of an export page, in points.
+     * Without a template the page is the plan: a PDF background keeps its original page size,
+     * an image background is printed at 96 dpi. A zone table panel widens the page.
+     */
+    getPdfSheet(page) {
+        const { layout, image, pdfBackground = null, template = null } = page;
+        const panelShare = page.zoneTable === 'panel' ? ZONE_TABLE_PANEL_SHARE : 0;
+        if (template) return getSheetLayout(template, image.width, image.height, panelShare);
+
+        const pointsPerPixel = pdfBackground ? 1 / (layout.backgroundPdf.renderScale || 1.5) : 72 / 96;
+        const planWidth = image.width * pointsPerPixel;
+        const height = image.height * pointsPerPixel;
+        const width = planWidth / (1 - panelShare);
+        const pad = getZoneTableRowHeight([width, height]);
+        return {
+            format: [width, height],
+            orientation: width > height ? 'l' : 'p',
+            panel: panelShare > 0
+                ? { x: planWidth + pad, y: pad, width: width - planWidth - pad * 2, height: height - pad * 2 }
+                : null,
+            plan: { x: 0, y: 0, width: planWidth, height },
+            pointsPerPixel
+        };
+    }
+
+    // JPEG of a background image, reused by every page of the layout
+    getPdfRaster(image, quality) {
+        const cached = this.pdfRasters.get(image);
+        if (cached && cached.quality === quality) return cached;
+
+        const raster = document.createElement('canvas');
+        raster.width = image.width;
+        raster.height = image.height;
+        const rasterCtx = raster.getContext('2d');
+        rasterCtx.fillStyle = '#ffffff';
+        rasterCtx.fillRect(0, 0, raster.width, raster.height);
+        rasterCtx.drawImage(image, 0, 0);
+
+        const entry = { quality, data: raster.toDataURL('image/jpeg', quality), alias: generateUUID() };
+        this.pdfRasters.set(image, entry);
+        return entry;
+    }
+
+    /**
+     * Draw a layout on a new page through PdfContext.
+     * A PDF background is left out (the plan area stays transparent) when `pdfBackground` is given.
+     * @param {jsPDF|null} doc - Document to add the page to, null starts a new document
+     * @param {Object} page - { layout, image, pdfBackground, dxfScene, filters, header, showWeekFilter, template, logo, zoneTable }
+     *                        filters default to the current ones, a DXF scene is drawn as paths instead of the image
+     * @returns {jsPDF} the zone table may have added pages after the plan
+     */
+    renderPdfPage(doc, page, quality = 0.8) {
+        const { layout, image, pdfBackground = null, dxfScene = null, filters = null, header = null, template = null, zoneTable = null } = page;
+        const showWeekFilter = page.showWeekFilter !== undefined ? page.showWeekFilter : !header;
+        const width = image.width;
+        const height = image.height;
+        const sheet = this.getPdfSheet(page);
+        const { plan } = sheet;
+
+        if (!doc) {
+            const { jsPDF } = window.jspdf;
+            doc = new jsPDF({ orientation: sheet.orientation, unit: 'pt', format: sheet.format });
+        } else {
+            doc.addPage(sheet.format, sheet.orientation);
+        }
+
+        if (!pdfBackground && !dxfScene) {
+            const raster = this.getPdfRaster(image, quality);
+            doc.addImage(raster.data, 'JPEG', plan.x, plan.y, plan.width, plan.height, raster.alias);
+        }
+
         // Save current state
-        const savedCtx = this.ctx;
-        const savedScale = this.scale;
-        const savedOffsetX = this.offsetX;
-        const savedOffsetY = this.offsetY;
-        const savedCanvas = this.canvas;
+        const saved = {
+            ctx: this.ctx,
+            canvas: this.canvas,
+            scale: this.scale,
+            offsetX: this.offsetX,
+            offsetY: this.offsetY,
+            selectedZoneIds: this.selectedZoneIds,
+            backgroundImage: this.backgroundImage,
+            renderTarget: this.renderTarget
+        };
+        const t = (key, params) => this.uiManager.t(key, params);
 
-        const performExport = async () => {
-             try {
-                const { jsPDF } = window.jspdf;
-                
-                // Create a temporary canvas with the full size of the background
-                const tempCanvas = document.createElement('canvas');
-                tempCanvas.width = this.backgroundImage.width;
-                tempCanvas.height = this.backgroundImage.height;
-                const tempCtx = tempCanvas.getContext('2d');
-                
-                // Swap to temp context and full scale
-                this.ctx = tempCtx;
-                this.canvas = tempCanvas;
-                this.scale = 1;
-                this.offsetX = 0;
-                this.offsetY = 0;
-                
-                // Draw everything
-                // Pass a flag to indicate export mode, so we can adjust font sizes
-                this.draw(true);
+        try {
+            // Full size, no selection handles in the print
+            this.ctx = new PdfContext(doc, sheet.pointsPerPixel, plan.x, plan.y);
+            this.canvas = { width, height };
+            this.scale = 1;
+            this.offsetX = 0;
+            this.offsetY = 0;
+            this.selectedZoneIds = new Set();
+            this.backgroundImage = image;
+            this.renderTarget = { layout, filters: filters || this.dataManager.getState().filters };
+
+            // Zones outside the background stay off the margins and title block
+            this.ctx.save();
+            this.ctx.beginPath();
+            this.ctx.rect(0, 0, width, height);
+            this.ctx.clip();
 
-                // Draw Legend (Top Left)
-                this.drawLegend(tempCtx);
+            if (dxfScene) drawDxfScene(this.ctx, dxfScene, 1);
 
-                // Draw Week Filter (Top Right)
-                this.drawWeekFilter(tempCtx);
-                
-                // Generate PDF
-                const imgData = tempCanvas.toDataURL('image/jpeg', quality);
-                const orientation = tempCanvas.width > tempCanvas.height ? 'l' : 'p';
-                
-                const doc = new jsPDF({
-                    orientation: orientation,
-                    unit: 'px',
-                    format: [tempCanvas.width, tempCanvas.height]
+            // Pass a flag to indicate export mode, so we can adjust font sizes
+            this.draw(true, false);
+
+            // Draw Legend (Top Left)
+            this.drawLegend(this.ctx);
+
+            // Draw Week Filter (Top Right)
+            if (showWeekFilter) this.drawWeekFilter(this.ctx);
+
+            // Layout and week of batch pages (Top Center)
+            if (header) this.drawPageHeader(this.ctx, header);
+            this.ctx.restore();
+
+            // Same zones as the legend, while the page filters are active
+            const rows = zoneTable ? buildZoneTable(this.getVisibleZones(), this.dataManager.getState(), layout, t) : [];
+
+            if (template) {
+                drawSheetFurniture(new PdfContext(doc), template, sheet, {
+                    projectName: this.dataManager.getState().projectInfo.name,
+                    layoutName: layout.name,
+                    date: new Date().toISOString().split('T')[0],
+                    calibrationScale: layout.calibrationScale,
+                    logo: page.logo || null,
+                    t
                 });
-                
-                doc.addImage(imgData, 'JPEG', 0, 0, tempCanvas.width, tempCanvas.height);
+            }
 
-                // Ensure filename ends with .pdf
-                if (!filename.toLowerCase().endsWith('.pdf')) {
-                    filename += '.pdf';
+            if (zoneTable) this.renderPdfZoneTable(doc, sheet, rows, header || layout.name, t);
+        } finally {
+            // Restore state
+            Object.assign(this, saved);
+            this.draw();
+        }
+
+        return doc;
+    }
+
+    /**
+     * Zone table in the side panel of the sheet, the rows that do not fit (or all rows without
+     * a panel) on pages after it in the same paper size.
+     */
+    renderPdfZoneTable(doc, sheet, rows, title, t) {
+        const rowHeight = getZoneTableRowHeight(sheet.format);
+        let next = 0;
+        if (sheet.panel) {
+            next = drawZoneTable(new PdfContext(doc), rows, sheet.panel, { title: t('zoneTable'), rowHeight, t });
+        }
+
+        const margin = sheet.frame ? sheet.frame.x : rowHeight * 2;
+        const box = {
+            x: margin,
+            y: margin,
+            width: sheet.format[0] - margin * 2,
+            height: sheet.format[1] - margin * 2
+        };
+        while (next < rows.length) {
+            doc.addPage(sheet.format, sheet.orientation);
+            const start = next;
+            next = drawZoneTable(new PdfContext(doc), rows, box, {
+                title: `${t('zoneTable')} - ${title}`,
+                start,
+                rowHeight,
+                t
+            });
+            // Not even one row fits, the page is too small
+            if (next === start) break;
+        }
+    }
+
+    /**
+     * Export the active layout as SVG: zones, hatches, labels, symbols and measurements are
+     * SVG elements, the background is embedded as JPEG at `quality` (DXF backgrounds as paths).
+     * @param {string} crop - See getExportArea
+     */
+    exportSvg(crop = 'sheet', quality = 0.8, filename = 'Zone_Planner-export') {
+        if (!this.backgroundImage) {
+            alert(this.uiManager.t('uploadLayoutPrompt'));
+            return;
+        }
+        const area = this.getExportArea(crop);
+        if (!area) {
+            alert(this.uiManager.t('alertExportNoSelection'));
+            return;
+        }
+
+        const performExport = async () => {
+            try {
+                const svg = new SvgContext(area.width, area.height);
+                if (this.dxfScene) {
+                    svg.save();
+                    svg.translate(-area.x, -area.y);
+                    drawDxfScene(svg, this.dxfScene, 1);
+                    svg.restore();
+                } else {
+                    const raster = this.getPdfRaster(this.backgroundImage, quality);
+                    svg.drawImage({ src: raster.data, width: this.backgroundImage.width, height: this.backgroundImage.height }, -area.x, -area.y);
                 }
+                this.renderExportView(svg, area, false);
 
-                // Try File System Access API first
-                if (window.showSaveFilePicker) {
-                    try {
-                        const handle = await window.showSaveFilePicker({
-                            suggestedName: filename,
-                            types: [{
-                                description: 'PDF Document',
-                                accept: {'application/pdf': ['.pdf']},
-                            }],
-                        });
-                        const writable = await handle.createWritable();
-                        const pdfBlob = doc.output('blob');
-                        await writable.write(pdfBlob);
-                        await writable.close();
-                        return; // Success
-                    } catch (err) {
-                        if (err.name !== 'AbortError') {
-                            console.error("File System Access API failed, falling back to download", err);
-                        } else {
-                            // User cancelled, do nothing
-                            return; 
-                        }
-                    }
+                const blob = new Blob([svg.toSvg(this.getExportPointsPerPixel())], { type: FILE_TYPES.svg });
+                await this.saveExportFile(blob, filename, 'svg');
+            } catch (e) {
+                console.error("SVG Export failed:", e);
+                alert("SVG Export failed. See console for details.");
+            }
+        };
+
+        performExport();
+    }
+
+    /**
+     * Export the active layout as PNG at `dpi`, relative to the printed plan size (see getPdfSheet).
+     * PDF and DXF backgrounds are rendered again at that resolution.
+     * @param {string} crop - See getExportArea
+     */
+    exportPng(crop = 'sheet', dpi = 150, filename = 'Zone_Planner-export') {
+        if (!this.backgroundImage) {
+            alert(this.uiManager.t('uploadLayoutPrompt'));
+            return;
+        }
+        const area = this.getExportArea(crop);
+        if (!area) {
+            alert(this.uiManager.t('alertExportNoSelection'));
+            return;
+        }
+
+        const pixelsPerUnit = this.getExportPointsPerPixel() * dpi / 72;
+        const width = Math.round(area.width * pixelsPerUnit);
+        const height = Math.round(area.height * pixelsPerUnit);
+        // Browser canvas limits, the smallest ones are Safari's
+        const maxSide = 16384;
+        const maxPixels = 16384 * 16384 / 4;
+        if (width > maxSide || height > maxSide || width * height > maxPixels) {
+            const maxDpi = Math.floor(dpi * Math.min(maxSide / width, maxSide / height, Math.sqrt(maxPixels / (width * height))));
+            alert(this.uiManager.t('alertExportTooLarge', { dpi: maxDpi }));
+            return;
+        }
+
+        const performExport = async () => {
+            const output = document.createElement('canvas');
+            const overlay = document.createElement('canvas');
+            try {
+                output.width = overlay.width = Math.max(1, width);
+                output.height = overlay.height = Math.max(1, height);
+                const outputCtx = output.getContext('2d');
+                outputCtx.fillStyle = '#ffffff';
+                outputCtx.fillRect(0, 0, width, height);
+
+                if (this.pdfTiles.page) {
+                    const viewport = this.pdfTiles.page.getViewport({ scale: this.pdfTiles.baseScale * pixelsPerUnit });
+                    await this.pdfTiles.page.render({
+                        canvasContext: outputCtx,
+                        viewport,
+                        transform: [1, 0, 0, 1, -area.x * pixelsPerUnit, -area.y * pixelsPerUnit]
+                    }).promise;
+                } else {
+                    outputCtx.setTransform(pixelsPerUnit, 0, 0, pixelsPerUnit, -area.x * pixelsPerUnit, -area.y * pixelsPerUnit);
+                    if (this.dxfScene) drawDxfScene(outputCtx, this.dxfScene, 1);
+                    else outputCtx.drawImage(this.backgroundImage, 0, 0);
+                    outputCtx.setTransform(1, 0, 0, 1, 0, 0);
                 }
-                
-                doc.save(filename);
-                
+
+                // Zones on their own canvas, draw() starts by clearing it
+                const overlayCtx = overlay.getContext('2d');
+                overlayCtx.setTransform(pixelsPerUnit, 0, 0, pixelsPerUnit, 0, 0);
+                this.renderExportView(overlayCtx, area, false);
+                outputCtx.drawImage(overlay, 0, 0);
+
+                const blob = await new Promise(resolve => output.toBlob(resolve, FILE_TYPES.png));
+                if (!blob) throw new Error('Canvas could not be encoded');
+                await this.saveExportFile(blob, filename, 'png');
             } catch (e) {
-                console.error("PDF Export failed:", e);
-                alert("PDF Export failed. See console for details.");
+                console.error("PNG Export failed:", e);
+                alert("PNG Export failed. See console for details.");
             } finally {
-                // Restore state
-                this.ctx = savedCtx;
-                this.canvas = savedCanvas;
-                this.scale = savedScale;
-                this.offsetX = savedOffsetX;
-                this.offsetY = savedOffsetY;
-                this.draw();
+                // Release the canvas memory right away
+                output.width = overlay.width = 0;
             }
         };
 
         performExport();
     }
 
+    /**
+     * Export every zone of the active layout as DXF in meters, see buildZoneDxf.
+     * Needs no background, a layout without calibration uses the default scale.
+     */
+    exportDxf(filename = 'Zone_Planner-export') {
+        const layout = this.dataManager.getActiveLayout();
+        if (!layout) return;
+
+        try {
+            const dxf = buildZoneDxf(layout, this.dataManager.getState(), (key, params) => this.uiManager.t(key, params));
+            this.saveExportFile(new Blob([dxf], { type: FILE_TYPES.dxf }), filename, 'dxf');
+        } catch (e) {
+            console.error("DXF Export failed:", e);
+            alert("DXF Export failed. See console for details.");
+        }
+    }
+
+    /**
+     * Part of the active layout to export as SVG or PNG, in canvas units.
+     * @param {string} crop - 'sheet' (the whole background), 'viewport' (what is on screen) or
+     *                        'selection' (the selected zones with a margin)
+     * @returns {{x: number, y: number, width: number, height: number}|null} null if nothing is selected
+     */
+    getExportArea(crop) {
+        if (crop === 'viewport') {
+            return {
+                x: -this.offsetX / this.scale,
+                y: -this.offsetY / this.scale,
+                width: this.canvas.width / this.scale,
+                height: this.canvas.height / this.scale
+            };
+        }
+
+        if (crop === 'selection') {
+            const points = [];
+            this.dataManager.getActiveLayout().zones.filter(zone => this.selectedZoneIds.has(zone.id)).forEach(zone => {
+                if (zone.x2 !== undefined) points.push({ x: zone.x, y: zone.y }, { x: zone.x2, y: zone.y2 });
+                else points.push(...(getZonePolygon(zone) || zone.points || [{ x: zone.x, y: zone.y }]));
+            });
+            if (points.length === 0) return null;
+
+            const minX = Math.min(...points.map(p => p.x));
+            const minY = Math.min(...points.map(p => p.y));
+            const maxX = Math.max(...points.map(p => p.x));
+            const maxY = Math.max(...points.map(p => p.y));
+            // Room for labels and line widths around the zones
+            const margin = Math.max(20, (maxX - minX + maxY - minY) * 0.05);
+            return { x: minX - margin, y: minY - margin, width: maxX - minX + margin * 2, height: maxY - minY + margin * 2 };
+        }
+
+        return { x: 0, y: 0, width: this.backgroundImage.width, height: this.backgroundImage.height };
+    }
+
+    // Printed size of a canvas unit, the same as a PDF export without sheet template
+    getExportPointsPerPixel() {
+        const layout = this.dataManager.getActiveLayout();
+        return layout && layout.backgroundPdf ? 1 / (layout.backgroundPdf.renderScale || 1.5) : 72 / 96;
+    }
+
+    /**
+     * Draw the active layout with the current filters, legend and week box on an export context.
+     * `area` (canvas units) becomes the top left of ctx, the legend goes in its corner.
+     */
+    renderExportView(ctx, area, drawBackground) {
+        const saved = {
+            ctx: this.ctx,
+            canvas: this.canvas,
+            scale: this.scale,
+            offsetX: this.offsetX,
+            offsetY: this.offsetY,
+            selectedZoneIds: this.selectedZoneIds
+        };
+
+        try {
+            this.ctx = ctx;
+            this.canvas = { width: area.width, height: area.height };
+            this.scale = 1;
+            this.offsetX = -area.x;
+            this.offsetY = -area.y;
+            this.selectedZoneIds = new Set();
+
+            this.draw(true, drawBackground);
+            this.drawLegend(ctx);
+            this.drawWeekFilter(ctx);
+        } finally {
+            Object.assign(this, saved);
+            this.draw();
+        }
+    }
+
+    /**
+     * @param {string} extension - 'pdf', 'svg' or 'png', added to the filename if missing
+     */
+    async saveExportFile(blob, filename, extension = 'pdf') {
+        if (!filename.toLowerCase().endsWith(`.${extension}`)) {
+            filename += `.${extension}`;
+        }
+
+        // Try File System Access API first
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({
+                    suggestedName: filename,
+                    types: [{
+                        description: { pdf: 'PDF Document', svg: 'SVG Image', png: 'PNG Image', dxf: 'DXF Drawing', geojson: 'GeoJSON' }[extension],
+                        accept: { [FILE_TYPES[extension]]: [`.${extension}`] },
+                    }],
+                });
+                const writable = await handle.createWritable();
+                await writable.write(blob);
+                await writable.close();
+                return; // Success
+            } catch (err) {
+                if (err.name !== 'AbortError') {
+                    console.error("File System Access API failed, falling back to download", err);
+                } else {
+                    // User cancelled, do nothing
+                    return;
+                }
+            }
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    drawPageHeader(ctx, text) {
+        const padding = 20;
+        const fontSize = 28;
+
+        ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+        const width = ctx.measureText(text).width + padding * 2;
+        const height = fontSize + padding * 2;
+        const x = (this.canvas.width - width) / 2;
+        const y = 20;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(x, y, width, height);
+        ctx.strokeStyle = '#E2E8F0';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, width, height);
+        ctx.restore();
+
+        ctx.fillStyle = '#1E293B'; // --text-main
+        ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, x + width / 2, y + height / 2);
+    }
+
     drawWeekFilter(ctx) {
         if (!this.uiManager.elements.dateRangeText) return;
         
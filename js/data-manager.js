@@ -6,7 +6,32 @@
 class DataManager {
     constructor() {
         this.appVersion = "v.2.1";
-        this.state = {
+        this.state = this.createDefaultState();
+        
+        this.listeners = [];
+        this.storageAlertShown = false;
+
+        // Project library: every project is stored under its own key
+        this.projectId = null; // Set once loadFromStorage has picked a project
+        this.thumbnailProvider = null; // Returns a small data URL of the canvas, set by CanvasManager
+        this.thumbnail = null;
+        this.thumbnailTime = 0;
+        
+        // Debounced save to prevent flooding IndexedDB
+        this.debouncedSave = debounce(() => this.saveNow(), 500);
+
+        // Undo/Redo History
+        this.history = new HistoryManager(this);
+
+        // Restore points
+        this.snapshots = new SnapshotManager(this);
+
+        this.init();
+    }
+
+    createDefaultState() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
             projectInfo: {
                 name: "Nytt Projekt",
                 created: new Date().toISOString(),
@@ -15,6 +40,7 @@ class DataManager {
             // Global Data
             customFields: [], // Array of custom field definitions
             schedule: [], // Imported schedule data
+            scheduleCalendars: [], // Work calendars from MS Project/Primavera imports, see schedule-parsers.js
             disciplines: [
                 { id: 'construction', name: 'discConstruction', color: '#EF4444' },
                 { id: 'electrical', name: 'discElectrical', color: '#F59E0B' },
@@ -32,7 +58,11 @@ class DataManager {
             zoneNameMode: 'activity', // 'activity' or 'manual'
             
             projectSettings: {
-                baseFontSize: 14
+                baseFontSize: 14,
+                snapshots: { ...DEFAULT_SNAPSHOT_SETTINGS },
+                snap: { ...DEFAULT_SNAP_SETTINGS }, // Drawing snaps, see snap-engine.js
+                importTemplates: {}, // Remembered Excel import mappings, see getImportTemplate
+                sheetTemplates: [] // PDF export paper layouts, see sheet-template.js
             },
 
             // Filters
@@ -61,32 +91,13 @@ class DataManager {
                     id: 'default',
                     name: 'Layout 1',
                     zones: [],
-                    backgroundImage: null,
+                    backgroundRef: null, // Content hash in the blob store
                     scale: 1,
                     calibrationScale: 50, // Default pixels per meter (approx)
                     pan: { x: 0, y: 0 }
                 }
             ]
         };
-        
-        this.listeners = [];
-        this.storageAlertShown = false;
-        
-        // Debounced save to prevent flooding IndexedDB
-        this.debouncedSave = debounce(() => {
-            // Clone state to avoid mutation during async save
-            const stateToSave = JSON.parse(JSON.stringify(this.state));
-            db.save('Zone_Planner_data', stateToSave).catch(e => {
-                console.error("Failed to save to IndexedDB", e);
-            });
-        }, 500);
-
-        // Undo/Redo History
-        this.history = [];
-        this.redoStack = [];
-        this.maxHistory = 50;
-
-        this.init();
     }
 
     async init() {
@@ -103,135 +114,235 @@ class DataManager {
         return this.state.layouts.find(l => l.id === this.state.activeLayoutId) || this.state.layouts[0];
     }
 
+    /**
+     * Replace top level keys of the state.
+     * The state is never edited in place: objects from getState() are shared with the undo
+     * history and with pending saves, changes always build new objects (see updateZone).
+     */
     setState(newState) {
-        this.state = { ...this.state, ...newState };
-        this.state.projectInfo.lastModified = new Date().toISOString();
+        const projectInfo = newState.projectInfo || this.state.projectInfo;
+        this.state = {
+            ...this.state,
+            ...newState,
+            projectInfo: { ...projectInfo, lastModified: new Date().toISOString() }
+        };
         this.notifyListeners();
         this.saveToStorage();
     }
 
-    updateActiveLayout(layoutUpdates) {
-        const activeId = this.state.activeLayoutId;
+    /**
+     * Apply a change and record it in the undo history.
+     * @param {string} labelKey - Translation key of the history entry, e.g. 'histDeleteLayout'
+     * @param {Object} params - Parameters for the label, e.g. { name: 'Plan 2' }
+     * @param {Object} changes - Top level state keys to replace, as for setState
+     * @param {string} [mergeKey] - See HistoryManager.record
+     */
+    commit(labelKey, params, changes, mergeKey = null) {
+        this.history.record({ key: labelKey, params: params }, changes, mergeKey);
+        this.setState(changes);
+    }
+
+    // Called by HistoryManager on undo/redo, must not record anything itself
+    applyHistory(values, layoutId) {
+        const newState = { ...values };
+
+        // Show the layout the change was made in
+        const layouts = newState.layouts || this.state.layouts;
+        const activeId = newState.activeLayoutId || layoutId || this.state.activeLayoutId;
+        newState.activeLayoutId = layouts.some(l => l.id === activeId) ? activeId : layouts[0].id;
+
+        this.setState(newState);
+    }
+
+    updateActiveLayout(layoutUpdates, labelKey) {
+        this.updateLayout(this.state.activeLayoutId, layoutUpdates, labelKey);
+    }
+
+    updateLayout(layoutId, layoutUpdates, labelKey = 'histEditLayout') {
+        const layout = this.state.layouts.find(l => l.id === layoutId);
+        if (!layout) return;
         const newLayouts = this.state.layouts.map(l => 
-            l.id === activeId ? { ...l, ...layoutUpdates } : l
+            l.id === layoutId ? { ...l, ...layoutUpdates } : l
+        );
+        this.commit(labelKey, { name: layout.name }, { layouts: newLayouts });
+    }
+
+    // Zoom and pan of the active layout. Saved with the project but not part of the undo history.
+    setLayoutView(scale, pan) {
+        const newLayouts = this.state.layouts.map(l =>
+            l.id === this.state.activeLayoutId ? { ...l, scale: scale, pan: pan } : l
         );
         this.setState({ layouts: newLayouts });
     }
 
+    // Language and view mode are preferences of the user, not edits, and are not in the history
     setLanguage(lang) {
         this.setState({ language: lang });
     }
 
     setZoneNameMode(mode) {
-        this.setState({ zoneNameMode: mode });
+        this.commit('histZoneNameMode', {}, { zoneNameMode: mode });
     }
 
-    setBackgroundImage(dataUrl) {
-        this.updateActiveLayout({ backgroundImage: dataUrl });
-    }
+    // --- Backgrounds ---
+    // Image and PDF data live in the blob store, layouts only hold the content hash.
+    // This keeps debouncedSave and history snapshots small.
 
-    setViewMode(mode) {
-        this.setState({ viewMode: mode });
+    saveBlob(blob) {
+        return db.saveBlob(blob);
     }
 
-    subscribe(listener) {
-        this.listeners.push(listener);
+    loadBlob(ref) {
+        return db.loadBlob(ref);
     }
 
-    notifyListeners() {
-        this.listeners.forEach(listener => listener(this.state));
+    // Blob store hashes of the open project, including the ones undo and redo can bring back
+    getBlobRefs() {
+        const refs = getStateBlobRefs(this.state);
+        this.history.getBlobRefs().forEach(ref => refs.add(ref));
+        return refs;
     }
 
-    // --- History Management ---
-
-    saveState() {
-        const layout = this.getActiveLayout();
-        if (!layout) return;
+    /**
+     * Delete blobs nothing refers to any more: replaced backgrounds, rasters of earlier DXF
+     * layer choices, deleted projects. Started by the user from the project library.
+     * The hashes each project and snapshot uses are kept in its library or snapshot
+     * metadata (blobRefs), so the stored states are only read for metadata written before
+     * that, once. Other tabs save their undo history's hashes with their project, and blobs
+     * saved in the last BLOB_GRACE_MS are kept in case they are not referenced yet.
+     * @returns {Promise<number>} number of deleted blobs
+     */
+    async collectUnusedBlobs() {
+        const run = async () => {
+            const keep = this.getBlobRefs();
+            const addRefs = (refs) => refs.forEach(ref => keep.add(ref));
+
+            const collectFrom = async (metas, storeName, getStateKey) => {
+                for (const meta of metas) {
+                    if (Array.isArray(meta.blobRefs)) {
+                        addRefs(meta.blobRefs);
+                        continue;
+                    }
+                    const state = await db.load(getStateKey(meta.id));
+                    if (!state) continue;
+                    const refs = Array.from(getStateBlobRefs(state));
+                    addRefs(refs);
+                    await db.save(meta.id, { ...meta, blobRefs: refs }, storeName);
+                }
+            };
+            await collectFrom(await db.getAll(LIBRARY_STORE_NAME), LIBRARY_STORE_NAME, id => this.getProjectKey(id));
+            await collectFrom(await db.getAll(SNAPSHOT_STORE_NAME), SNAPSHOT_STORE_NAME, id => this.snapshots.getStateKey(id));
 
-        // Clear redo stack on new action
-        this.redoStack = [];
+            // Project saved before the library existed, kept by loadFromStorage
+            const legacyState = await db.load('Zone_Planner_data');
+            if (legacyState) addRefs(getStateBlobRefs(legacyState));
 
-        // Save current zones state
-        const stateSnapshot = {
-            layoutId: layout.id,
-            zones: JSON.parse(JSON.stringify(layout.zones))
+            const deleted = await db.deleteUnusedBlobs(keep, Date.now() - BLOB_GRACE_MS);
+            if (deleted > 0) console.log(`Deleted ${deleted} unused blob(s) from the blob store`);
+            return deleted;
         };
 
-        this.history.push(stateSnapshot);
-        
-        if (this.history.length > this.maxHistory) {
-            this.history.shift();
+        // One cleanup at a time across tabs, a second one would find nothing anyway
+        if (!navigator.locks) return run();
+        return navigator.locks.request('zone-planner-blob-cleanup', { ifAvailable: true }, lock => lock ? run() : 0);
+    }
+
+    // source.pdf ({ key, pageNumber, renderScale }) points at the original PDF so the
+    // canvas can re-render it sharply when zoomed, source.dxf at the DXF drawn as vectors
+    // (see dxf-import.js). Plain images clear both.
+    setBackgroundRef(ref, source = {}, layoutId = this.state.activeLayoutId) {
+        const layout = this.state.layouts.find(l => l.id === layoutId);
+        const dxf = source.dxf || null;
+        const updates = { backgroundRef: ref, backgroundImage: null, backgroundPdf: source.pdf || null, backgroundDxf: dxf };
+
+        // A new drawing brings its units, a layer change keeps a manual calibration
+        if (dxf && layout && (!layout.backgroundDxf || layout.backgroundDxf.key !== dxf.key)) {
+            updates.calibrationScale = dxf.pixelsPerUnit / (DXF_UNIT_METERS[dxf.units] || DXF_UNIT_METERS[0]);
         }
+        this.updateLayout(layoutId, updates, 'histSetBackground');
     }
 
-    undo() {
-        if (this.history.length === 0) return;
+    savePdfSource(bytes) {
+        return db.saveBlob(new Blob([bytes], { type: 'application/pdf' }));
+    }
 
-        const layout = this.getActiveLayout();
-        if (!layout) return;
+    saveDxfSource(text) {
+        return db.saveBlob(new Blob([text], { type: FILE_TYPES.dxf }));
+    }
 
-        // Save current state to redo stack
-        const currentState = {
-            layoutId: layout.id,
-            zones: JSON.parse(JSON.stringify(layout.zones))
-        };
-        this.redoStack.push(currentState);
+    async loadDxfSource(key) {
+        const blob = await db.loadBlob(key);
+        return blob ? blob.text() : null;
+    }
 
-        // Pop from history
-        const previousState = this.history.pop();
-        
-        if (previousState.layoutId !== layout.id) {
-            this.setActiveLayout(previousState.layoutId);
-        }
+    async loadPdfSource(key) {
+        const blob = await db.loadBlob(key);
+        return blob ? new Uint8Array(await blob.arrayBuffer()) : null;
+    }
 
-        this.updateActiveLayout({ zones: previousState.zones });
+    setViewMode(mode) {
+        this.setState({ viewMode: mode });
     }
 
-    redo() {
-        if (this.redoStack.length === 0) return;
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
 
-        const layout = this.getActiveLayout();
-        
-        // Save current to history
-        const currentState = {
-            layoutId: layout.id,
-            zones: JSON.parse(JSON.stringify(layout.zones))
-        };
-        this.history.push(currentState);
+    notifyListeners() {
+        this.listeners.forEach(listener => listener(this.state));
+    }
 
-        // Pop from redo
-        const nextState = this.redoStack.pop();
+    // --- History Management ---
 
-        if (nextState.layoutId !== layout.id) {
-            this.setActiveLayout(nextState.layoutId);
-        }
+    undo() {
+        this.history.undo();
+    }
+
+    redo() {
+        this.history.redo();
+    }
+
+    // Group several changes into one history entry, see HistoryManager.beginBatch
+    beginBatch(labelKey, params = {}, mergeKey = null) {
+        this.history.beginBatch({ key: labelKey, params: params }, mergeKey);
+    }
 
-        this.updateActiveLayout({ zones: nextState.zones });
+    endBatch() {
+        this.history.endBatch();
     }
 
     // --- Zone Management ---
 
     addZone(zone) {
-        this.saveState();
         const layout = this.getActiveLayout();
         const newZones = [...layout.zones, zone];
-        this.updateActiveLayout({ zones: newZones });
+        this.updateActiveLayout({ zones: newZones }, 'histAddZone');
+    }
+
+    addZones(zones, layoutId = this.state.activeLayoutId) {
+        if (!zones || zones.length === 0) return;
+        const newLayouts = this.state.layouts.map(l => 
+            l.id === layoutId ? { ...l, zones: [...l.zones, ...zones] } : l
+        );
+        this.commit('histAddZones', { count: zones.length }, { layouts: newLayouts });
     }
 
-    updateZone(updatedZone, saveHistory = true) {
-        if (saveHistory) this.saveState();
+    // Repeated updates of the same zone within a second (typing, sliders) become one history entry
+    updateZone(updatedZone) {
         const layout = this.getActiveLayout();
         const newZones = layout.zones.map(z => 
             z.id === updatedZone.id ? updatedZone : z
         );
-        this.updateActiveLayout({ zones: newZones });
+        const newLayouts = this.state.layouts.map(l => l.id === layout.id ? { ...l, zones: newZones } : l);
+        this.commit('histEditZone', { name: updatedZone.name || '' }, { layouts: newLayouts }, 'zone:' + updatedZone.id);
     }
 
     deleteZone(zoneId) {
-        this.saveState();
         const layout = this.getActiveLayout();
+        const zone = layout.zones.find(z => z.id === zoneId);
         const newZones = layout.zones.filter(z => z.id !== zoneId);
-        this.updateActiveLayout({ zones: newZones });
+        const newLayouts = this.state.layouts.map(l => l.id === layout.id ? { ...l, zones: newZones } : l);
+        this.commit('histDeleteZone', { name: (zone && zone.name) || '' }, { layouts: newLayouts });
     }
 
     getZone(zoneId) {
@@ -244,57 +355,60 @@ class DataManager {
 
     addCustomField(field) {
         const newFields = [...this.state.customFields, field];
-        this.setState({ customFields: newFields });
+        this.commit('histAddField', { name: field.name }, { customFields: newFields });
     }
 
     removeCustomField(fieldId) {
+        const field = this.state.customFields.find(f => f.id === fieldId);
         const newFields = this.state.customFields.filter(f => f.id !== fieldId);
-        this.setState({ customFields: newFields });
+        this.commit('histRemoveField', { name: field ? field.name : fieldId }, { customFields: newFields });
     }
 
     // --- Settings Management ---
 
     addDiscipline(discipline) {
         const newDisciplines = [...this.state.disciplines, discipline];
-        this.setState({ disciplines: newDisciplines });
+        this.commit('histAddDiscipline', { name: discipline.name }, { disciplines: newDisciplines });
     }
 
     removeDiscipline(id) {
+        const discipline = this.state.disciplines.find(d => d.id === id);
         const newDisciplines = this.state.disciplines.filter(d => d.id !== id);
-        this.setState({ disciplines: newDisciplines });
+        this.commit('histRemoveDiscipline', { name: discipline ? discipline.name : id }, { disciplines: newDisciplines });
     }
 
     updateDiscipline(updatedDiscipline) {
         const newDisciplines = this.state.disciplines.map(d => 
             d.id === updatedDiscipline.id ? updatedDiscipline : d
         );
-        this.setState({ disciplines: newDisciplines });
+        this.commit('histEditDiscipline', { name: updatedDiscipline.name }, { disciplines: newDisciplines }, 'discipline:' + updatedDiscipline.id);
     }
 
     addStatus(status) {
         const newStatuses = [...this.state.statuses, status];
-        this.setState({ statuses: newStatuses });
+        this.commit('histAddStatus', { name: status.name }, { statuses: newStatuses });
     }
 
     removeStatus(id) {
+        const status = this.state.statuses.find(s => s.id === id);
         const newStatuses = this.state.statuses.filter(s => s.id !== id);
-        this.setState({ statuses: newStatuses });
+        this.commit('histRemoveStatus', { name: status ? status.name : id }, { statuses: newStatuses });
     }
 
     updateStatus(updatedStatus) {
         const newStatuses = this.state.statuses.map(s => 
             s.id === updatedStatus.id ? updatedStatus : s
         );
-        this.setState({ statuses: newStatuses });
+        this.commit('histEditStatus', { name: updatedStatus.name }, { statuses: newStatuses }, 'status:' + updatedStatus.id);
     }
 
     updateProjectSettings(settings) {
-        this.setState({
+        this.commit('histProjectSettings', {}, {
             projectSettings: {
                 ...this.state.projectSettings,
                 ...settings
             }
-        });
+        }, 'projectSettings');
     }
 
     // --- Persistence ---
@@ -303,13 +417,82 @@ class DataManager {
         this.debouncedSave();
     }
 
+    getProjectKey(projectId) {
+        return 'project_' + projectId;
+    }
+
+    async saveNow(refreshThumbnail = false) {
+        if (!this.projectId) return;
+
+        // Thumbnails are cheap but not free, refresh them at most every 30 seconds
+        if (this.thumbnailProvider && (refreshThumbnail || Date.now() - this.thumbnailTime > 30000)) {
+            try {
+                this.thumbnail = this.thumbnailProvider() || this.thumbnail;
+                this.thumbnailTime = Date.now();
+            } catch (e) {
+                console.warn("Failed to create project thumbnail", e);
+            }
+        }
+
+        try {
+            // No copy needed, the state object is replaced rather than changed while the save is pending
+            const stateToSave = this.state;
+            await db.save(this.getProjectKey(this.projectId), stateToSave);
+            const meta = this.buildProjectMeta(this.projectId, stateToSave, this.thumbnail, this.getBlobRefs());
+            await db.save(this.projectId, meta, LIBRARY_STORE_NAME);
+        } catch (e) {
+            console.error("Failed to save to IndexedDB", e);
+        }
+    }
+
+    /**
+     * Library entry of a project.
+     * @param {Set<string>} [blobRefs] - Blob store hashes the project uses, see collectUnusedBlobs
+     */
+    buildProjectMeta(projectId, state, thumbnail, blobRefs = getStateBlobRefs(state)) {
+        return {
+            id: projectId,
+            name: state.projectInfo.name,
+            created: state.projectInfo.created,
+            lastModified: state.projectInfo.lastModified,
+            layoutCount: state.layouts.length,
+            zoneCount: state.layouts.reduce((sum, l) => sum + l.zones.length, 0),
+            thumbnail: thumbnail || null,
+            blobRefs: Array.from(blobRefs)
+        };
+    }
+
+    setThumbnailProvider(provider) {
+        this.thumbnailProvider = provider;
+    }
+
     async loadFromStorage() {
         try {
             let loadedState = null;
+            let projectId = null;
             
-            // 1. Try IndexedDB
+            // 1. Try IndexedDB: last opened project, else the most recent one in the library
             try {
-                loadedState = await db.load('Zone_Planner_data');
+                projectId = await db.load('Zone_Planner_activeProject');
+                if (projectId) {
+                    loadedState = await db.load(this.getProjectKey(projectId));
+                }
+                if (!loadedState) {
+                    const projects = await this.listProjects();
+                    projectId = projects.length > 0 ? projects[0].id : null;
+                    if (projectId) {
+                        loadedState = await db.load(this.getProjectKey(projectId));
+                    }
+                }
+
+                // Single project saved before the library existed. The old key is left
+                // in place so nothing is lost if the move is interrupted.
+                if (!loadedState) {
+                    loadedState = await db.load('Zone_Planner_data');
+                    if (loadedState) {
+                        console.log("Moving existing project into the project library...");
+                    }
+                }
             } catch (e) {
                 console.warn("Could not load from IndexedDB, falling back to LocalStorage", e);
             }
@@ -320,105 +503,215 @@ class DataManager {
                 if (localData) {
                     console.log("Migrating data from LocalStorage to IndexedDB...");
                     loadedState = JSON.parse(localData);
-                    // Save to DB immediately to complete migration
-                    this.debouncedSave(); 
                 }
             }
 
-            if (loadedState) {
-                
-                // Migration: If old structure (zones at root), move to default layout
-                if (loadedState.zones && !loadedState.layouts) {
-                    console.log("Migrating legacy state to multi-layout structure...");
-                    loadedState = {
-                        ...loadedState,
-                        activeLayoutId: 'default',
-                        layouts: [
-                            {
-                                id: 'default',
-                                name: 'Layout 1',
-                                zones: loadedState.zones || [],
-                                backgroundImage: loadedState.backgroundImage || null,
-                                scale: 1,
-                                calibrationScale: 50,
-                                pan: { x: 0, y: 0 }
-                            }
-                        ]
-                    };
-                    // Remove legacy root properties
-                    delete loadedState.zones;
-                    delete loadedState.backgroundImage;
-                }
+            const isNewInLibrary = !projectId;
+            this.projectId = projectId || generateUUID();
+            db.save('Zone_Planner_activeProject', this.projectId).catch(e => {
+                console.error("Failed to remember active project", e);
+            });
 
-                // Merge loaded state with default state to ensure new fields exist
-                this.state = { ...this.state, ...loadedState };
-                
-                // Fix: Remove legacy 'cloud' symbol if present (it is now a tool)
-                if (this.state.symbols) {
-                    this.state.symbols = this.state.symbols.filter(s => s.id !== 'cloud');
-                }
-                
-                // Ensure critical arrays exist
-                if (!this.state.disciplines) {
-                    this.state.disciplines = [
-                        { id: 'construction', name: 'Bygg', color: '#EF4444' },
-                        { id: 'electrical', name: 'El', color: '#F59E0B' },
-                        { id: 'plumbing', name: 'VVS', color: '#3B82F6' },
-                        { id: 'ventilation', name: 'Ventilation', color: '#10B981' }
-                    ];
-                }
-                if (!this.state.statuses) {
-                    this.state.statuses = [
-                        { id: 'planned', name: 'Planerad', color: '#94A3B8' },
-                        { id: 'in-progress', name: 'Pågående', color: '#F59E0B' },
-                        { id: 'completed', name: 'Klar', color: '#10B981' },
-                        { id: 'delayed', name: 'Försenad', color: '#EF4444' }
-                    ];
-                }
-                
-                // Ensure layouts exist if somehow missing after merge
-                if (!this.state.layouts || this.state.layouts.length === 0) {
-                     this.state.layouts = [{
-                        id: 'default',
-                        name: 'Layout 1',
-                        zones: [],
-                        backgroundImage: null,
-                        scale: 1,
-                        calibrationScale: 50,
-                        pan: { x: 0, y: 0 }
-                    }];
-                    this.state.activeLayoutId = 'default';
+            if (loadedState) {
+                const { state: migratedState, applied } = await migrateState(loadedState, {
+                    defaults: this.createDefaultState(),
+                    source: 'saved project'
+                });
+                // Merge with default state so keys the migrations don't know about still exist
+                this.state = { ...this.state, ...migratedState };
+                if (applied.length > 0 || isNewInLibrary) {
+                    this.debouncedSave();
                 }
 
                 this.notifyListeners();
+            } else {
+                // First start: put the empty project in the library right away
+                this.debouncedSave();
             }
+
+            const meta = await db.load(this.projectId, LIBRARY_STORE_NAME).catch(() => null);
+            this.thumbnail = meta ? meta.thumbnail : null;
         } catch (e) {
             console.error("Failed to load data", e);
         }
     }
 
+    // --- Project Library ---
+
+    // Metadata of all stored projects, most recently modified first
+    async listProjects() {
+        const projects = await db.getAll(LIBRARY_STORE_NAME);
+        return projects.sort((a, b) => String(b.lastModified).localeCompare(String(a.lastModified)));
+    }
+
+    getProjectId() {
+        return this.projectId;
+    }
+
+    async switchToProject(projectId, state) {
+        this.projectId = projectId;
+        this.state = state;
+        this.history.clear();
+        this.thumbnail = null;
+        this.thumbnailTime = 0;
+        await db.save('Zone_Planner_activeProject', projectId);
+
+        const meta = await db.load(projectId, LIBRARY_STORE_NAME).catch(() => null);
+        if (meta) this.thumbnail = meta.thumbnail;
+
+        this.notifyListeners();
+        await this.saveNow();
+    }
+
+    async createProject(name) {
+        await this.saveNow(true);
+        const state = this.createDefaultState();
+        state.projectInfo.name = name;
+        state.language = this.state.language; // Keep the UI language the user picked
+        await this.switchToProject(generateUUID(), state);
+    }
+
+    async openProject(projectId) {
+        if (projectId === this.projectId) return;
+
+        const loadedState = await db.load(this.getProjectKey(projectId));
+        if (!loadedState) throw new Error(`Project ${projectId} not found`);
+
+        await this.saveNow(true);
+        const { state: migratedState } = await migrateState(loadedState, {
+            defaults: this.createDefaultState(),
+            source: `project ${projectId}`
+        });
+        await this.switchToProject(projectId, { ...this.createDefaultState(), ...migratedState });
+    }
+
+    // Copies a project in the library without opening it. Backgrounds are shared through the blob store.
+    async duplicateProject(projectId, name) {
+        if (projectId === this.projectId) await this.saveNow(true);
+
+        const source = await db.load(this.getProjectKey(projectId));
+        if (!source) throw new Error(`Project ${projectId} not found`);
+        const sourceMeta = await db.load(projectId, LIBRARY_STORE_NAME);
+
+        const now = new Date().toISOString();
+        const copy = {
+            ...source,
+            projectInfo: { ...source.projectInfo, name: name, created: now, lastModified: now }
+        };
+        const newId = generateUUID();
+        await db.save(this.getProjectKey(newId), copy);
+        await db.save(newId, this.buildProjectMeta(newId, copy, sourceMeta ? sourceMeta.thumbnail : null), LIBRARY_STORE_NAME);
+        return newId;
+    }
+
+    async renameProject(projectId, name) {
+        if (projectId === this.projectId) {
+            this.commit('histRenameProject', { name: name }, { projectInfo: { ...this.state.projectInfo, name: name } });
+            await this.saveNow();
+            return;
+        }
+
+        const state = await db.load(this.getProjectKey(projectId));
+        if (!state) throw new Error(`Project ${projectId} not found`);
+        const meta = await db.load(projectId, LIBRARY_STORE_NAME);
+        const renamed = { ...state, projectInfo: { ...state.projectInfo, name: name } };
+        await db.save(this.getProjectKey(projectId), renamed);
+        await db.save(projectId, this.buildProjectMeta(projectId, renamed, meta ? meta.thumbnail : null), LIBRARY_STORE_NAME);
+    }
+
+    // The open project cannot be deleted, the UI asks the user to switch first
+    async deleteProject(projectId) {
+        if (projectId === this.projectId) throw new Error("Cannot delete the open project");
+        await db.delete(this.getProjectKey(projectId));
+        await db.delete(projectId, LIBRARY_STORE_NAME);
+        for (const snapshot of await this.snapshots.list(projectId)) {
+            await this.snapshots.remove(snapshot.id);
+        }
+    }
+
+    // Replace the open project's state, e.g. from a snapshot. Undo history does not survive this.
+    async restoreState(restoredState) {
+        const { state: migratedState } = await migrateState(restoredState, {
+            defaults: this.createDefaultState(),
+            source: 'snapshot'
+        });
+        this.state = { ...this.createDefaultState(), ...migratedState };
+        this.history.clear();
+        this.notifyListeners();
+        await this.saveNow(true);
+    }
+
     // --- Import/Export ---
 
+    /**
+     * Export the project as a .zpz bundle (zip):
+     *   manifest.json           app version and the asset index (hash -> path)
+     *   project.json            the state, backgrounds referenced by hash
+     *   backgrounds/<hash>.ext  original PDFs and background images
+     *   logos/<hash>.png        company logos of the sheet templates
+     *   symbols/<id>.ext        uploaded image symbols
+     */
     async exportProject(filename = "Zone_Planner_project") {
-        const jsonString = JSON.stringify(this.state, null, 2);
-        
-        // Ensure extension
-        if (!filename.toLowerCase().endsWith('.json')) {
-            filename += '.json';
+        const zip = new JSZip();
+        const assets = {};
+
+        const addAsset = async (ref, folder = 'backgrounds') => {
+            if (!ref || assets[ref]) return;
+            const blob = await db.loadBlob(ref);
+            if (!blob) {
+                console.warn(`Asset ${ref} missing from blob store, skipped in export`);
+                return;
+            }
+            assets[ref] = `${folder}/${ref}.${getFileExtension(blob.type)}`;
+            // Images and PDFs are already compressed, DXF is text
+            zip.file(assets[ref], blob, { compression: blob.type === FILE_TYPES.dxf ? 'DEFLATE' : 'STORE' });
+        };
+
+        for (const layout of this.state.layouts) {
+            await addAsset(layout.backgroundRef);
+            if (layout.backgroundPdf) await addAsset(layout.backgroundPdf.key);
+            if (layout.backgroundDxf) await addAsset(layout.backgroundDxf.key);
+        }
+        for (const template of this.getSheetTemplates()) {
+            await addAsset(template.logoRef, 'logos');
         }
 
+        const symbols = this.state.symbols.map(symbol => {
+            if (symbol.type !== 'image' || !symbol.src || !symbol.src.startsWith('data:')) return symbol;
+            const blob = dataUrlToBlob(symbol.src);
+            const path = `symbols/${symbol.id}.${getFileExtension(blob.type)}`;
+            zip.file(path, blob, { compression: 'STORE' });
+            return { ...symbol, src: null, file: path };
+        });
+
+        const manifest = {
+            format: 'zone-planner-bundle',
+            formatVersion: 1,
+            appVersion: this.appVersion,
+            exported: new Date().toISOString(),
+            assets: assets
+        };
+
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+        zip.file('project.json', JSON.stringify({ ...this.state, symbols }, null, 2));
+
+        const content = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/zip' });
+
+        // Ensure extension
+        filename = filename.replace(/\.(json|zpz)$/i, '') + '.zpz';
+
         // Use File System Access API if available
         if (window.showSaveFilePicker) {
             try {
                 const handle = await window.showSaveFilePicker({
                     suggestedName: filename,
                     types: [{
-                        description: 'JSON Project File',
-                        accept: {'application/json': ['.json']},
+                        description: 'Zone Planner Project',
+                        accept: {'application/zip': ['.zpz']},
                     }],
                 });
                 const writable = await handle.createWritable();
-                await writable.write(jsonString);
+                await writable.write(content);
                 await writable.close();
                 return;
             } catch (err) {
@@ -431,57 +724,119 @@ class DataManager {
         }
 
         // Fallback for browsers that don't support File System Access API
-        const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(jsonString);
+        const url = URL.createObjectURL(content);
         const downloadAnchorNode = document.createElement('a');
-        downloadAnchorNode.setAttribute("href", dataStr);
+        downloadAnchorNode.setAttribute("href", url);
         
         downloadAnchorNode.setAttribute("download", filename);
         document.body.appendChild(downloadAnchorNode);
         downloadAnchorNode.click();
         downloadAnchorNode.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
-    importProject(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                try {
-                    let importedState = JSON.parse(event.target.result);
-                    
-                    // Migration: If old structure (zones at root), move to default layout
-                    if (importedState.zones && !importedState.layouts) {
-                        console.log("Migrating imported legacy project...");
-                        importedState = {
-                            ...importedState,
-                            activeLayoutId: 'default',
-                            layouts: [
-                                {
-                                    id: 'default',
-                                    name: 'Layout 1',
-                                    zones: importedState.zones || [],
-                                    backgroundImage: importedState.backgroundImage || null,
-                                    scale: 1,
-                                    pan: { x: 0, y: 0 }
-                                }
-                            ]
-                        };
-                        delete importedState.zones;
-                        delete importedState.backgroundImage;
-                    }
+    /**
+     * Read, migrate and validate a .zpz bundle or a legacy JSON project file.
+     * Nothing is committed, pass the result to importProject once the user has seen the report.
+     * @returns {Promise<{state: Object, errors: Array, repairs: Array, fatal: boolean}>}
+     */
+    async readProjectFile(file, t) {
+        const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+        const isZip = magic[0] === 0x50 && magic[1] === 0x4B; // "PK"
+
+        const rawState = isZip ? await this.readProjectBundle(file) : JSON.parse(await file.text());
+        if (!rawState || typeof rawState !== 'object' || Array.isArray(rawState)) {
+            return validateProject(rawState, this.createDefaultState(), t);
+        }
 
-                    // Basic validation could go here
-                    this.setState(importedState);
-                    resolve(importedState);
-                } catch (e) {
-                    reject(e);
+        const { state: migratedState } = await migrateState(rawState, {
+            defaults: this.createDefaultState(),
+            source: `imported file ${file.name}`
+        });
+        return validateProject(migratedState, this.createDefaultState(), t);
+    }
+
+    importProject(importedState) {
+        this.snapshots.create('snapshotImport');
+        this.commit('histImportProject', { name: importedState.projectInfo.name }, importedState);
+    }
+
+    // Unpacks a bundle written by exportProject. Assets go straight to the blob store.
+    async readProjectBundle(file) {
+        const zip = await JSZip.loadAsync(file);
+
+        const manifestFile = zip.file('manifest.json');
+        const projectFile = zip.file('project.json');
+        if (!projectFile) throw new Error("Bundle has no project.json");
+
+        const manifest = manifestFile ? JSON.parse(await manifestFile.async('string')) : {};
+        const state = JSON.parse(await projectFile.async('string'));
+        if (!state || typeof state !== 'object' || Array.isArray(state)) return state; // Reported by validateProject
+        console.log(`Importing bundle exported by Zone Planner ${manifest.appVersion || '(unknown version)'}`);
+
+        // Store assets, hashes are recomputed in case the file was repacked by hand
+        const refs = {};
+        for (const [ref, path] of Object.entries(manifest.assets || {})) {
+            const entry = zip.file(path);
+            if (!entry) {
+                console.warn(`Bundle asset ${path} is missing`);
+                continue;
+            }
+            const blob = new Blob([await entry.async('arraybuffer')], { type: getMimeType(path) });
+            refs[ref] = await db.saveBlob(blob);
+        }
+
+        state.layouts = (Array.isArray(state.layouts) ? state.layouts : []).map(layout => {
+            if (!layout || typeof layout !== 'object') return layout; // Dropped by validateProject
+            const newLayout = { ...layout, backgroundRef: refs[layout.backgroundRef] || null };
+            if (layout.backgroundPdf) {
+                if (refs[layout.backgroundPdf.key]) {
+                    newLayout.backgroundPdf = { ...layout.backgroundPdf, key: refs[layout.backgroundPdf.key] };
+                } else {
+                    delete newLayout.backgroundPdf;
                 }
-            };
-            reader.readAsText(file);
+            }
+            if (layout.backgroundDxf) {
+                if (refs[layout.backgroundDxf.key]) {
+                    newLayout.backgroundDxf = { ...layout.backgroundDxf, key: refs[layout.backgroundDxf.key] };
+                } else {
+                    delete newLayout.backgroundDxf;
+                }
+            }
+            return newLayout;
         });
+
+        const settings = state.projectSettings;
+        if (settings && typeof settings === 'object' && Array.isArray(settings.sheetTemplates)) {
+            state.projectSettings = {
+                ...settings,
+                sheetTemplates: settings.sheetTemplates.map(template => !template || typeof template !== 'object' || !template.logoRef
+                    ? template
+                    : { ...template, logoRef: refs[template.logoRef] || null })
+            };
+        }
+
+        if (Array.isArray(state.symbols)) {
+            for (const symbol of state.symbols) {
+                const entry = symbol && typeof symbol.file === 'string' && zip.file(symbol.file);
+                if (!entry) continue;
+                const blob = new Blob([await entry.async('arraybuffer')], { type: getMimeType(symbol.file) });
+                symbol.src = await blobToDataUrl(blob);
+                delete symbol.file;
+            }
+        }
+
+        return state;
     }
 
     // --- Excel Import ---
     
+    /**
+     * Read every sheet of an Excel file as rows of cell values. Merged cells get the value
+     * of their top left cell in every cell they cover, so merged headers name each column.
+     * @returns {Promise<{sheetNames: string[], sheets: Object<string, {rows: Array<Array>, firstRow: number}>}>}
+     *          firstRow is the Excel row number of rows[0]
+     */
     parseExcelFile(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
@@ -489,10 +844,28 @@ class DataManager {
                 try {
                     const data = new Uint8Array(e.target.result);
                     const workbook = XLSX.read(data, { type: 'array' });
-                    const firstSheetName = workbook.SheetNames[0];
-                    const worksheet = workbook.Sheets[firstSheetName];
-                    const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: "" });
-                    resolve(jsonData);
+                    const sheets = {};
+                    workbook.SheetNames.forEach(name => {
+                        const worksheet = workbook.Sheets[name];
+                        if (!worksheet['!ref']) {
+                            sheets[name] = { rows: [], firstRow: 1 };
+                            return;
+                        }
+                        const range = XLSX.utils.decode_range(worksheet['!ref']);
+                        const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "", blankrows: true });
+                        (worksheet['!merges'] || []).forEach(merge => {
+                            const value = (rows[merge.s.r - range.s.r] || [])[merge.s.c - range.s.c];
+                            for (let r = merge.s.r; r <= merge.e.r; r++) {
+                                const row = rows[r - range.s.r];
+                                if (!row) continue;
+                                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                                    row[c - range.s.c] = value;
+                                }
+                            }
+                        });
+                        sheets[name] = { rows, firstRow: range.s.r + 1 };
+                    });
+                    resolve({ sheetNames: workbook.SheetNames, sheets });
                 } catch (error) {
                     reject(error);
                 }
@@ -501,28 +874,194 @@ class DataManager {
         });
     }
 
+    // The header is the row with the most text cells among the first rows, title blocks above it have fewer
+    detectHeaderRow(rows) {
+        let best = 0;
+        let bestCount = 0;
+        rows.slice(0, 30).forEach((row, index) => {
+            const count = row.filter(cell => typeof cell === 'string' && cell.trim() !== '' && isNaN(Number(cell))).length;
+            if (count > bestCount) {
+                best = index;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Turn sheet rows into one object per activity row, keyed by column name.
+     * @param {Array<Array>} rows - From parseExcelFile
+     * @param {Object} options
+     * @param {number} options.headerRow - Index in rows of the (first) header row
+     * @param {number} [options.headerRowCount=1] - Header rows, names of stacked rows are joined ("Start Planned")
+     * @param {number} [options.skipLast=0] - Rows to drop at the end, e.g. a footer
+     * @param {boolean} [options.skipTotals=true] - Drop rows whose first filled cell starts with "Total", "Summa"...
+     * @returns {{columns: string[], rows: Object[]}}
+     */
+    getSheetRecords(rows, { headerRow, headerRowCount = 1, skipLast = 0, skipTotals = true }) {
+        const headerRows = rows.slice(headerRow, headerRow + headerRowCount);
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+        const columns = [];
+        const used = new Map();
+        for (let c = 0; c < width; c++) {
+            const parts = [];
+            headerRows.forEach(row => {
+                const part = String(row[c] === undefined || row[c] === null ? '' : row[c]).trim();
+                if (part && !parts.includes(part)) parts.push(part);
+            });
+            let name = parts.join(' ') || XLSX.utils.encode_col(c);
+            // Two columns with the same header would overwrite each other
+            const count = (used.get(name) || 0) + 1;
+            used.set(name, count);
+            if (count > 1) name = `${name} (${count})`;
+            columns.push(name);
+        }
+
+        let dataRows = rows.slice(headerRow + headerRowCount);
+        if (skipLast > 0) dataRows = dataRows.slice(0, Math.max(0, dataRows.length - skipLast));
+
+        const totalPattern = /^\s*(total|totals|totalt|summa|sum|grand total)\b/i;
+        const records = [];
+        dataRows.forEach(row => {
+            const firstCell = row.find(cell => String(cell === undefined || cell === null ? '' : cell).trim() !== '');
+            if (firstCell === undefined) return; // Empty row
+            if (skipTotals && typeof firstCell === 'string' && totalPattern.test(firstCell)) return;
+            const record = {};
+            columns.forEach((column, c) => {
+                record[column] = row[c] === undefined || row[c] === null ? '' : row[c];
+            });
+            records.push(record);
+        });
+
+        return { columns, rows: records };
+    }
+
+    /**
+     * Read an MS Project XML (.xml) or Primavera XER (.xer) schedule.
+     * @returns {Promise<{activities: Array, calendars: Array}>} see schedule-parsers.js
+     */
+    async parseScheduleFile(file) {
+        const buffer = await file.arrayBuffer();
+        let text;
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (e) {
+            // P6 writes XER files in the Windows code page
+            text = new TextDecoder('windows-1252').decode(buffer);
+        }
+        text = text.replace(/^\uFEFF/, '');
+
+        const extension = file.name.split('.').pop().toLowerCase();
+        return extension === 'xer' ? parsePrimaveraXer(text) : parseMsProjectXml(text);
+    }
+
+    /**
+     * Excel files with the same columns are treated as the same template. A template remembers
+     * the column mapping and which discipline/status each value in the file was mapped to:
+     *   { columns: {code, title, ...}, disciplines: {"El": "electrical"}, statuses: {"Pågår": "in-progress"} }
+     */
+    getImportTemplateKey(columns) {
+        return 'columns_' + hashString([...columns].sort().join('\u0000'));
+    }
+
+    getImportTemplate(columns) {
+        const templates = this.state.projectSettings.importTemplates || {};
+        return templates[this.getImportTemplateKey(columns)] || null;
+    }
+
+    saveImportTemplate(columns, template) {
+        const templates = this.state.projectSettings.importTemplates || {};
+        this.updateProjectSettings({
+            importTemplates: { ...templates, [this.getImportTemplateKey(columns)]: template }
+        });
+    }
+
+    getSheetTemplates() {
+        return this.state.projectSettings.sheetTemplates || [];
+    }
+
+    // Adds the template, or replaces the one with the same id
+    saveSheetTemplate(template) {
+        const templates = this.getSheetTemplates();
+        const exists = templates.some(t => t.id === template.id);
+        this.updateProjectSettings({
+            sheetTemplates: exists ? templates.map(t => t.id === template.id ? template : t) : [...templates, template]
+        });
+    }
+
+    removeSheetTemplate(id) {
+        this.updateProjectSettings({
+            sheetTemplates: this.getSheetTemplates().filter(t => t.id !== id)
+        });
+    }
+
+    // Zones edited in a zone sheet, see applyZoneSheet
+    updateZonesFromSheet(layouts, count) {
+        this.commit('histImportZoneSheet', { count: count }, { layouts: layouts });
+    }
+
+    updateZonesFromGeoJson(layouts, count) {
+        this.commit('histImportGeoJson', { count: count }, { layouts: layouts });
+    }
+
     setSchedule(scheduleData) {
-        this.setState({ schedule: scheduleData });
+        this.commit('histEditSchedule', {}, { schedule: scheduleData });
+    }
+
+    setScheduleCalendars(calendars) {
+        this.commit('histEditSchedule', {}, { scheduleCalendars: calendars });
+    }
+
+    /**
+     * Replace the schedule and update the zones linked to it in every layout.
+     * Zones linked to an activity in `removedCodes` get a warning instead of a dangling link.
+     * @param {Array} scheduleData
+     * @param {Set<string>} [removedCodes] - Codes of activities that were removed on purpose
+     */
+    updateSchedule(scheduleData, removedCodes = new Set()) {
+        this.commit('histEditSchedule', {}, {
+            schedule: scheduleData,
+            layouts: syncZonesWithSchedule(this.state.layouts, scheduleData, removedCodes)
+        });
+    }
+
+    /**
+     * Zones linked to an activity code, in all layouts.
+     * @returns {Array<{layout, zone}>}
+     */
+    getZonesLinkedToActivity(code) {
+        const links = [];
+        this.state.layouts.forEach(layout => {
+            layout.zones.forEach(zone => {
+                const connected = (zone.customData && zone.customData._connectedActivities) || [];
+                if (connected.some(link => String(link.code) === String(code))) {
+                    links.push({ layout, zone });
+                }
+            });
+        });
+        return links;
     }
 
     // --- Layout Management ---
 
     addLayout(name) {
         const newLayout = {
-            id: 'layout_' + Date.now(), // Simple ID generation
+            id: 'layout_' + generateUUID(), // Date.now() collides when adding several at once
             name: name,
             zones: [],
-            backgroundImage: null,
+            backgroundRef: null,
             scale: 1,
             calibrationScale: 50, // Default pixels per meter
             pan: { x: 0, y: 0 }
         };
         
         const newLayouts = [...this.state.layouts, newLayout];
-        this.setState({ 
+        this.commit('histAddLayout', { name: name }, {
             layouts: newLayouts,
             activeLayoutId: newLayout.id 
         });
+        return newLayout.id;
     }
 
     setActiveLayout(layoutId) {
@@ -537,6 +1076,8 @@ class DataManager {
             return;
         }
 
+        const layout = this.state.layouts.find(l => l.id === layoutId);
+        if (!layout) return;
         const newLayouts = this.state.layouts.filter(l => l.id !== layoutId);
         let newActiveId = this.state.activeLayoutId;
         
@@ -544,29 +1085,31 @@ class DataManager {
             newActiveId = newLayouts[0].id;
         }
 
-        this.setState({ 
+        this.commit('histDeleteLayout', { name: layout.name }, {
             layouts: newLayouts,
             activeLayoutId: newActiveId
         });
     }
 
     renameLayout(layoutId, newName) {
+        const layout = this.state.layouts.find(l => l.id === layoutId);
+        if (!layout) return;
         const newLayouts = this.state.layouts.map(l => 
             l.id === layoutId ? { ...l, name: newName } : l
         );
-        this.setState({ layouts: newLayouts });
+        this.commit('histRenameLayout', { name: layout.name, newName: newName }, { layouts: newLayouts });
     }
 
     // --- Filter Management ---
 
     setFilters(newFilters) {
-        this.setState({
+        this.commit('histFilters', {}, {
             filters: { ...this.state.filters, ...newFilters }
-        });
+        }, 'filters');
     }
 
     resetFilters() {
-        this.setState({
+        this.commit('histResetFilters', {}, {
             filters: {
                 text: '',
                 disciplines: [],
@@ -583,6 +1126,6 @@ class DataManager {
 
     addSymbol(symbol) {
         const newSymbols = [...this.state.symbols, symbol];
-        this.setState({ symbols: newSymbols });
+        this.commit('histAddSymbol', { name: symbol.name }, { symbols: newSymbols });
     }
 }
@@ -0,0 +1,232 @@
+/**
+ * DXF Export
+ * Zones of a layout as an AutoCAD R12 DXF for CAD users. Closed zones become closed
+ * polylines on a layer per discipline or status (by view mode, like the legend), labels
+ * become TEXT, measurements a line with end ticks and their value. Coordinates are meters
+ * from the layout origin, y up (see getLayoutOrigin). R12 has no units header variable,
+ * CAD users set the drawing units to meters when they insert the file.
+ */
+
+// Layers for zones that are not planning zones
+const DXF_EXPORT_LAYERS = {
+    unassigned: 'ZONES',
+    markup: 'MARKUP',
+    measurements: 'MEASUREMENTS'
+};
+
+// Closed zone types that get a layer by discipline/status and a label, clouds are markup
+const DXF_EXPORT_ZONE_TYPES = ['rect', 'ellipse', 'polygon'];
+
+// R12 layer names: letters, digits, $, - and _, at most 31 characters. Accents are dropped (Kök -> KOK).
+function toDxfLayerName(name) {
+    const cleaned = String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase().replace(/[^A-Z0-9$_-]/g, '_').slice(0, 31);
+    return cleaned || DXF_EXPORT_LAYERS.unassigned;
+}
+
+// Nearest AutoCAD Color Index, see dxfColorToHex
+function hexToDxfColor(hex) {
+    const rgb = parseCssColor(hex);
+    if (!rgb) return 7;
+    let best = 7;
+    let bestDistance = Infinity;
+    for (let index = 1; index <= 255; index++) {
+        const color = parseCssColor(dxfColorToHex(index));
+        const distance = (color.r - rgb.r) ** 2 + (color.g - rgb.g) ** 2 + (color.b - rgb.b) ** 2;
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// R12 files are not UTF-8, other characters are written as \U+XXXX
+function encodeDxfText(text) {
+    return String(text)
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/[^\x20-\x7E]/g, char => `\\U+${char.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`);
+}
+
+function formatDxfNumber(value) {
+    return String(Math.round(value * 1e6) / 1e6);
+}
+
+/**
+ * @param {Object} layout - Layout with zones and calibrationScale
+ * @param {Object} state - Project state (view mode, disciplines, statuses)
+ * @param {Function} t - Translate function of the current language
+ * @returns {string} DXF document
+ */
+function buildZoneDxf(layout, state, t) {
+    const scale = layout.calibrationScale || 50; // Default 50px/m
+    const origin = getLayoutOrigin(layout);
+    const toMeters = (x, y) => [(x - origin.x) / scale, (origin.y - y) / scale];
+    const entities = [];
+    const layers = new Map([['0', 7]]); // name -> ACI color, CAD programs expect layer 0
+
+    const byDiscipline = state.viewMode === 'discipline';
+    const zoneLayer = (zone) => {
+        const item = byDiscipline
+            ? state.disciplines.find(d => d.id === zone.discipline)
+            : state.statuses.find(s => s.id === zone.status);
+        const name = item ? toDxfLayerName(t(item.name)) : DXF_EXPORT_LAYERS.unassigned;
+        if (!layers.has(name)) layers.set(name, item ? hexToDxfColor(item.color) : 7);
+        return name;
+    };
+    const useLayer = (name, color) => {
+        if (!layers.has(name)) layers.set(name, color);
+        return name;
+    };
+
+    // Entity writers, `color` null is BYLAYER
+    const add = (...pairs) => entities.push(...pairs);
+    const common = (type, layer, color) => {
+        add(0, type, 8, layer);
+        if (color !== null) add(62, color);
+    };
+    const line = (layer, color, x1, y1, x2, y2) => {
+        const [ax, ay] = toMeters(x1, y1);
+        const [bx, by] = toMeters(x2, y2);
+        common('LINE', layer, color);
+        add(10, ax, 20, ay, 30, 0, 11, bx, 21, by, 31, 0);
+    };
+    const polyline = (layer, color, points, closed, bulges = null) => {
+        common('POLYLINE', layer, color);
+        add(66, 1, 10, 0, 20, 0, 30, 0, 70, closed ? 1 : 0);
+        points.forEach((point, i) => {
+            const [x, y] = toMeters(point.x, point.y);
+            add(0, 'VERTEX', 8, layer, 10, x, 20, y, 30, 0);
+            if (bulges && bulges[i]) add(42, bulges[i]);
+        });
+        add(0, 'SEQEND', 8, layer);
+    };
+    // Centered on x, y (canvas), height in meters, angle in degrees counterclockwise
+    const text = (layer, color, value, x, y, height, angle = 0, valign = 2) => {
+        if (!value) return;
+        const [tx, ty] = toMeters(x, y);
+        common('TEXT', layer, color);
+        add(10, tx, 20, ty, 30, 0, 40, height, 1, encodeDxfText(value));
+        if (angle) add(50, angle);
+        add(72, 1, 11, tx, 21, ty, 31, 0, 73, valign);
+    };
+
+    layout.zones.forEach(zone => {
+        const type = zone.type || 'rect';
+        const color = zone.color ? hexToDxfColor(zone.color) : 1;
+
+        if (DXF_EXPORT_ZONE_TYPES.includes(type) || type === 'cloud' || type === 'draw-rect' || type === 'measure-area') {
+            const isZone = DXF_EXPORT_ZONE_TYPES.includes(type);
+            const layer = isZone ? zoneLayer(zone)
+                : useLayer(type === 'measure-area' ? DXF_EXPORT_LAYERS.measurements : DXF_EXPORT_LAYERS.markup, 1);
+            const points = type === 'cloud' ? zone.points : getZonePolygon(zone);
+            if (!points || points.length < 3) return;
+
+            // Cloud bumps as arcs, the same size as on a canvas at 100%
+            let outline = points;
+            let bulges = null;
+            if (type === 'cloud') {
+                outline = [];
+                bulges = [];
+                points.forEach((p1, i) => {
+                    const p2 = points[(i + 1) % points.length];
+                    const bumps = Math.max(1, Math.round(Math.hypot(p2.x - p1.x, p2.y - p1.y) / 20));
+                    for (let j = 0; j < bumps; j++) {
+                        outline.push({ x: p1.x + (p2.x - p1.x) * j / bumps, y: p1.y + (p2.y - p1.y) * j / bumps });
+                        bulges.push(0.5);
+                    }
+                });
+            }
+            polyline(layer, isZone ? null : color, outline, true, bulges);
+
+            const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            if (isZone) {
+                const xs = points.map(p => p.x);
+                const ys = points.map(p => p.y);
+                const size = Math.min(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) / scale;
+                text(layer, null, zone.name, cx, cy, Math.min(1, Math.max(0.1, size / 10)));
+            } else if (type === 'measure-area') {
+                const area = getZoneAreaMeters(zone, scale);
+                text(layer, color, `${area.toFixed(2)} m²`, cx, cy, 0.25);
+            }
+            return;
+        }
+
+        if (type === 'measure-length') {
+            const layer = useLayer(DXF_EXPORT_LAYERS.measurements, 1);
+            const length = Math.hypot(zone.x2 - zone.x, zone.y2 - zone.y);
+            if (length === 0) return;
+            line(layer, color, zone.x, zone.y, zone.x2, zone.y2);
+
+            // Ticks across both ends, 0.1 m long each way
+            const nx = -(zone.y2 - zone.y) / length * 0.1 * scale;
+            const ny = (zone.x2 - zone.x) / length * 0.1 * scale;
+            line(layer, color, zone.x + nx, zone.y + ny, zone.x - nx, zone.y - ny);
+            line(layer, color, zone.x2 + nx, zone.y2 + ny, zone.x2 - nx, zone.y2 - ny);
+
+            // Value above the line, never upside down
+            let angle = -Math.atan2(zone.y2 - zone.y, zone.x2 - zone.x) * 180 / Math.PI;
+            if (angle > 90) angle -= 180;
+            if (angle <= -90) angle += 180;
+            const rad = angle * Math.PI / 180;
+            const offset = 0.05 * scale;
+            const mx = (zone.x + zone.x2) / 2 - Math.sin(rad) * offset;
+            const my = (zone.y + zone.y2) / 2 - Math.cos(rad) * offset;
+            text(layer, color, `${(length / scale).toFixed(2)} m`, mx, my, 0.25, angle, 1);
+            return;
+        }
+
+        if (type === 'line' || type === 'arrow') {
+            const layer = useLayer(DXF_EXPORT_LAYERS.markup, 1);
+            line(layer, color, zone.x, zone.y, zone.x2, zone.y2);
+            if (type === 'arrow') {
+                const angle = Math.atan2(zone.y2 - zone.y, zone.x2 - zone.x);
+                const headLen = 15;
+                polyline(layer, color, [
+                    { x: zone.x2, y: zone.y2 },
+                    { x: zone.x2 - headLen * Math.cos(angle - Math.PI / 6), y: zone.y2 - headLen * Math.sin(angle - Math.PI / 6) },
+                    { x: zone.x2 - headLen * Math.cos(angle + Math.PI / 6), y: zone.y2 - headLen * Math.sin(angle + Math.PI / 6) }
+                ], true);
+            }
+            return;
+        }
+
+        if (type === 'draw-poly' && zone.points && zone.points.length > 1) {
+            polyline(useLayer(DXF_EXPORT_LAYERS.markup, 1), color, zone.points, false);
+            return;
+        }
+
+        if (type === 'text') {
+            const layer = useLayer(DXF_EXPORT_LAYERS.markup, 1);
+            const fontSize = (zone.customData && zone.customData.fontSize) || 16;
+            const lines = (zone.name || '').split('\n');
+            const lineHeight = fontSize * 1.2;
+            const startY = zone.y + zone.height / 2 - (lines.length - 1) * lineHeight / 2;
+            lines.forEach((value, i) => {
+                text(layer, zone.color ? color : 7, value, zone.x + zone.width / 2, startY + i * lineHeight, fontSize / scale);
+            });
+        }
+        // Symbols and images have no CAD counterpart
+    });
+
+    const out = [
+        0, 'SECTION', 2, 'HEADER',
+        9, '$ACADVER', 1, 'AC1009',
+        0, 'ENDSEC',
+        0, 'SECTION', 2, 'TABLES',
+        0, 'TABLE', 2, 'LTYPE', 70, 1,
+        0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+        0, 'ENDTAB',
+        0, 'TABLE', 2, 'LAYER', 70, layers.size
+    ];
+    layers.forEach((color, name) => out.push(0, 'LAYER', 2, name, 70, 0, 62, color, 6, 'CONTINUOUS'));
+    out.push(0, 'ENDTAB', 0, 'ENDSEC', 0, 'SECTION', 2, 'ENTITIES', ...entities, 0, 'ENDSEC', 0, 'EOF');
+
+    const lines = [];
+    for (let i = 0; i < out.length; i += 2) {
+        const value = out[i + 1];
+        lines.push(String(out[i]), typeof value === 'number' ? formatDxfNumber(value) : value);
+    }
+    return lines.join('\r\n') + '\r\n';
+}
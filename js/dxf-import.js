@@ -0,0 +1,512 @@
+/**
+ * DXF Import
+ * Reads LINE, LWPOLYLINE, POLYLINE, ARC, CIRCLE, TEXT and INSERT entities from an ASCII DXF and turns
+ * them into polylines and text in canvas coordinates. The drawing is used as a vector
+ * background: a raster of it defines the world coordinates (like a PDF background), the
+ * canvas draws the vectors on top. Closed polylines can become polygon zones.
+ */
+
+const DXF_ENTITY_TYPES = ['LINE', 'LWPOLYLINE', 'POLYLINE', 'ARC', 'CIRCLE', 'TEXT', 'INSERT'];
+
+// POLYLINE flags of 3D meshes, which have no outline to draw
+const DXF_POLYLINE_MESH_FLAGS = 16 | 64;
+
+// $INSUNITS -> meters. Unitless drawings (0) are read as millimeters, the usual unit for buildings.
+const DXF_UNIT_METERS = {
+    0: 0.001, 1: 0.0254, 2: 0.3048, 3: 1609.344, 4: 0.001, 5: 0.01, 6: 1, 7: 1000,
+    8: 0.0000000254, 9: 0.0000254, 10: 0.9144, 14: 0.1, 15: 10, 16: 100
+};
+
+// Longest side of the raster that defines the world coordinates
+const DXF_RASTER_MAX_SIDE = 4000;
+
+// Nesting limit for blocks inserted in blocks, also stops self-referencing blocks
+const DXF_MAX_BLOCK_DEPTH = 8;
+
+/**
+ * AutoCAD Color Index -> hex. 1-9 are the standard colors, 10-249 a hue wheel in 24 steps
+ * with five shades and a pastel variant each, 250-255 grays. 7 (white/black) is drawn black.
+ */
+function dxfColorToHex(index) {
+    const standard = [null, '#FF0000', '#FFFF00', '#00FF00', '#00FFFF', '#0000FF', '#FF00FF', '#000000', '#808080', '#C0C0C0'];
+    if (index >= 1 && index <= 9) return standard[index];
+    if (index >= 250 && index <= 255) return ['#333333', '#505050', '#696969', '#828282', '#BEBEBE', '#FFFFFF'][index - 250];
+    if (index < 10 || index > 249) return '#000000';
+
+    const hue = Math.floor((index - 10) / 10) * 15;
+    const step = (index - 10) % 10;
+    const value = [1, 0.8, 0.6, 0.5, 0.3][Math.floor(step / 2)];
+    const saturation = step % 2 === 0 ? 1 : 0.5;
+    const channel = (n) => {
+        const k = (n + hue / 60) % 6;
+        const c = value - value * saturation * Math.max(0, Math.min(k, 4 - k, 1));
+        return Math.round(c * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(5)}${channel(3)}${channel(1)}`.toUpperCase();
+}
+
+/**
+ * @param {string} text - ASCII DXF
+ * @returns {{units: number, layers: Object, blocks: Object, entities: Array}}
+ *          layers by name ({ name, color, off }), blocks by name ({ x, y, entities })
+ * @throws {Error} if the file has no ENTITIES section
+ */
+function parseDxf(text) {
+    const lines = text.split(/\r?\n/);
+    const pairs = [];
+    for (let i = 0; i + 1 < lines.length; i += 2) {
+        const code = parseInt(lines[i].trim(), 10);
+        if (isNaN(code)) throw new Error(`Invalid group code at line ${i + 1}`);
+        pairs.push([code, lines[i + 1].trim()]);
+    }
+
+    const dxf = { units: 0, layers: {}, blocks: {}, entities: [] };
+    let section = null;
+    let block = null;
+    let polyline = null; // Old style POLYLINE collecting its VERTEX entities until SEQEND
+    let hasEntities = false;
+
+    for (let i = 0; i < pairs.length; i++) {
+        const [code, value] = pairs[i];
+        if (code !== 0) {
+            if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+                dxf.units = parseInt(pairs[i + 1][1], 10) || 0;
+            }
+            continue;
+        }
+
+        if (value === 'SECTION') {
+            section = pairs[i + 1] ? pairs[i + 1][1] : null;
+            if (section === 'ENTITIES') hasEntities = true;
+            continue;
+        }
+        if (value === 'ENDSEC') {
+            section = null;
+            continue;
+        }
+
+        // Group codes of this object, up to the next 0
+        let end = i + 1;
+        while (end < pairs.length && pairs[end][0] !== 0) end++;
+        const groups = pairs.slice(i + 1, end);
+
+        if (section === 'TABLES' && value === 'LAYER') {
+            const layer = readDxfLayer(groups);
+            if (layer.name) dxf.layers[layer.name] = layer;
+        } else if (section === 'BLOCKS' && value === 'BLOCK') {
+            block = { name: dxfGroup(groups, 2, ''), x: dxfNumber(groups, 10), y: dxfNumber(groups, 20), entities: [] };
+            dxf.blocks[block.name] = block;
+        } else if (section === 'BLOCKS' && value === 'ENDBLK') {
+            block = null;
+        } else if (value === 'VERTEX' && polyline) {
+            // Spline frame control points are not on the curve
+            if ((dxfNumber(groups, 70, 0) & 16) === 0) {
+                const sign = polyline.mirrored ? -1 : 1;
+                polyline.entity.points.push({ x: dxfNumber(groups, 10) * sign, y: dxfNumber(groups, 20), bulge: dxfNumber(groups, 42) * sign });
+            }
+        } else if (value === 'SEQEND') {
+            polyline = null;
+        } else if ((section === 'ENTITIES' || (section === 'BLOCKS' && block)) && DXF_ENTITY_TYPES.includes(value)) {
+            const entity = readDxfEntity(value, groups);
+            if (value === 'POLYLINE') {
+                polyline = { entity, mirrored: dxfNumber(groups, 230, 1) < 0 };
+                if (dxfNumber(groups, 70, 0) & DXF_POLYLINE_MESH_FLAGS) continue; // Vertices are read and dropped
+            }
+            (section === 'ENTITIES' ? dxf.entities : block.entities).push(entity);
+        }
+    }
+
+    if (!hasEntities) throw new Error('No ENTITIES section');
+
+    // Layers used without a table entry
+    const addLayer = (entity) => {
+        if (!dxf.layers[entity.layer]) dxf.layers[entity.layer] = { name: entity.layer, color: 7, off: false };
+    };
+    dxf.entities.forEach(addLayer);
+    Object.values(dxf.blocks).forEach(b => b.entities.forEach(addLayer));
+    return dxf;
+}
+
+function dxfGroup(groups, code, fallback) {
+    const pair = groups.find(g => g[0] === code);
+    return pair ? pair[1] : fallback;
+}
+
+function dxfNumber(groups, code, fallback = 0) {
+    const value = parseFloat(dxfGroup(groups, code, ''));
+    return isNaN(value) ? fallback : value;
+}
+
+function readDxfLayer(groups) {
+    const color = dxfNumber(groups, 62, 7);
+    const flags = dxfNumber(groups, 70, 0);
+    return {
+        name: dxfGroup(groups, 2, ''),
+        color: Math.abs(color),
+        // Negative color means off, flag 1 frozen
+        off: color < 0 || (flags & 1) === 1
+    };
+}
+
+function readDxfEntity(type, groups) {
+    const entity = {
+        type,
+        layer: dxfGroup(groups, 8, '0'),
+        color: dxfNumber(groups, 62, 256) // 256 = BYLAYER, 0 = BYBLOCK
+    };
+    const trueColor = groups.find(g => g[0] === 420);
+    if (trueColor) entity.trueColor = '#' + (parseInt(trueColor[1], 10) & 0xFFFFFF).toString(16).padStart(6, '0').toUpperCase();
+    // Entities drawn from below (extrusion 0,0,-1) are mirrored in x
+    const mirrored = dxfNumber(groups, 230, 1) < 0;
+
+    if (type === 'LINE') {
+        Object.assign(entity, { x1: dxfNumber(groups, 10), y1: dxfNumber(groups, 20), x2: dxfNumber(groups, 11), y2: dxfNumber(groups, 21) });
+    } else if (type === 'LWPOLYLINE') {
+        // Vertices repeat 10, 20 and optionally 42 (bulge) in order
+        entity.points = [];
+        groups.forEach(([code, value]) => {
+            if (code === 10) entity.points.push({ x: parseFloat(value) * (mirrored ? -1 : 1), y: 0, bulge: 0 });
+            else if (code === 20 && entity.points.length) entity.points[entity.points.length - 1].y = parseFloat(value);
+            else if (code === 42 && entity.points.length) entity.points[entity.points.length - 1].bulge = parseFloat(value) * (mirrored ? -1 : 1);
+        });
+        entity.closed = (dxfNumber(groups, 70, 0) & 1) === 1;
+    } else if (type === 'POLYLINE') {
+        // Vertices follow as VERTEX entities, see parseDxf
+        entity.points = [];
+        entity.closed = (dxfNumber(groups, 70, 0) & 1) === 1;
+    } else if (type === 'ARC' || type === 'CIRCLE') {
+        entity.x = dxfNumber(groups, 10) * (mirrored ? -1 : 1);
+        entity.y = dxfNumber(groups, 20);
+        entity.radius = dxfNumber(groups, 40);
+        if (type === 'ARC') {
+            const start = dxfNumber(groups, 50);
+            const end = dxfNumber(groups, 51);
+            entity.start = mirrored ? 180 - end : start;
+            entity.end = mirrored ? 180 - start : end;
+        }
+    } else if (type === 'TEXT') {
+        const halign = dxfNumber(groups, 72, 0);
+        const valign = dxfNumber(groups, 73, 0);
+        // Aligned text is placed by its second point
+        const aligned = halign !== 0 || valign !== 0;
+        Object.assign(entity, {
+            x: dxfNumber(groups, aligned ? 11 : 10),
+            y: dxfNumber(groups, aligned ? 21 : 20),
+            height: dxfNumber(groups, 40, 1),
+            rotation: dxfNumber(groups, 50),
+            text: decodeDxfText(dxfGroup(groups, 1, '')),
+            halign,
+            valign
+        });
+    } else if (type === 'INSERT') {
+        Object.assign(entity, {
+            block: dxfGroup(groups, 2, ''),
+            x: dxfNumber(groups, 10),
+            y: dxfNumber(groups, 20),
+            scaleX: dxfNumber(groups, 41, 1),
+            scaleY: dxfNumber(groups, 42, 1),
+            rotation: dxfNumber(groups, 50)
+        });
+    }
+    return entity;
+}
+
+// Control codes and the usual %% specials
+function decodeDxfText(text) {
+    return text
+        .replace(/%%[cC]/g, 'Ø')
+        .replace(/%%[dD]/g, '°')
+        .replace(/%%[pP]/g, '±')
+        .replace(/%%[uUoO]/g, '')
+        .replace(/\\U\+([0-9A-Fa-f]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+// Points of an arc, at most 5.625 degrees apart
+function dxfArcPoints(cx, cy, radius, startAngle, sweep) {
+    const segments = Math.max(2, Math.ceil(Math.abs(sweep) / (Math.PI / 32)));
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = startAngle + sweep * i / segments;
+        points.push({ x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+    }
+    return points;
+}
+
+// Polyline vertices with bulges (arc segments) expanded to points
+function dxfPolylinePoints(entity) {
+    const points = [];
+    const count = entity.points.length;
+    const segments = entity.closed ? count : count - 1;
+    for (let i = 0; i < segments; i++) {
+        const a = entity.points[i];
+        const b = entity.points[(i + 1) % count];
+        points.push({ x: a.x, y: a.y });
+        if (!a.bulge) continue;
+
+        // Bulge is tan(sweep / 4), the arc runs from a to b
+        const sweep = 4 * Math.atan(a.bulge);
+        const chord = Math.hypot(b.x - a.x, b.y - a.y);
+        if (chord === 0) continue;
+        const radius = chord / (2 * Math.sin(Math.abs(sweep) / 2));
+        const midX = (a.x + b.x) / 2;
+        const midY = (a.y + b.y) / 2;
+        const offset = radius * Math.cos(sweep / 2) * Math.sign(a.bulge);
+        const cx = midX - offset * (b.y - a.y) / chord;
+        const cy = midY + offset * (b.x - a.x) / chord;
+        const arc = dxfArcPoints(cx, cy, radius, Math.atan2(a.y - cy, a.x - cx), sweep);
+        points.push(...arc.slice(1, -1));
+    }
+    if (!entity.closed && count > 0) points.push({ x: entity.points[count - 1].x, y: entity.points[count - 1].y });
+    return points;
+}
+
+/**
+ * Entities with blocks expanded, in drawing units.
+ * @returns {Array} { kind: 'path', layer, color, points, closed } and
+ *          { kind: 'text', layer, color, x, y, height, rotation, text, halign, valign }
+ *          rotation in degrees counterclockwise, paths from (LW)POLYLINE have polyline: true
+ */
+function flattenDxf(dxf) {
+    const items = [];
+
+    const resolveColor = (entity, parent) => {
+        if (entity.trueColor) return entity.trueColor;
+        if (entity.color === 0 && parent) return parent.color; // BYBLOCK
+        if (entity.color > 0 && entity.color < 256) return dxfColorToHex(entity.color);
+        const layer = dxf.layers[entity.layer];
+        return dxfColorToHex(layer ? layer.color : 7);
+    };
+
+    // matrix maps block coordinates to drawing coordinates: [a, b, c, d, e, f]
+    const walk = (entities, matrix, parent, depth) => {
+        const apply = (p) => ({ x: matrix[0] * p.x + matrix[2] * p.y + matrix[4], y: matrix[1] * p.x + matrix[3] * p.y + matrix[5] });
+        const scale = Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+
+        entities.forEach(entity => {
+            // Entities on layer 0 in a block take the layer of the insert
+            const layer = parent && entity.layer === '0' ? parent.layer : entity.layer;
+            const color = resolveColor({ ...entity, layer }, parent);
+            const addPath = (points, closed, polyline = false) => {
+                if (points.length > 1) items.push({ kind: 'path', layer, color, points: points.map(apply), closed, polyline });
+            };
+
+            if (entity.type === 'LINE') {
+                addPath([{ x: entity.x1, y: entity.y1 }, { x: entity.x2, y: entity.y2 }], false);
+            } else if (entity.type === 'LWPOLYLINE' || entity.type === 'POLYLINE') {
+                addPath(dxfPolylinePoints(entity), entity.closed, true);
+            } else if (entity.type === 'CIRCLE') {
+                addPath(dxfArcPoints(entity.x, entity.y, entity.radius, 0, Math.PI * 2).slice(0, -1), true);
+            } else if (entity.type === 'ARC') {
+                let sweep = (entity.end - entity.start) % 360;
+                if (sweep <= 0) sweep += 360;
+                addPath(dxfArcPoints(entity.x, entity.y, entity.radius, entity.start * Math.PI / 180, sweep * Math.PI / 180), false);
+            } else if (entity.type === 'TEXT') {
+                const origin = apply(entity);
+                const direction = apply({ x: entity.x + Math.cos(entity.rotation * Math.PI / 180), y: entity.y + Math.sin(entity.rotation * Math.PI / 180) });
+                items.push({
+                    kind: 'text',
+                    layer,
+                    color,
+                    x: origin.x,
+                    y: origin.y,
+                    height: entity.height * scale,
+                    rotation: Math.atan2(direction.y - origin.y, direction.x - origin.x) * 180 / Math.PI,
+                    text: entity.text,
+                    halign: entity.halign,
+                    valign: entity.valign
+                });
+            } else if (entity.type === 'INSERT') {
+                const block = dxf.blocks[entity.block];
+                if (!block || depth >= DXF_MAX_BLOCK_DEPTH) return;
+                const angle = entity.rotation * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+                // Insert point, rotation and scale, relative to the block base point
+                const local = [
+                    cos * entity.scaleX, sin * entity.scaleX,
+                    -sin * entity.scaleY, cos * entity.scaleY,
+                    entity.x - (cos * entity.scaleX * block.x - sin * entity.scaleY * block.y),
+                    entity.y - (sin * entity.scaleX * block.x + cos * entity.scaleY * block.y)
+                ];
+                const combined = [
+                    matrix[0] * local[0] + matrix[2] * local[1], matrix[1] * local[0] + matrix[3] * local[1],
+                    matrix[0] * local[2] + matrix[2] * local[3], matrix[1] * local[2] + matrix[3] * local[3],
+                    matrix[0] * local[4] + matrix[2] * local[5] + matrix[4], matrix[1] * local[4] + matrix[3] * local[5] + matrix[5]
+                ];
+                walk(block.entities, combined, { layer, color }, depth + 1);
+            }
+        });
+    };
+
+    walk(dxf.entities, [1, 0, 0, 1, 0, 0], null, 0);
+    return items;
+}
+
+/**
+ * Where the drawing goes on the canvas: the extents of all items (hidden layers too, so
+ * toggling layers keeps the coordinates) fill a raster of at most DXF_RASTER_MAX_SIDE
+ * pixels, y points down.
+ * @returns {{minX: number, maxY: number, pixelsPerUnit: number, width: number, height: number}|null}
+ */
+function getDxfPlacement(items) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const extend = (x, y) => {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+    };
+    items.forEach(item => {
+        if (item.kind === 'path') item.points.forEach(p => extend(p.x, p.y));
+        else extend(item.x, item.y);
+    });
+    if (!isFinite(minX)) return null;
+
+    const size = Math.max(maxX - minX, maxY - minY) || 1;
+    const pixelsPerUnit = DXF_RASTER_MAX_SIDE / size;
+    return {
+        minX,
+        maxY,
+        pixelsPerUnit,
+        width: Math.max(1, Math.ceil((maxX - minX) * pixelsPerUnit)),
+        height: Math.max(1, Math.ceil((maxY - minY) * pixelsPerUnit))
+    };
+}
+
+/**
+ * Layers that have items, by name. Layers missing from the LAYER table are visible.
+ * @param {Object} layerTable - layers of parseDxf, for the off/frozen state
+ * @returns {Array<{name: string, off: boolean, closedPolylines: number}>}
+ */
+function getDxfLayers(items, layerTable = {}) {
+    const layers = new Map();
+    items.forEach(item => {
+        if (!layers.has(item.layer)) {
+            const entry = layerTable[item.layer];
+            layers.set(item.layer, { name: item.layer, off: !!(entry && entry.off), closedPolylines: 0 });
+        }
+        if (item.kind === 'path' && item.polyline && item.closed) layers.get(item.layer).closedPolylines++;
+    });
+    return [...layers.values()].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+/**
+ * Items of the visible layers in canvas coordinates, grouped by color so each color is
+ * one path when drawn.
+ * @param {Object} placement - backgroundDxf of the layout, see getDxfPlacement
+ * @param {string[]} hiddenLayers
+ * @returns {{paths: Array<{color: string, lines: number[][]}>, texts: Array}}
+ */
+function buildDxfScene(items, placement, hiddenLayers = []) {
+    const hidden = new Set(hiddenLayers);
+    const { minX, maxY, pixelsPerUnit } = placement;
+    const byColor = new Map();
+    const texts = [];
+
+    items.forEach(item => {
+        if (hidden.has(item.layer)) return;
+        if (item.kind === 'text') {
+            texts.push({
+                ...item,
+                x: (item.x - minX) * pixelsPerUnit,
+                y: (maxY - item.y) * pixelsPerUnit,
+                height: item.height * pixelsPerUnit
+            });
+            return;
+        }
+        const line = [];
+        item.points.forEach(p => line.push((p.x - minX) * pixelsPerUnit, (maxY - p.y) * pixelsPerUnit));
+        if (item.closed) line.push(line[0], line[1]);
+        if (!byColor.has(item.color)) byColor.set(item.color, []);
+        byColor.get(item.color).push(line);
+    });
+
+    return { paths: Array.from(byColor, ([color, lines]) => ({ color, lines })), texts };
+}
+
+/**
+ * Draw a scene in canvas coordinates (ctx already in world space).
+ * @param {number} lineWidth - In canvas units, 1 / scale keeps hairlines on screen
+ */
+function drawDxfScene(ctx, scene, lineWidth = 1) {
+    ctx.save();
+    ctx.lineWidth = lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.setLineDash([]);
+    scene.paths.forEach(({ color, lines }) => {
+        // White lines are meant for a black model space, draw them black on paper
+        ctx.strokeStyle = color === '#FFFFFF' ? '#000000' : color;
+        ctx.beginPath();
+        lines.forEach(line => {
+            ctx.moveTo(line[0], line[1]);
+            for (let i = 2; i < line.length; i += 2) ctx.lineTo(line[i], line[i + 1]);
+        });
+        ctx.stroke();
+    });
+
+    scene.texts.forEach(text => {
+        if (!text.text || text.height <= 0) return;
+        ctx.save();
+        ctx.translate(text.x, text.y);
+        ctx.rotate(-text.rotation * Math.PI / 180);
+        ctx.fillStyle = text.color === '#FFFFFF' ? '#000000' : text.color;
+        ctx.font = `${text.height}px sans-serif`;
+        // 72: left, center, right, aligned, middle, fit. 73: baseline, bottom, middle, top
+        ctx.textAlign = ['left', 'center', 'right', 'left', 'center', 'left'][text.halign] || 'left';
+        ctx.textBaseline = text.halign === 4 ? 'middle' : (['alphabetic', 'bottom', 'middle', 'top'][text.valign] || 'alphabetic');
+        ctx.fillText(text.text, 0, 0);
+        ctx.restore();
+    });
+    ctx.restore();
+}
+
+/**
+ * Polygon zones from the closed polylines on a layer. A text inside the outline (any
+ * layer, e.g. a room name) becomes the zone name.
+ * @returns {Array} zones ready for DataManager.addZones
+ */
+function dxfPolylinesToZones(items, placement, layer, options = {}) {
+    const t = options.t || (key => key);
+    const { minX, maxY, pixelsPerUnit } = placement;
+    const toCanvas = (p) => ({ x: (p.x - minX) * pixelsPerUnit, y: (maxY - p.y) * pixelsPerUnit });
+    const texts = items.filter(item => item.kind === 'text' && item.text.trim());
+
+    const inside = (point, polygon) => {
+        let result = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) && point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                result = !result;
+            }
+        }
+        return result;
+    };
+
+    return items
+        .filter(item => item.kind === 'path' && item.polyline && item.closed && item.layer === layer && item.points.length >= 3)
+        .map(item => {
+            const label = texts.find(text => inside(text, item.points));
+            const points = item.points.map(toCanvas);
+            const x = Math.min(...points.map(p => p.x));
+            const y = Math.min(...points.map(p => p.y));
+            return {
+                id: generateUUID(),
+                type: 'polygon',
+                points,
+                x,
+                y,
+                width: Math.max(...points.map(p => p.x)) - x,
+                height: Math.max(...points.map(p => p.y)) - y,
+                color: '#2563EB',
+                borderColor: '#2563EB',
+                opacity: 0.5,
+                name: label ? label.text.trim() : t('newPolygon'),
+                discipline: '',
+                status: 'planned',
+                comments: '',
+                customData: {}
+            };
+        });
+}
@@ -0,0 +1,370 @@
+/**
+ * History Manager
+ * Command based undo/redo for the whole project state. Every mutating DataManager
+ * method records the top level state keys it changes.
+ *
+ * The state is only ever replaced, never edited in place, so an entry does not need
+ * copies: it stores a patch between the old and the new value. Lists of items with an id
+ * (layouts, zones, disciplines...) are patched per item and changed items per property.
+ * Memory grows with the size of a change, not with the size of the project.
+ */
+
+// Items are matched by id, schedule activities by code
+function getItemKey(item) {
+    if (!item || typeof item !== 'object') return undefined;
+    return item.id !== undefined ? item.id : item.code;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isKeyedList(list) {
+    return Array.isArray(list) && list.every(item => getItemKey(item) !== undefined);
+}
+
+/**
+ * Patch that turns `before` into `after`, null if they are the same.
+ * Values are compared by reference, unchanged parts are not visited.
+ *   { op: 'set', before, after }
+ *   { op: 'object', props: { key: patch } }
+ *   { op: 'list', removed: [{index, item}], added: [{index, item}], changed: [{key, patch}], order }
+ */
+function diffValues(before, after) {
+    if (before === after) return null;
+    if (isPlainObject(before) && isPlainObject(after)) return diffObjects(before, after);
+    if (isKeyedList(before) && isKeyedList(after)) return diffLists(before, after);
+    return { op: 'set', before: before, after: after };
+}
+
+function diffObjects(before, after) {
+    const props = {};
+    let changed = false;
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+        const patch = diffValues(before[key], after[key]);
+        if (patch) {
+            props[key] = patch;
+            changed = true;
+        }
+    });
+    return changed ? { op: 'object', props: props } : null;
+}
+
+function diffLists(before, after) {
+    // Most edits change items in place, compare by position before building lookups
+    if (before.length === after.length && before.every((item, i) => getItemKey(item) === getItemKey(after[i]))) {
+        const changed = [];
+        before.forEach((item, i) => {
+            const patch = diffValues(item, after[i]);
+            if (patch) changed.push({ key: getItemKey(item), patch });
+        });
+        return changed.length > 0 ? { op: 'list', removed: [], added: [], changed: changed, order: null } : null;
+    }
+
+    const beforeByKey = new Map(before.map(item => [getItemKey(item), item]));
+    const afterByKey = new Map(after.map(item => [getItemKey(item), item]));
+    if (beforeByKey.size < before.length || afterByKey.size < after.length) {
+        // Duplicate keys (e.g. an imported schedule), items cannot be matched
+        return { op: 'set', before: before, after: after };
+    }
+
+    const removed = [];
+    before.forEach((item, index) => {
+        if (!afterByKey.has(getItemKey(item))) removed.push({ index, item });
+    });
+
+    const added = [];
+    const changed = [];
+    after.forEach((item, index) => {
+        const key = getItemKey(item);
+        if (!beforeByKey.has(key)) {
+            added.push({ index, item });
+            return;
+        }
+        const patch = diffValues(beforeByKey.get(key), item);
+        if (patch) changed.push({ key, patch });
+    });
+
+    // The full order is only kept when items that are in both lists moved (bring to front...)
+    const beforeOrder = before.map(getItemKey).filter(key => afterByKey.has(key));
+    const afterOrder = after.map(getItemKey).filter(key => beforeByKey.has(key));
+    const reordered = beforeOrder.some((key, i) => key !== afterOrder[i]);
+
+    if (removed.length === 0 && added.length === 0 && changed.length === 0 && !reordered) return null;
+    return {
+        op: 'list',
+        removed: removed,
+        added: added,
+        changed: changed,
+        order: reordered ? { before: beforeOrder, after: afterOrder } : null
+    };
+}
+
+/**
+ * Apply a patch forward (before -> after) or backward (after -> before).
+ * Returns a new value, `value` is not modified.
+ */
+function applyPatch(value, patch, forward) {
+    if (patch.op === 'set') {
+        return forward ? patch.after : patch.before;
+    }
+
+    if (patch.op === 'object') {
+        const result = { ...value };
+        Object.keys(patch.props).forEach(key => {
+            const newValue = applyPatch(value ? value[key] : undefined, patch.props[key], forward);
+            if (newValue === undefined) {
+                delete result[key];
+            } else {
+                result[key] = newValue;
+            }
+        });
+        return result;
+    }
+
+    const drop = new Set((forward ? patch.removed : patch.added).map(entry => getItemKey(entry.item)));
+    const changed = new Map(patch.changed.map(entry => [entry.key, entry.patch]));
+    const result = (Array.isArray(value) ? value : [])
+        .filter(item => !drop.has(getItemKey(item)))
+        .map(item => {
+            const itemPatch = changed.get(getItemKey(item));
+            return itemPatch ? applyPatch(item, itemPatch, forward) : item;
+        });
+
+    if (patch.order) {
+        const position = new Map((forward ? patch.order.after : patch.order.before).map((key, i) => [key, i]));
+        result.sort((a, b) => position.get(getItemKey(a)) - position.get(getItemKey(b)));
+    }
+
+    // Indices refer to the target list, inserting in ascending order puts every item in place
+    (forward ? patch.added : patch.removed).forEach(entry => {
+        result.splice(entry.index, 0, entry.item);
+    });
+    return result;
+}
+
+function diffStates(before, after) {
+    const patches = {};
+    Object.keys(after).forEach(key => {
+        const patch = diffValues(before[key], after[key]);
+        if (patch) patches[key] = patch;
+    });
+    return patches;
+}
+
+// Properties that hold a blob store hash, 'key' is the one of backgroundPdf and backgroundDxf
+const BLOB_REF_PROPERTIES = ['backgroundRef', 'logoRef', 'key'];
+
+// Strings below a BLOB_REF_PROPERTIES property anywhere in a patch. Item keys of list
+// patches end up in the set as well, they never match a hash.
+function collectPatchBlobRefs(value, refs = new Set(), inRef = false) {
+    if (typeof value === 'string') {
+        if (inRef) refs.add(value);
+        return refs;
+    }
+    if (!value || typeof value !== 'object') return refs;
+    Object.keys(value).forEach(key => collectPatchBlobRefs(value[key], refs, inRef || BLOB_REF_PROPERTIES.includes(key)));
+    return refs;
+}
+
+class HistoryManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        // { label: {key, params}, mergeKey, patches: {stateKey: patch}, layoutId, time }
+        this.entries = [];
+        this.index = 0; // Number of applied entries, entries from here on can be redone
+        this.maxEntries = 100;
+        this.mergeWindow = 1000; // ms, repeated edits of the same thing within this window become one entry
+
+        // The newest entry keeps its old and new top level values until the next entry
+        // arrives, so an edit merged into it can be diffed against the original value
+        this.mergeBase = null; // { before: {stateKey: value}, after: {stateKey: value} }
+
+        // Open batch, collects several changes (e.g. a drag on the canvas) into one entry
+        this.batch = null;
+        this.batchDepth = 0;
+
+        this.blobRefCache = new WeakMap(); // entry.patches -> Set of blob hashes
+
+        this.listeners = [];
+    }
+
+    subscribe(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    currentValues(keys) {
+        const state = this.dataManager.getState();
+        const values = {};
+        keys.forEach(key => {
+            values[key] = state[key];
+        });
+        return values;
+    }
+
+    /**
+     * Record a change. Must be called before the change is applied to the state.
+     * @param {{key: string, params: Object}} label - Translation key and params shown in the history panel
+     * @param {Object} changes - Top level state keys and their new values
+     * @param {string} [mergeKey] - Consecutive entries with the same label and mergeKey are merged,
+     *                              so typing in a field does not create an entry per keystroke
+     */
+    record(label, changes, mergeKey = null) {
+        const keys = Object.keys(changes);
+
+        if (this.batch) {
+            const untouched = keys.filter(key => !(key in this.batch.before));
+            Object.assign(this.batch.before, this.currentValues(untouched));
+            return;
+        }
+
+        this.add({
+            label: label,
+            mergeKey: mergeKey,
+            layoutId: keys.includes('layouts') ? this.dataManager.getState().activeLayoutId : null,
+            time: Date.now()
+        }, this.currentValues(keys), changes);
+    }
+
+    add(entry, before, after) {
+        const last = this.entries[this.index - 1];
+        if (entry.mergeKey && last && this.mergeBase && this.index === this.entries.length &&
+            last.mergeKey === entry.mergeKey && last.label.key === entry.label.key &&
+            entry.time - last.time < this.mergeWindow) {
+            this.mergeBase.before = { ...before, ...this.mergeBase.before };
+            this.mergeBase.after = { ...this.mergeBase.after, ...after };
+            last.patches = diffStates(this.mergeBase.before, this.mergeBase.after);
+            last.label = entry.label;
+            last.time = entry.time;
+            this.notify();
+            return;
+        }
+
+        entry.patches = diffStates(before, after);
+        if (Object.keys(entry.patches).length === 0) return; // Nothing changed, e.g. a click without drag
+
+        // A new change discards everything that could have been redone
+        this.entries = this.entries.slice(0, this.index);
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length;
+        this.mergeBase = entry.mergeKey ? { before, after } : null;
+        this.notify();
+    }
+
+    /**
+     * Group the changes until the matching endBatch into one entry.
+     * Nested batches join the outermost one, which also decides the label.
+     */
+    beginBatch(label, mergeKey = null) {
+        this.batchDepth++;
+        if (this.batchDepth > 1) return;
+        this.batch = {
+            label: label,
+            mergeKey: mergeKey,
+            before: {},
+            layoutId: this.dataManager.getState().activeLayoutId
+        };
+    }
+
+    endBatch() {
+        if (this.batchDepth === 0) return;
+        this.batchDepth--;
+        if (this.batchDepth > 0) return;
+
+        const batch = this.batch;
+        this.batch = null;
+
+        const keys = Object.keys(batch.before);
+        if (keys.length === 0) return;
+
+        this.add({
+            label: batch.label,
+            mergeKey: batch.mergeKey,
+            layoutId: keys.includes('layouts') ? batch.layoutId : null,
+            time: Date.now()
+        }, batch.before, this.currentValues(keys));
+    }
+
+    canUndo() {
+        return !this.batch && this.index > 0;
+    }
+
+    canRedo() {
+        return !this.batch && this.index < this.entries.length;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        this.jumpTo(this.index - 1);
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.jumpTo(this.index + 1);
+    }
+
+    /**
+     * Move to the state after the first `index` entries, 0 is the state before the oldest entry.
+     * The patches of all entries passed are applied in turn and the state is replaced once.
+     */
+    jumpTo(index) {
+        if (this.batch || index < 0 || index > this.entries.length || index === this.index) return;
+
+        const state = this.dataManager.getState();
+        const values = {};
+        let layoutId = null;
+        const applyEntry = (entry, forward) => {
+            Object.keys(entry.patches).forEach(key => {
+                values[key] = applyPatch(key in values ? values[key] : state[key], entry.patches[key], forward);
+            });
+            layoutId = entry.layoutId || layoutId;
+        };
+
+        if (index < this.index) {
+            for (let i = this.index - 1; i >= index; i--) applyEntry(this.entries[i], false);
+        } else {
+            for (let i = this.index; i < index; i++) applyEntry(this.entries[i], true);
+        }
+
+        this.index = index;
+        this.dataManager.applyHistory(values, layoutId);
+        this.notify();
+    }
+
+    getEntries() {
+        return this.entries;
+    }
+
+    getIndex() {
+        return this.index;
+    }
+
+    // Blob store hashes that undo or redo can bring back
+    getBlobRefs() {
+        const refs = new Set();
+        this.entries.forEach(entry => {
+            if (!this.blobRefCache.has(entry.patches)) {
+                this.blobRefCache.set(entry.patches, collectPatchBlobRefs(entry.patches));
+            }
+            this.blobRefCache.get(entry.patches).forEach(ref => refs.add(ref));
+        });
+        return refs;
+    }
+
+    // Used when the whole state is replaced (project switch, snapshot restore)
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.mergeBase = null;
+        this.batch = null;
+        this.batchDepth = 0;
+        this.notify();
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Schema Migrations
+ * Every load path (IndexedDB, LocalStorage, project import) runs the stored state
+ * through this pipeline so old projects are upgraded the same way everywhere.
+ *
+ * Rules for new migrations:
+ * - Append only, never reorder or change a released migration.
+ * - States saved before schemaVersion existed start at 0 and run every step,
+ *   so a migration must leave already migrated data untouched.
+ * - Imported files are migrated before validateProject sees them. Layouts and zones
+ *   that are not objects (null in a hand-edited file) are passed through unchanged,
+ *   validateProject drops them and lists them in the repair report.
+ */
+
+const SCHEMA_VERSION = 7;
+
+function isMigratableEntry(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'Move root zones into layouts',
+        up: (state) => {
+            if (!state.zones || state.layouts) return state;
+            const newState = {
+                ...state,
+                activeLayoutId: 'default',
+                layouts: [
+                    {
+                        id: 'default',
+                        name: 'Layout 1',
+                        zones: state.zones || [],
+                        backgroundImage: state.backgroundImage || null,
+                        scale: 1,
+                        calibrationScale: 50,
+                        pan: { x: 0, y: 0 }
+                    }
+                ]
+            };
+            delete newState.zones;
+            delete newState.backgroundImage;
+            return newState;
+        }
+    },
+    {
+        version: 2,
+        name: "Remove legacy 'cloud' symbol (now a tool)",
+        up: (state) => {
+            if (!Array.isArray(state.symbols)) return state;
+            return { ...state, symbols: state.symbols.filter(s => !isMigratableEntry(s) || s.id !== 'cloud') };
+        }
+    },
+    {
+        version: 3,
+        name: '_activityCode to _connectedActivities',
+        up: (state) => ({
+            ...state,
+            layouts: (Array.isArray(state.layouts) ? state.layouts : []).map(layout => !isMigratableEntry(layout) ? layout : ({
+                ...layout,
+                zones: (Array.isArray(layout.zones) ? layout.zones : []).map(zone => {
+                    if (!isMigratableEntry(zone)) return zone;
+                    const customData = zone.customData;
+                    if (!customData || !customData._activityCode) return zone;
+
+                    const newCustomData = { ...customData };
+                    const connected = [...(newCustomData._connectedActivities || [])];
+                    if (!connected.some(a => a.code === customData._activityCode)) {
+                        connected.push({
+                            code: customData._activityCode,
+                            start: customData._startDate,
+                            end: customData._endDate,
+                            title: customData.name || zone.name || String(customData._activityCode)
+                        });
+                    }
+                    newCustomData._connectedActivities = connected;
+                    delete newCustomData._activityCode;
+                    delete newCustomData._startDate;
+                    delete newCustomData._endDate;
+                    return { ...zone, customData: newCustomData };
+                })
+            }))
+        })
+    },
+    {
+        version: 4,
+        name: 'Fill in missing defaults',
+        up: (state, { defaults }) => {
+            const newState = { ...state };
+
+            // Top level keys added in later versions
+            Object.keys(defaults).forEach(key => {
+                if (newState[key] === undefined || newState[key] === null) {
+                    newState[key] = defaults[key];
+                }
+            });
+            newState.projectSettings = { ...defaults.projectSettings, ...newState.projectSettings };
+            newState.filters = { ...defaults.filters, ...newState.filters };
+
+            if (!Array.isArray(newState.layouts) || newState.layouts.length === 0) {
+                newState.layouts = defaults.layouts;
+            }
+            newState.layouts = newState.layouts.map(layout => !isMigratableEntry(layout) ? layout : ({
+                ...layout,
+                scale: layout.scale || 1,
+                calibrationScale: layout.calibrationScale || 50,
+                pan: layout.pan || { x: 0, y: 0 },
+                zones: (Array.isArray(layout.zones) ? layout.zones : []).map(zone =>
+                    isMigratableEntry(zone) ? { ...zone, customData: zone.customData || {} } : zone)
+            }));
+
+            const firstLayout = newState.layouts.find(isMigratableEntry);
+            if (firstLayout && !newState.layouts.some(l => isMigratableEntry(l) && l.id === newState.activeLayoutId)) {
+                newState.activeLayoutId = firstLayout.id;
+            }
+            return newState;
+        }
+    },
+    {
+        version: 5,
+        name: 'Move inline backgrounds to the blob store',
+        up: async (state) => {
+            // Older JSON exports carry the PDF sources in a map next to the layouts
+            const pdfKeys = {};
+            for (const [key, dataUrl] of Object.entries(state.pdfSources || {})) {
+                pdfKeys[key] = await db.saveBlob(dataUrlToBlob(dataUrl));
+            }
+
+            const layouts = [];
+            for (const layout of state.layouts) {
+                if (!isMigratableEntry(layout)) {
+                    layouts.push(layout);
+                    continue;
+                }
+                const newLayout = { ...layout };
+                if (typeof layout.backgroundImage === 'string' && layout.backgroundImage.startsWith('data:')) {
+                    newLayout.backgroundRef = await db.saveBlob(dataUrlToBlob(layout.backgroundImage));
+                }
+                delete newLayout.backgroundImage;
+                if (newLayout.backgroundRef === undefined) newLayout.backgroundRef = null;
+                if (layout.backgroundPdf && pdfKeys[layout.backgroundPdf.key]) {
+                    newLayout.backgroundPdf = { ...layout.backgroundPdf, key: pdfKeys[layout.backgroundPdf.key] };
+                }
+                layouts.push(newLayout);
+            }
+
+            const newState = { ...state, layouts };
+            delete newState.pdfSources;
+            return newState;
+        }
+    },
+    {
+        version: 6,
+        name: 'Add schedule calendars',
+        up: (state) => {
+            if (Array.isArray(state.scheduleCalendars)) return state;
+            return { ...state, scheduleCalendars: [] };
+        }
+    },
+    {
+        version: 7,
+        name: 'Move sheet template logos to the blob store',
+        up: async (state) => {
+            const settings = state.projectSettings;
+            if (!isMigratableEntry(settings) || !Array.isArray(settings.sheetTemplates)) return state;
+
+            const sheetTemplates = [];
+            for (const template of settings.sheetTemplates) {
+                if (!isMigratableEntry(template) || !('logo' in template)) {
+                    sheetTemplates.push(template);
+                    continue;
+                }
+                const newTemplate = { ...template, logoRef: template.logoRef || null };
+                if (typeof template.logo === 'string' && template.logo.startsWith('data:')) {
+                    newTemplate.logoRef = await db.saveBlob(dataUrlToBlob(template.logo));
+                }
+                delete newTemplate.logo;
+                sheetTemplates.push(newTemplate);
+            }
+            return { ...state, projectSettings: { ...settings, sheetTemplates } };
+        }
+    }
+];
+
+/**
+ * Run all migrations newer than state.schemaVersion.
+ * @param {Object} state - Loaded or imported state (not mutated)
+ * @param {Object} context - { defaults, source } defaults is a fresh default state,
+ *                           source names the load path for the log
+ * @returns {Promise<{state: Object, applied: string[]}>}
+ */
+async function migrateState(state, context = {}) {
+    const fromVersion = state.schemaVersion || 0;
+
+    if (fromVersion > SCHEMA_VERSION) {
+        console.warn(`Project schema v${fromVersion} is newer than this app (v${SCHEMA_VERSION}), loading without migrations`);
+        return { state, applied: [] };
+    }
+
+    let migrated = state;
+    const applied = [];
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= fromVersion) continue;
+        migrated = await migration.up(migrated, context);
+        migrated = { ...migrated, schemaVersion: migration.version };
+        applied.push(`v${migration.version}: ${migration.name}`);
+    }
+
+    if (applied.length > 0) {
+        console.log(`Migrated ${context.source || 'project'} from schema v${fromVersion} to v${SCHEMA_VERSION}:\n  ${applied.join('\n  ')}`);
+    }
+    return { state: migrated, applied };
+}
@@ -0,0 +1,139 @@
+/**
+ * PDF Annotation Import
+ * Converts markup annotations (Bluebeam, Acrobat etc.) on a PDF page into zones.
+ */
+
+// Annotation subtypes we know how to turn into zones
+const PDF_ANNOTATION_SUBTYPES = ['Square', 'Polygon', 'PolyLine', 'FreeText'];
+
+// pdf.js returns colors as [r, g, b] (0-255)
+function pdfColorToHex(color, fallback = '#2563EB') {
+    if (!color || color.length < 3) return fallback;
+    return '#' + Array.from(color).slice(0, 3).map(c => {
+        const hex = Math.round(c).toString(16);
+        return hex.length === 1 ? '0' + hex : hex;
+    }).join('');
+}
+
+function getAnnotationText(annotation) {
+    const contents = (annotation.contentsObj && annotation.contentsObj.str) || annotation.contents || '';
+    const title = (annotation.titleObj && annotation.titleObj.str) || annotation.title || '';
+    // Subject/intent are not exposed by every pdf.js build, read them if they exist
+    const subject = annotation.subject || '';
+    const intent = annotation.intent || annotation.it || '';
+    return { contents, title, subject, intent };
+}
+
+// Bluebeam marks clouds with the intent "PolygonCloud" and the subject "Cloud"
+function isCloudAnnotation(annotation) {
+    const { subject, intent, title } = getAnnotationText(annotation);
+    const haystack = `${intent} ${subject} ${title}`.toLowerCase();
+    return haystack.includes('cloud') || haystack.includes('moln');
+}
+
+// Custom columns such as "WBS" are written into the text fields as "WBS: 1.2.3"
+// when the markup list is flattened, so we look for that pattern in all of them.
+function extractWbsCode(annotation) {
+    const { contents, title, subject } = getAnnotationText(annotation);
+    const match = `${contents}\n${subject}\n${title}`.match(/\bWBS\s*[:=]\s*([^\s;,]+)/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * Convert pdf.js annotations into zones in canvas coordinates.
+ * @param {Array} annotations - Result of page.getAnnotations()
+ * @param {Object} viewport - The pdf.js viewport the background was rendered with
+ * @param {Object} options - { schedule, t } where t is the translation function
+ * @returns {Array} zones ready for DataManager.addZones
+ */
+function pdfAnnotationsToZones(annotations, viewport, options = {}) {
+    const schedule = options.schedule || [];
+    const t = options.t || (key => key);
+    const zones = [];
+
+    (annotations || []).forEach(annotation => {
+        if (!PDF_ANNOTATION_SUBTYPES.includes(annotation.subtype)) return;
+
+        let type;
+        let points = null;
+
+        if ((annotation.subtype === 'Polygon' || annotation.subtype === 'PolyLine') && annotation.vertices && annotation.vertices.length > 2) {
+            points = annotation.vertices.map(v => {
+                const [x, y] = viewport.convertToViewportPoint(v.x, v.y);
+                return { x, y };
+            });
+            type = isCloudAnnotation(annotation) ? 'cloud' : 'polygon';
+        } else if (annotation.rect) {
+            // Squares, free text and polygons without usable vertices fall back to their bounding box
+            type = isCloudAnnotation(annotation) ? 'cloud' : 'draw-rect';
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+            const left = Math.min(x1, x2);
+            const top = Math.min(y1, y2);
+            const right = Math.max(x1, x2);
+            const bottom = Math.max(y1, y2);
+            if (type === 'draw-rect') {
+                zones.push(buildZone(annotation, type, { x: left, y: top, width: right - left, height: bottom - top }));
+                return;
+            }
+            points = [
+                { x: left, y: top },
+                { x: right, y: top },
+                { x: right, y: bottom },
+                { x: left, y: bottom }
+            ];
+        } else {
+            return;
+        }
+
+        const x = Math.min(...points.map(p => p.x));
+        const y = Math.min(...points.map(p => p.y));
+        zones.push(buildZone(annotation, type, {
+            points,
+            x,
+            y,
+            width: Math.max(...points.map(p => p.x)) - x,
+            height: Math.max(...points.map(p => p.y)) - y
+        }));
+    });
+
+    function buildZone(annotation, type, geometry) {
+        const { contents } = getAnnotationText(annotation);
+        const color = pdfColorToHex(annotation.color, type === 'cloud' ? '#94A3B8' : '#2563EB');
+        const defaultName = type === 'cloud' ? t('cloud') : (type === 'draw-rect' ? t('rectangle') : t('newPolygon'));
+
+        const zone = {
+            id: generateUUID(),
+            type: type,
+            ...geometry,
+            color: color,
+            borderColor: color,
+            opacity: 0.5,
+            noFill: annotation.subtype === 'FreeText',
+            name: contents ? contents.split('\n')[0].trim() : defaultName,
+            discipline: '',
+            status: 'planned',
+            comments: contents,
+            customData: {}
+        };
+
+        // Map WBS to an activity code. Prefer the live schedule entry if one exists.
+        const wbs = extractWbsCode(annotation);
+        if (wbs) {
+            const activity = schedule.find(a => String(a.code) === wbs);
+            zone.customData._connectedActivities = [{
+                code: wbs,
+                start: activity ? activity.start : undefined,
+                end: activity ? activity.end : undefined,
+                title: activity ? activity.title : wbs
+            }];
+            if (activity) {
+                zone.startDate = activity.start;
+                zone.endDate = activity.end;
+            }
+        }
+
+        return zone;
+    }
+
+    return zones;
+}
@@ -0,0 +1,598 @@
+/**
+ * PDF Context
+ * The subset of CanvasRenderingContext2D that CanvasManager draws with, written to a jsPDF
+ * page as vector paths and real text. Swapping it in for this.ctx lets the normal draw code
+ * produce a sharp, searchable PDF instead of a raster.
+ * Shadows and composite modes are ignored, images (symbols) are embedded as PNG.
+ */
+
+// CSS color names the draw code uses
+const PDF_NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0],
+    blue: [0, 0, 255], gray: [128, 128, 128], grey: [128, 128, 128], yellow: [255, 255, 0],
+    orange: [255, 165, 0]
+};
+
+// Offset from the alphabetic baseline in em, canvas measures baselines from the em box
+const PDF_TEXT_BASELINES = { top: 0.8, hanging: 0.8, middle: 0.3, alphabetic: 0, ideographic: -0.2, bottom: -0.2 };
+
+// Resolution used when symbols and other images are rasterized for the PDF
+const PDF_IMAGE_DPI = 300;
+
+/**
+ * @param {string} value - CSS color: #rgb, #rrggbb, #rrggbbaa, rgb(), rgba() or a basic name
+ * @returns {{r: number, g: number, b: number, a: number}|null} null for 'transparent' or no color
+ */
+function parseCssColor(value) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim().toLowerCase();
+    if (!text || text === 'transparent' || text === 'none') return null;
+
+    if (text[0] === '#') {
+        let hex = text.slice(1);
+        if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(c => c + c).join('');
+        const n = parseInt(hex, 16);
+        if (isNaN(n)) return { r: 0, g: 0, b: 0, a: 1 };
+        if (hex.length === 8) {
+            return { r: (n >>> 24) & 255, g: (n >>> 16) & 255, b: (n >>> 8) & 255, a: (n & 255) / 255 };
+        }
+        return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255, a: 1 };
+    }
+
+    const match = text.match(/^rgba?\(([^)]*)\)$/);
+    if (match) {
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        const a = parts.length > 3 ? parts[3] : 1;
+        return { r: parts[0] || 0, g: parts[1] || 0, b: parts[2] || 0, a: isNaN(a) ? 1 : a };
+    }
+
+    const named = PDF_NAMED_COLORS[text] || [0, 0, 0];
+    return { r: named[0], g: named[1], b: named[2], a: 1 };
+}
+
+class PdfContext {
+    /**
+     * @param {jsPDF} doc - Document created with unit 'pt', drawing goes to its current page
+     * @param {number} scale - PDF points per canvas unit
+     * @param {number} originX - Page position (points) of canvas 0,0
+     * @param {number} originY
+     */
+    constructor(doc, scale = 1, originX = 0, originY = 0) {
+        this.doc = doc;
+        this.baseScale = scale;
+        this.origin = [originX, originY];
+
+        this.fillStyle = '#000000';
+        this.strokeStyle = '#000000';
+        this.lineWidth = 1;
+        this.lineCap = 'butt';
+        this.lineJoin = 'miter';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+        this.globalAlpha = 1;
+        // Accepted so the draw code can set them, a PDF has no shadows
+        this.shadowColor = 'transparent';
+        this.shadowBlur = 0;
+        this.shadowOffsetX = 0;
+        this.shadowOffsetY = 0;
+        this.globalCompositeOperation = 'source-over';
+
+        this.lineDash = [];
+        this.matrix = [scale, 0, 0, scale, originX, originY];
+        this.path = [];
+        this.current = null;
+        this.subpathStart = null;
+        this.stack = [];
+    }
+
+    // --- State ---
+
+    // Drawing state that save() keeps, the path is not part of it
+    getDrawingState() {
+        return {
+            fillStyle: this.fillStyle, strokeStyle: this.strokeStyle, lineWidth: this.lineWidth,
+            lineCap: this.lineCap, lineJoin: this.lineJoin, font: this.font,
+            textAlign: this.textAlign, textBaseline: this.textBaseline, globalAlpha: this.globalAlpha,
+            lineDash: this.lineDash, matrix: this.matrix.slice()
+        };
+    }
+
+    save() {
+        this.stack.push(this.getDrawingState());
+        // Keeps clip() local to this save/restore pair, like on a canvas
+        this.doc.saveGraphicsState();
+    }
+
+    restore() {
+        const saved = this.stack.pop();
+        if (!saved) return;
+        Object.assign(this, saved);
+        this.doc.restoreGraphicsState();
+    }
+
+    setLineDash(segments) {
+        this.lineDash = segments.slice();
+    }
+
+    getLineDash() {
+        return this.lineDash.slice();
+    }
+
+    // --- Transform ---
+
+    transform(a, b, c, d, e, f) {
+        const m = this.matrix;
+        this.matrix = [
+            m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]
+        ];
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        if (typeof a === 'object') ({ a, b, c, d, e, f } = a);
+        const s = this.baseScale;
+        this.matrix = [a * s, b * s, c * s, d * s, e * s + this.origin[0], f * s + this.origin[1]];
+    }
+
+    resetTransform() {
+        this.setTransform(1, 0, 0, 1, 0, 0);
+    }
+
+    getTransform() {
+        const m = this.matrix;
+        const s = this.baseScale;
+        return { a: m[0] / s, b: m[1] / s, c: m[2] / s, d: m[3] / s, e: (m[4] - this.origin[0]) / s, f: (m[5] - this.origin[1]) / s };
+    }
+
+    translate(x, y) {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    scale(x, y) {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    // Page position of a point in the current user space
+    toPage(x, y) {
+        const m = this.matrix;
+        return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+    }
+
+    // How much user space lengths grow on the page (line widths, font sizes)
+    getLengthScale() {
+        const m = this.matrix;
+        return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+    }
+
+    // --- Paths ---
+    // Points are stored in page coordinates, so later transforms do not affect the path
+
+    beginPath() {
+        this.path = [];
+        this.current = null;
+    }
+
+    moveTo(x, y) {
+        this.path.push(['m', ...this.toPage(x, y)]);
+        this.current = [x, y];
+        this.subpathStart = [x, y];
+    }
+
+    lineTo(x, y) {
+        if (!this.current) return this.moveTo(x, y);
+        this.path.push(['l', ...this.toPage(x, y)]);
+        this.current = [x, y];
+    }
+
+    bezierCurveTo(x1, y1, x2, y2, x, y) {
+        if (!this.current) this.moveTo(x1, y1);
+        this.path.push(['c', ...this.toPage(x1, y1), ...this.toPage(x2, y2), ...this.toPage(x, y)]);
+        this.current = [x, y];
+    }
+
+    quadraticCurveTo(cx, cy, x, y) {
+        if (!this.current) this.moveTo(cx, cy);
+        const [x0, y0] = this.current;
+        this.bezierCurveTo(
+            x0 + 2 / 3 * (cx - x0), y0 + 2 / 3 * (cy - y0),
+            x + 2 / 3 * (cx - x), y + 2 / 3 * (cy - y),
+            x, y);
+    }
+
+    closePath() {
+        if (this.path.length === 0) return;
+        this.path.push(['h']);
+        this.current = this.subpathStart;
+    }
+
+    rect(x, y, width, height) {
+        this.moveTo(x, y);
+        this.lineTo(x + width, y);
+        this.lineTo(x + width, y + height);
+        this.lineTo(x, y + height);
+        this.closePath();
+    }
+
+    arc(x, y, radius, startAngle, endAngle, counterclockwise = false) {
+        this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, counterclockwise);
+    }
+
+    // Split into Bézier segments of at most 90 degrees
+    ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, counterclockwise = false) {
+        let sweep = endAngle - startAngle;
+        const full = Math.PI * 2;
+        if (!counterclockwise && sweep >= full) sweep = full;
+        else if (counterclockwise && sweep <= -full) sweep = -full;
+        else if (!counterclockwise && sweep < 0) sweep = sweep % full + full;
+        else if (counterclockwise && sweep > 0) sweep = sweep % full - full;
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const point = (angle) => {
+            const px = radiusX * Math.cos(angle);
+            const py = radiusY * Math.sin(angle);
+            return [x + px * cos - py * sin, y + px * sin + py * cos];
+        };
+        const tangent = (angle, k) => {
+            const tx = -radiusX * Math.sin(angle) * k;
+            const ty = radiusY * Math.cos(angle) * k;
+            return [tx * cos - ty * sin, tx * sin + ty * cos];
+        };
+
+        const start = point(startAngle);
+        if (this.current) this.lineTo(start[0], start[1]);
+        else this.moveTo(start[0], start[1]);
+
+        const segments = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9));
+        const step = sweep / segments;
+        const k = 4 / 3 * Math.tan(step / 4);
+        for (let i = 0; i < segments; i++) {
+            const a0 = startAngle + step * i;
+            const a1 = a0 + step;
+            const p0 = point(a0);
+            const p1 = point(a1);
+            const t0 = tangent(a0, k);
+            const t1 = tangent(a1, k);
+            this.bezierCurveTo(p0[0] + t0[0], p0[1] + t0[1], p1[0] - t1[0], p1[1] - t1[1], p1[0], p1[1]);
+        }
+    }
+
+    writePath(path = this.path) {
+        path.forEach(op => {
+            if (op[0] === 'm') this.doc.moveTo(op[1], op[2]);
+            else if (op[0] === 'l') this.doc.lineTo(op[1], op[2]);
+            else if (op[0] === 'c') this.doc.curveTo(op[1], op[2], op[3], op[4], op[5], op[6]);
+            else this.doc.close();
+        });
+    }
+
+    // Sets color, opacity and line style in the PDF, returns false if there is nothing to paint
+    applyPaint(kind) {
+        const color = parseCssColor(kind === 'fill' ? this.fillStyle : this.strokeStyle);
+        if (!color) return false;
+        const alpha = color.a * this.globalAlpha;
+        if (alpha <= 0) return false;
+
+        if (kind === 'fill') {
+            this.doc.setFillColor(color.r, color.g, color.b);
+            this.doc.setTextColor(color.r, color.g, color.b);
+            this.doc.setGState(new this.doc.GState({ opacity: alpha }));
+        } else {
+            const scale = this.getLengthScale();
+            this.doc.setDrawColor(color.r, color.g, color.b);
+            this.doc.setLineWidth(this.lineWidth * scale);
+            this.doc.setLineCap(this.lineCap);
+            this.doc.setLineJoin(this.lineJoin);
+            this.doc.setLineDashPattern(this.lineDash.map(d => d * scale), 0);
+            this.doc.setGState(new this.doc.GState({ 'stroke-opacity': alpha }));
+        }
+        return true;
+    }
+
+    fill(fillRule = 'nonzero') {
+        this.fillPath(this.path, fillRule);
+    }
+
+    stroke() {
+        this.strokePath(this.path);
+    }
+
+    clip(fillRule = 'nonzero') {
+        if (this.path.length === 0) return;
+        this.writePath();
+        if (fillRule === 'evenodd') this.doc.clipEvenOdd();
+        else this.doc.clip();
+        this.doc.discardPath();
+    }
+
+    fillPath(path, fillRule) {
+        if (path.length === 0) return;
+        if (this.fillStyle && this.fillStyle.hatch) {
+            this.fillHatch(path);
+            return;
+        }
+        this.doc.saveGraphicsState();
+        if (this.applyPaint('fill')) {
+            this.writePath(path);
+            if (fillRule === 'evenodd') this.doc.fillEvenOdd();
+            else this.doc.fill();
+        }
+        this.doc.restoreGraphicsState();
+    }
+
+    strokePath(path) {
+        if (path.length === 0) return;
+        this.doc.saveGraphicsState();
+        if (this.applyPaint('stroke')) {
+            this.writePath(path);
+            this.doc.stroke();
+        }
+        this.doc.restoreGraphicsState();
+    }
+
+    fillRect(x, y, width, height) {
+        const saved = { path: this.path, current: this.current, subpathStart: this.subpathStart };
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.fill();
+        Object.assign(this, saved);
+    }
+
+    strokeRect(x, y, width, height) {
+        const saved = { path: this.path, current: this.current, subpathStart: this.subpathStart };
+        this.beginPath();
+        this.rect(x, y, width, height);
+        this.stroke();
+        Object.assign(this, saved);
+    }
+
+    clearRect() {
+        // The page starts empty, there is nothing to clear
+    }
+
+    // --- Hatch patterns ---
+
+    /**
+     * Vector replacement for CanvasManager.createHatchPattern, used as a fillStyle.
+     * Same tile size (20) and line width (2) as the canvas pattern.
+     */
+    createHatch(type, color, opacity) {
+        return { hatch: type, color, opacity };
+    }
+
+    createPattern() {
+        // Raster patterns are not supported, fills with them are skipped
+        return null;
+    }
+
+    fillHatch(path) {
+        const { hatch, color, opacity } = this.fillStyle;
+        const xs = [];
+        const ys = [];
+        path.forEach(op => {
+            for (let i = 1; i < op.length; i += 2) {
+                xs.push(op[i]);
+                ys.push(op[i + 1]);
+            }
+        });
+        if (xs.length === 0) return;
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+
+        // Tiles are anchored at the user space origin, like a canvas pattern
+        const scale = this.getLengthScale();
+        const size = 20 * scale;
+        const [originX, originY] = this.toPage(0, 0);
+        const lines = [];
+        const each = (from, to, offset, add) => {
+            const first = Math.floor((from - offset) / size);
+            const last = Math.ceil((to - offset) / size);
+            for (let i = first; i <= last; i++) add(offset + i * size);
+        };
+
+        if (hatch === 'diagonal-right' || hatch === 'cross') {
+            // x + y = c
+            each(minX + minY, maxX + maxY, originX + originY, c => lines.push([c - maxY, maxY, c - minY, minY]));
+        }
+        if (hatch === 'diagonal-left' || hatch === 'cross') {
+            // x - y = c
+            each(minX - maxY, maxX - minY, originX - originY, c => lines.push([c + minY, minY, c + maxY, maxY]));
+        }
+        if (hatch === 'horizontal' || hatch === 'grid') {
+            each(minY, maxY, originY + size / 2, y => lines.push([minX, y, maxX, y]));
+        }
+        if (hatch === 'vertical' || hatch === 'grid') {
+            each(minX, maxX, originX + size / 2, x => lines.push([x, minY, x, maxY]));
+        }
+        if (lines.length === 0) return;
+
+        const rgb = parseCssColor(color) || { r: 0, g: 0, b: 0, a: 1 };
+        this.doc.saveGraphicsState();
+        this.writePath(path);
+        this.doc.clip();
+        this.doc.discardPath();
+        this.doc.setDrawColor(rgb.r, rgb.g, rgb.b);
+        this.doc.setLineWidth(2 * scale);
+        this.doc.setLineCap('square');
+        this.doc.setLineDashPattern([], 0);
+        this.doc.setGState(new this.doc.GState({ 'stroke-opacity': opacity * this.globalAlpha }));
+        lines.forEach(([x1, y1, x2, y2]) => {
+            this.doc.moveTo(x1, y1);
+            this.doc.lineTo(x2, y2);
+        });
+        this.doc.stroke();
+        this.doc.restoreGraphicsState();
+    }
+
+    // --- Text ---
+
+    // CSS font shorthand -> jsPDF standard font. Standard fonts cover Latin-1, which includes å, ä and ö.
+    getFont() {
+        const match = this.font.match(/(italic\s+)?(?:(bold|[6-9]00)\s+)?([\d.]+)px\s+(.+)$/i);
+        if (!match) return { name: 'helvetica', style: 'normal', size: 10 };
+        const family = match[4].toLowerCase();
+        let name = 'helvetica';
+        if (/courier|mono/.test(family)) name = 'courier';
+        else if (/(^|[\s,'"])(times|serif)/.test(family) && !/sans-serif/.test(family)) name = 'times';
+        const style = (match[2] ? 'bold' : '') + (match[1] ? 'italic' : '');
+        return { name, style: style || 'normal', size: parseFloat(match[3]) };
+    }
+
+    measureText(text) {
+        const font = this.getFont();
+        this.doc.setFont(font.name, font.style);
+        return { width: this.doc.getStringUnitWidth(String(text)) * font.size };
+    }
+
+    writeText(text, x, y, mode) {
+        text = String(text);
+        if (!text) return;
+        const font = this.getFont();
+        const width = this.measureText(text).width;
+
+        let dx = 0;
+        if (this.textAlign === 'center') dx = -width / 2;
+        else if (this.textAlign === 'right' || this.textAlign === 'end') dx = -width;
+        const dy = (PDF_TEXT_BASELINES[this.textBaseline] || 0) * font.size;
+
+        const [px, py] = this.toPage(x + dx, y + dy);
+        const m = this.matrix;
+        const angle = -Math.atan2(m[1], m[0]) * 180 / Math.PI;
+
+        this.doc.saveGraphicsState();
+        if (this.applyPaint(mode)) {
+            this.doc.setFont(font.name, font.style);
+            this.doc.setFontSize(font.size * this.getLengthScale());
+            this.doc.text(text, px, py, {
+                baseline: 'alphabetic',
+                angle: Math.abs(angle) > 0.01 ? angle : 0,
+                renderingMode: mode
+            });
+        }
+        this.doc.restoreGraphicsState();
+    }
+
+    fillText(text, x, y) {
+        this.writeText(text, x, y, 'fill');
+    }
+
+    strokeText(text, x, y) {
+        this.writeText(text, x, y, 'stroke');
+    }
+
+    // --- Images ---
+
+    /**
+     * Images are rasterized into their page box at PDF_IMAGE_DPI, with the current
+     * transform applied, so rotated symbols need no PDF image matrix.
+     */
+    drawImage(image, ...args) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        if (!naturalWidth || !naturalHeight) return;
+
+        let [dx, dy, dw, dh] = [args[0], args[1], naturalWidth, naturalHeight];
+        let source = [0, 0, naturalWidth, naturalHeight];
+        if (args.length === 4) [dx, dy, dw, dh] = args;
+        if (args.length === 8) {
+            source = args.slice(0, 4);
+            [dx, dy, dw, dh] = args.slice(4);
+        }
+
+        const corners = [[dx, dy], [dx + dw, dy], [dx + dw, dy + dh], [dx, dy + dh]].map(([x, y]) => this.toPage(x, y));
+        const minX = Math.min(...corners.map(c => c[0]));
+        const minY = Math.min(...corners.map(c => c[1]));
+        const width = Math.max(...corners.map(c => c[0])) - minX;
+        const height = Math.max(...corners.map(c => c[1])) - minY;
+        if (width <= 0 || height <= 0) return;
+
+        // Canvas size limits, large images are embedded at a lower resolution
+        const pixelsPerPoint = Math.min(PDF_IMAGE_DPI / 72, 4096 / width, 4096 / height);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * pixelsPerPoint));
+        canvas.height = Math.max(1, Math.round(height * pixelsPerPoint));
+        const ctx = canvas.getContext('2d');
+        const m = this.matrix;
+        const sx = canvas.width / width;
+        const sy = canvas.height / height;
+        ctx.setTransform(m[0] * sx, m[1] * sy, m[2] * sx, m[3] * sy, (m[4] - minX) * sx, (m[5] - minY) * sy);
+        ctx.globalAlpha = this.globalAlpha;
+        ctx.drawImage(image, source[0], source[1], source[2], source[3], dx, dy, dw, dh);
+
+        this.doc.addImage(canvas.toDataURL('image/png'), 'PNG', minX, minY, width, height, undefined, 'FAST');
+    }
+}
+
+/**
+ * Put the original PDF pages behind the pages of an exported PDF, keeping them as vectors.
+ * jsPDF cannot import pages, so this is done afterwards with pdf-lib.
+ * @param {ArrayBuffer|Uint8Array} overlayBytes - Exported PDF with a transparent page per background
+ * @param {Array<{bytes: Uint8Array, pageNumber: number, box: Object}|null>} backgrounds - One per overlay
+ *        page, null for pages that already have their background. box ({ x, y, width, height } in points
+ *        from the top left) is where the page goes, the whole page if left out.
+ * @returns {Promise<Uint8Array>}
+ */
+async function addPdfPageBackgrounds(overlayBytes, backgrounds) {
+    const { PDFDocument, degrees } = PDFLib;
+    const output = await PDFDocument.create();
+    const overlayPages = await output.embedPdf(overlayBytes, backgrounds.map((_, i) => i));
+    const sources = new Map();
+    // Pages repeated for several weeks are embedded once
+    const embeddedPages = new Map();
+    let sourceCount = 0;
+
+    for (let i = 0; i < overlayPages.length; i++) {
+        const overlay = overlayPages[i];
+        const page = output.addPage([overlay.width, overlay.height]);
+        const background = backgrounds[i];
+
+        if (background) {
+            if (!sources.has(background.bytes)) {
+                sources.set(background.bytes, {
+                    id: sourceCount++,
+                    pdf: await PDFDocument.load(background.bytes, { ignoreEncryption: true })
+                });
+            }
+            const source = sources.get(background.bytes);
+            const sourcePage = source.pdf.getPage(background.pageNumber - 1);
+            const pageKey = `${source.id}#${background.pageNumber}`;
+            if (!embeddedPages.has(pageKey)) {
+                // pdf.js rendered the crop box, turned by the page rotation
+                const crop = sourcePage.getCropBox();
+                embeddedPages.set(pageKey, await output.embedPage(sourcePage, {
+                    left: crop.x, bottom: crop.y, right: crop.x + crop.width, top: crop.y + crop.height
+                }));
+            }
+            const embedded = embeddedPages.get(pageKey);
+
+            // pdf-lib measures from the bottom left
+            const box = background.box || { x: 0, y: 0, width: overlay.width, height: overlay.height };
+            const left = box.x;
+            const bottom = overlay.height - box.y - box.height;
+            const rotation = ((sourcePage.getRotation().angle % 360) + 360) % 360;
+            const turned = rotation === 90 || rotation === 270;
+            const width = turned ? box.height : box.width;
+            const height = turned ? box.width : box.height;
+            // /Rotate turns clockwise, pdf-lib rotates counterclockwise around (x, y)
+            const placement = {
+                0: { x: left, y: bottom },
+                90: { x: left, y: bottom + box.height },
+                180: { x: left + box.width, y: bottom + box.height },
+                270: { x: left + box.width, y: bottom }
+            }[rotation] || { x: left, y: bottom };
+            page.drawPage(embedded, { ...placement, width, height, rotate: degrees(-rotation) });
+        }
+
+        page.drawPage(overlay, { x: 0, y: 0, width: overlay.width, height: overlay.height });
+    }
+
+    return output.save();
+}
@@ -0,0 +1,128 @@
+/**
+ * PDF Tile Renderer
+ * Re-renders the visible part of a PDF background at the current zoom level.
+ * The base raster (rendered at baseScale) defines the world coordinate system,
+ * tiles are only drawn on top of it, so zones and calibration are unaffected.
+ */
+
+class PdfTileRenderer {
+    constructor(onTileReady) {
+        this.onTileReady = onTileReady; // Called when a tile finished rendering (trigger redraw)
+
+        this.page = null;
+        this.baseScale = 1.5;
+        this.tileSize = 512; // Tile size in device pixels
+        this.maxLevel = 8;
+        this.maxTiles = 64; // ~64 MB worth of 512x512 RGBA tiles
+
+        this.cache = new Map(); // Insertion order doubles as LRU order
+        this.queue = [];
+        this.isRendering = false;
+        this.generation = 0; // Bumped on page change to drop stale renders
+    }
+
+    setPage(page, baseScale = 1.5) {
+        this.clear();
+        this.page = page;
+        this.baseScale = baseScale;
+        const viewport = page.getViewport({ scale: baseScale });
+        this.worldWidth = viewport.width;
+        this.worldHeight = viewport.height;
+    }
+
+    clear() {
+        this.generation++;
+        this.page = null;
+        this.cache.clear();
+        this.queue = [];
+    }
+
+    // Zoom level bucket (2, 4, 8). 0 means the base raster is sharp enough.
+    getLevel(scale) {
+        if (scale <= 1) return 0;
+        return Math.min(this.maxLevel, Math.pow(2, Math.ceil(Math.log2(scale))));
+    }
+
+    /**
+     * Draw cached tiles for the visible area. Expects ctx to already be in world space.
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {Object} view - { scale, offsetX, offsetY, width, height } of the screen canvas
+     */
+    draw(ctx, view) {
+        if (!this.page) return;
+
+        const level = this.getLevel(view.scale);
+        if (!level) return;
+
+        const worldTile = this.tileSize / level;
+
+        // Visible world rectangle, clamped to the page
+        const left = Math.max(0, -view.offsetX / view.scale);
+        const top = Math.max(0, -view.offsetY / view.scale);
+        const right = Math.min(this.worldWidth, (view.width - view.offsetX) / view.scale);
+        const bottom = Math.min(this.worldHeight, (view.height - view.offsetY) / view.scale);
+        if (right <= left || bottom <= top) return;
+
+        const wanted = [];
+        for (let ty = Math.floor(top / worldTile); ty * worldTile < bottom; ty++) {
+            for (let tx = Math.floor(left / worldTile); tx * worldTile < right; tx++) {
+                const key = `${level}:${tx}:${ty}`;
+                const tile = this.cache.get(key);
+                if (tile) {
+                    // Touch for LRU
+                    this.cache.delete(key);
+                    this.cache.set(key, tile);
+                    ctx.drawImage(tile, tx * worldTile, ty * worldTile, tile.width / level, tile.height / level);
+                } else {
+                    wanted.push({ key, level, tx, ty });
+                }
+            }
+        }
+
+        // Only keep requests for what is visible right now
+        this.queue = wanted;
+        this.processQueue();
+    }
+
+    async processQueue() {
+        if (this.isRendering || this.queue.length === 0 || !this.page) return;
+        this.isRendering = true;
+
+        const generation = this.generation;
+        const { key, level, tx, ty } = this.queue.shift();
+
+        try {
+            const scale = this.baseScale * level;
+            const fullWidth = Math.ceil(this.worldWidth * level);
+            const fullHeight = Math.ceil(this.worldHeight * level);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.min(this.tileSize, fullWidth - tx * this.tileSize);
+            canvas.height = Math.min(this.tileSize, fullHeight - ty * this.tileSize);
+
+            if (canvas.width > 0 && canvas.height > 0) {
+                const viewport = this.page.getViewport({
+                    scale: scale,
+                    offsetX: -tx * this.tileSize,
+                    offsetY: -ty * this.tileSize
+                });
+                await this.page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+                if (generation === this.generation) {
+                    this.cache.set(key, canvas);
+                    while (this.cache.size > this.maxTiles) {
+                        this.cache.delete(this.cache.keys().next().value);
+                    }
+                    this.onTileReady();
+                }
+            }
+        } catch (e) {
+            console.error(`Failed to render PDF tile ${key}`, e);
+        } finally {
+            this.isRendering = false;
+            if (generation === this.generation) {
+                this.processQueue();
+            }
+        }
+    }
+}
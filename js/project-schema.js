@@ -0,0 +1,463 @@
+/**
+ * Project File Schema & Validation
+ * PROJECT_SCHEMA is the published description of a project file (project.json in a
+ * .zpz bundle, or a legacy .json export) after migration to SCHEMA_VERSION.
+ * validateProject checks an imported state against it and repairs what it can,
+ * so a hand-edited file never reaches setState in a shape that breaks drawing.
+ */
+
+const ZONE_TYPES = [
+    'rect', 'draw-rect', 'ellipse', 'polygon', 'cloud', 'draw-poly', 'measure-area',
+    'measure-length', 'calibration-line', 'arrow', 'line', 'text', 'symbol'
+];
+const POINT_ZONE_TYPES = ['polygon', 'cloud', 'draw-poly', 'measure-area'];
+const LINE_ZONE_TYPES = ['measure-length', 'calibration-line', 'arrow', 'line'];
+
+const PROJECT_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    title: 'Zone Planner project',
+    type: 'object',
+    required: ['layouts'],
+    properties: {
+        schemaVersion: { type: 'integer' },
+        projectInfo: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                created: { type: 'string' },
+                lastModified: { type: 'string' }
+            }
+        },
+        activeLayoutId: { type: 'string' },
+        layouts: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['id', 'zones'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    zones: { type: 'array', items: { $ref: '#/definitions/zone' } },
+                    backgroundRef: { type: ['string', 'null'] },
+                    backgroundPdf: {
+                        type: ['object', 'null'],
+                        required: ['key', 'pageNumber'],
+                        properties: {
+                            key: { type: 'string' },
+                            pageNumber: { type: 'integer' },
+                            renderScale: { type: 'number' }
+                        }
+                    },
+                    backgroundDxf: {
+                        type: ['object', 'null'],
+                        required: ['key', 'pixelsPerUnit'],
+                        properties: {
+                            key: { type: 'string' },
+                            units: { type: 'integer' },
+                            minX: { type: 'number' },
+                            maxY: { type: 'number' },
+                            pixelsPerUnit: { type: 'number' },
+                            width: { type: 'number' },
+                            height: { type: 'number' },
+                            hiddenLayers: { type: 'array', items: { type: 'string' } }
+                        }
+                    },
+                    scale: { type: 'number' },
+                    calibrationScale: { type: 'number' },
+                    origin: { $ref: '#/definitions/point' },
+                    pan: { $ref: '#/definitions/point' }
+                }
+            }
+        },
+        disciplines: { type: 'array', items: { $ref: '#/definitions/category' } },
+        statuses: { type: 'array', items: { $ref: '#/definitions/category' } },
+        schedule: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['code'],
+                properties: {
+                    code: { type: ['string', 'number'] },
+                    title: { type: 'string' },
+                    start: { type: ['string', 'null'] },
+                    end: { type: ['string', 'null'] },
+                    wbs: { type: 'string' },
+                    wbsPath: { type: 'array', items: { type: 'string' } },
+                    predecessors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['code'],
+                            properties: {
+                                type: { enum: ['FS', 'SS', 'FF', 'SF'] },
+                                lag: { type: 'number' }
+                            }
+                        }
+                    },
+                    calendar: { type: ['string', 'null'] }
+                }
+            }
+        },
+        scheduleCalendars: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string' },
+                    name: { type: 'string' },
+                    workDays: { type: 'array', items: { type: 'integer' } },
+                    hoursPerDay: { type: 'number' },
+                    holidays: { type: 'array', items: { type: 'string' } }
+                }
+            }
+        },
+        filters: {
+            type: 'object',
+            properties: {
+                text: { type: 'string' },
+                disciplines: { type: 'array', items: { type: 'string' } },
+                statuses: { type: 'array', items: { type: 'string' } },
+                dateStart: { type: ['string', 'null'] },
+                dateEnd: { type: ['string', 'null'] },
+                week: { type: ['string', 'number'] },
+                showHidden: { type: 'boolean' }
+            }
+        },
+        customFields: { type: 'array', items: { type: 'object', required: ['id', 'name'] } },
+        symbols: { type: 'array', items: { type: 'object', required: ['id', 'type'] } },
+        projectSettings: { type: 'object' }
+    },
+    definitions: {
+        point: {
+            type: 'object',
+            required: ['x', 'y'],
+            properties: {
+                x: { type: 'number' },
+                y: { type: 'number' }
+            }
+        },
+        category: {
+            type: 'object',
+            required: ['id', 'name', 'color'],
+            properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                color: { type: 'string', pattern: '^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$' }
+            }
+        },
+        zone: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+                id: { type: 'string' },
+                type: { enum: ZONE_TYPES },
+                x: { type: 'number' },
+                y: { type: 'number' },
+                width: { type: 'number' },
+                height: { type: 'number' },
+                x2: { type: 'number' },
+                y2: { type: 'number' },
+                points: { type: 'array', items: { $ref: '#/definitions/point' } },
+                name: { type: 'string' },
+                discipline: { type: 'string' },
+                status: { type: 'string' },
+                startDate: { type: ['string', 'null'] },
+                endDate: { type: ['string', 'null'] },
+                customData: {
+                    type: 'object',
+                    properties: {
+                        _connectedActivities: {
+                            type: 'array',
+                            items: { type: 'object', required: ['code'] }
+                        },
+                        _activityWarnings: {
+                            type: 'array',
+                            items: { type: 'object', required: ['type', 'code'] }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Minimal JSON Schema (draft-07 subset) validator: type, enum, required,
+ * properties, items, minItems, pattern and local $ref.
+ * NaN and Infinity are not valid numbers here, unlike in plain JS.
+ * @returns {Array<{path: string, key: string, params: Object}>}
+ */
+function validateSchema(value, schema, path = '', root = schema, errors = []) {
+    if (schema.$ref) {
+        const target = schema.$ref.replace('#/', '').split('/').reduce((node, part) => node[part], root);
+        return validateSchema(value, target, path, root, errors);
+    }
+
+    const typeOf = (v) => {
+        if (v === null) return 'null';
+        if (Array.isArray(v)) return 'array';
+        if (typeof v === 'number') {
+            if (!Number.isFinite(v)) return 'invalid-number';
+            return Number.isInteger(v) ? 'integer' : 'number';
+        }
+        return typeof v;
+    };
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = typeOf(value);
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            errors.push({ path, key: 'validationType', params: { expected: allowed.join('/'), actual } });
+            return errors;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, key: 'validationEnum', params: { value: String(value) } });
+    }
+
+    if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, key: 'validationPattern', params: { value } });
+    }
+
+    if (typeOf(value) === 'object') {
+        (schema.required || []).forEach(prop => {
+            if (value[prop] === undefined) {
+                errors.push({ path, key: 'validationRequired', params: { prop } });
+            }
+        });
+        Object.entries(schema.properties || {}).forEach(([prop, propSchema]) => {
+            if (value[prop] !== undefined) {
+                validateSchema(value[prop], propSchema, `${path}/${prop}`, root, errors);
+            }
+        });
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems && value.length < schema.minItems) {
+            errors.push({ path, key: 'validationMinItems', params: { min: schema.minItems } });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateSchema(item, schema.items, `${path}/${i}`, root, errors));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate an imported (already migrated) state and repair it.
+ * @param {Object} state
+ * @param {Object} defaults - A fresh default state, used for missing or broken sections
+ * @param {Function} t - Optional translation function, lets "El" match the translated discipline name
+ * @returns {{ state: Object, errors: Array, repairs: Array, fatal: boolean }}
+ *          errors are schema violations of the original file, repairs are
+ *          { key, params } entries describing what was changed. fatal means
+ *          the file cannot be used at all.
+ */
+function validateProject(state, defaults, t = (key) => key) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) {
+        return { state, errors: [{ path: '', key: 'validationType', params: { expected: 'object', actual: typeof state } }], repairs: [], fatal: true };
+    }
+
+    const errors = validateSchema(state, PROJECT_SCHEMA);
+    const repairs = [];
+    const repaired = { ...state };
+    const isFiniteNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+    if (!Array.isArray(repaired.layouts) || repaired.layouts.length === 0) {
+        return { state, errors, repairs, fatal: true };
+    }
+
+    // --- Categories ---
+    ['disciplines', 'statuses'].forEach(section => {
+        if (!Array.isArray(repaired[section])) {
+            repaired[section] = defaults[section];
+            repairs.push({ key: 'repairSectionReset', params: { section } });
+            return;
+        }
+        repaired[section] = repaired[section].filter((item, i) => {
+            const valid = item && typeof item === 'object' && typeof item.id === 'string' && item.id;
+            if (!valid) repairs.push({ key: 'repairEntryDropped', params: { path: `/${section}/${i}` } });
+            return valid;
+        }).map(item => {
+            const fixed = { ...item, name: typeof item.name === 'string' ? item.name : item.id };
+            if (typeof item.color !== 'string' || !/^#[0-9a-fA-F]{3}([0-9a-fA-F]{3})?$/.test(item.color)) {
+                fixed.color = '#94A3B8';
+                repairs.push({ key: 'repairColorReset', params: { name: fixed.name } });
+            }
+            return fixed;
+        });
+    });
+
+    // Unknown discipline/status values are matched against names (case-insensitive),
+    // hand-edited files often use "El" instead of "electrical"
+    const buildResolver = (list) => {
+        const ids = new Set(list.map(item => item.id));
+        const byName = new Map();
+        list.forEach(item => {
+            byName.set(String(item.name).toLowerCase(), item.id);
+            byName.set(String(t(item.name)).toLowerCase(), item.id);
+        });
+        return (value) => {
+            if (!value || ids.has(value)) return value;
+            return byName.get(String(value).toLowerCase()) || null;
+        };
+    };
+    const resolveDiscipline = buildResolver(repaired.disciplines);
+    const resolveStatus = buildResolver(repaired.statuses);
+    const remapped = { discipline: new Map(), status: new Map() };
+
+    // --- Layouts & zones ---
+    const layoutIds = new Set();
+    const zoneIds = new Set();
+
+    repaired.layouts = repaired.layouts.filter((layout, i) => {
+        const valid = layout && typeof layout === 'object' && !Array.isArray(layout);
+        if (!valid) repairs.push({ key: 'repairEntryDropped', params: { path: `/layouts/${i}` } });
+        return valid;
+    }).map((layout, i) => {
+        const newLayout = { ...layout };
+        const layoutName = newLayout.name || `#${i + 1}`;
+
+        if (typeof newLayout.id !== 'string' || !newLayout.id || layoutIds.has(newLayout.id)) {
+            const newId = 'layout_' + generateUUID();
+            repairs.push({ key: 'repairIdRemapped', params: { id: String(newLayout.id), newId, name: layoutName } });
+            newLayout.id = newId;
+        }
+        layoutIds.add(newLayout.id);
+
+        if (!isFiniteNumber(newLayout.calibrationScale) || newLayout.calibrationScale <= 0) {
+            newLayout.calibrationScale = 50;
+            repairs.push({ key: 'repairCalibrationReset', params: { layout: layoutName } });
+        }
+        if (!isFiniteNumber(newLayout.scale) || newLayout.scale <= 0) newLayout.scale = 1;
+        if (!newLayout.pan || !isFiniteNumber(newLayout.pan.x) || !isFiniteNumber(newLayout.pan.y)) {
+            newLayout.pan = { x: 0, y: 0 };
+        }
+
+        const zones = Array.isArray(newLayout.zones) ? newLayout.zones : [];
+        newLayout.zones = zones.filter((zone, zi) => {
+            const reason = getInvalidZoneReason(zone);
+            if (reason) {
+                const zoneName = (zone && zone.name) || `#${zi + 1}`;
+                repairs.push({ key: 'repairZoneDropped', params: { zone: zoneName, layout: layoutName, reason } });
+            }
+            return !reason;
+        }).map(zone => {
+            const newZone = { ...zone };
+
+            if (typeof newZone.id !== 'string' || !newZone.id || zoneIds.has(newZone.id)) {
+                const newId = generateUUID();
+                repairs.push({ key: 'repairIdRemapped', params: { id: String(newZone.id), newId, name: newZone.name || newId } });
+                newZone.id = newId;
+            }
+            zoneIds.add(newZone.id);
+
+            if (!newZone.customData || typeof newZone.customData !== 'object' || Array.isArray(newZone.customData)) {
+                newZone.customData = {};
+            }
+            const connected = newZone.customData._connectedActivities;
+            if (connected !== undefined && !Array.isArray(connected)) {
+                newZone.customData = { ...newZone.customData, _connectedActivities: [] };
+                repairs.push({ key: 'repairActivitiesReset', params: { zone: newZone.name || newZone.id } });
+            } else if (connected) {
+                const kept = connected.filter(a => a && a.code !== undefined && a.code !== null && a.code !== '');
+                if (kept.length !== connected.length) {
+                    newZone.customData = { ...newZone.customData, _connectedActivities: kept };
+                    repairs.push({ key: 'repairActivitiesReset', params: { zone: newZone.name || newZone.id } });
+                }
+            }
+
+            [['discipline', resolveDiscipline, ''], ['status', resolveStatus, 'planned']].forEach(([field, resolve, fallback]) => {
+                const value = newZone[field];
+                if (value === undefined || value === null || value === '') return;
+                const resolved = resolve(value);
+                if (resolved === value) return;
+                newZone[field] = resolved || fallback;
+                const counts = remapped[field];
+                const key = `${value}\u0000${newZone[field]}`;
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+
+            return newZone;
+        });
+
+        return newLayout;
+    });
+    if (repaired.layouts.length === 0) {
+        return { state, errors, repairs, fatal: true };
+    }
+
+    // Report the target by name, ids like "electrical" mean little to the user
+    const nameOf = (list, id) => (list.find(item => item.id === id) || {}).name || id;
+    remapped.discipline.forEach((count, key) => {
+        const [from, to] = key.split('\u0000');
+        repairs.push({ key: to ? 'repairDisciplineRemapped' : 'repairDisciplineCleared', params: { from, to: nameOf(repaired.disciplines, to), count } });
+    });
+    remapped.status.forEach((count, key) => {
+        const [from, to] = key.split('\u0000');
+        repairs.push({ key: 'repairStatusRemapped', params: { from, to: nameOf(repaired.statuses, to), count } });
+    });
+
+    if (!layoutIds.has(repaired.activeLayoutId)) {
+        repaired.activeLayoutId = repaired.layouts[0].id;
+        repairs.push({ key: 'repairActiveLayout', params: { name: repaired.layouts[0].name || repaired.activeLayoutId } });
+    }
+
+    // --- Schedule ---
+    if (!Array.isArray(repaired.schedule)) {
+        if (repaired.schedule !== undefined) repairs.push({ key: 'repairSectionReset', params: { section: 'schedule' } });
+        repaired.schedule = [];
+    } else {
+        const kept = repaired.schedule.filter(a => a && typeof a === 'object' && a.code !== undefined && a.code !== null && a.code !== '');
+        if (kept.length !== repaired.schedule.length) {
+            repairs.push({ key: 'repairScheduleDropped', params: { count: repaired.schedule.length - kept.length } });
+            repaired.schedule = kept;
+        }
+    }
+
+    // --- Filters ---
+    const filterErrors = errors.filter(e => e.path.startsWith('/filters'));
+    if (filterErrors.length > 0 || !repaired.filters || typeof repaired.filters !== 'object') {
+        repaired.filters = { ...defaults.filters };
+        repairs.push({ key: 'repairSectionReset', params: { section: 'filters' } });
+    } else {
+        // Filters pointing at categories that do not exist would hide everything
+        const disciplineIds = new Set(repaired.disciplines.map(d => d.id));
+        const statusIds = new Set(repaired.statuses.map(s => s.id));
+        repaired.filters = {
+            ...repaired.filters,
+            disciplines: (repaired.filters.disciplines || []).filter(id => disciplineIds.has(id)),
+            statuses: (repaired.filters.statuses || []).filter(id => statusIds.has(id))
+        };
+    }
+
+    ['customFields', 'symbols', 'scheduleCalendars'].forEach(section => {
+        if (repaired[section] !== undefined && !Array.isArray(repaired[section])) {
+            repaired[section] = defaults[section];
+            repairs.push({ key: 'repairSectionReset', params: { section } });
+        }
+    });
+
+    return { state: repaired, errors, repairs, fatal: false };
+
+    function getInvalidZoneReason(zone) {
+        if (!zone || typeof zone !== 'object' || Array.isArray(zone)) return 'reasonNotObject';
+        if (zone.type !== undefined && !ZONE_TYPES.includes(zone.type)) return 'reasonUnknownType';
+
+        if (POINT_ZONE_TYPES.includes(zone.type)) {
+            const minPoints = zone.type === 'draw-poly' ? 2 : 3;
+            if (!Array.isArray(zone.points) || zone.points.length < minPoints) return 'reasonMissingPoints';
+            if (zone.points.some(p => !p || !isFiniteNumber(p.x) || !isFiniteNumber(p.y))) return 'reasonInvalidCoordinates';
+            return null;
+        }
+        if (LINE_ZONE_TYPES.includes(zone.type)) {
+            return [zone.x, zone.y, zone.x2, zone.y2].every(isFiniteNumber) ? null : 'reasonInvalidCoordinates';
+        }
+        return [zone.x, zone.y, zone.width, zone.height].every(isFiniteNumber) ? null : 'reasonInvalidCoordinates';
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Schedule Merge
+ * Compares a re-imported schedule with the current one by activity code and builds the
+ * schedule from the changes the user accepts. Zones keep copies of their activities in
+ * customData._connectedActivities, syncZonesWithSchedule brings those up to date.
+ */
+
+const SCHEDULE_COMPARED_FIELDS = ['title', 'start', 'end', 'discipline', 'status', 'wbs', 'wbsPath', 'predecessors', 'calendar'];
+
+// Activities without a code can only be matched by title
+function getActivityKey(activity) {
+    const code = activity.code === undefined || activity.code === null ? '' : String(activity.code).trim();
+    return code !== '' ? code : 'title:' + activity.title;
+}
+
+/**
+ * Field as text for comparing and showing. Links are sorted so a file that lists them in
+ * another order is not a change, FS without lag is the default link: "A20 FS, A30 SS+2".
+ */
+function getActivityField(activity, field) {
+    const value = activity[field];
+    if (value === undefined || value === null) return '';
+    if (field === 'wbsPath') return Array.isArray(value) ? value.join(' › ') : String(value);
+    if (field === 'predecessors') {
+        if (!Array.isArray(value)) return '';
+        return value
+            .map(link => {
+                const lag = Number(link.lag) || 0;
+                return `${link.code} ${link.type || 'FS'}${lag === 0 ? '' : (lag > 0 ? '+' : '') + lag}`;
+            })
+            .sort()
+            .join(', ');
+    }
+    return String(value);
+}
+
+// Whether an imported set of work calendars differs from the one in the project, in any order
+function scheduleCalendarsChanged(current, incoming) {
+    const normalize = (calendars) => JSON.stringify(calendars.slice().sort((a, b) => String(a.id).localeCompare(String(b.id))));
+    return normalize(current) !== normalize(incoming);
+}
+
+// Whole days from one ISO date to another, 0 if either is missing
+function daysBetween(from, to) {
+    if (!from || !to) return 0;
+    const days = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000);
+    return isNaN(days) ? 0 : Math.round(days);
+}
+
+/**
+ * @param {Array} current - Schedule in the project
+ * @param {Array} incoming - Schedule read from the new file
+ * @returns {{added: Array, removed: Array, changed: Array, unchanged: number}}
+ *   added/removed: { key, activity }
+ *   changed: { key, before, after, fields, startShift, endShift } shifts in days
+ */
+function diffSchedules(current, incoming) {
+    const currentByKey = new Map(current.map(activity => [getActivityKey(activity), activity]));
+    const incomingKeys = new Set(incoming.map(getActivityKey));
+
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+    incoming.forEach(activity => {
+        const key = getActivityKey(activity);
+        const old = currentByKey.get(key);
+        if (!old) {
+            added.push({ key, activity });
+            return;
+        }
+        const fields = SCHEDULE_COMPARED_FIELDS.filter(field => getActivityField(old, field) !== getActivityField(activity, field));
+        if (fields.length === 0) {
+            unchanged++;
+            return;
+        }
+        changed.push({
+            key: key,
+            before: old,
+            after: activity,
+            fields: fields,
+            startShift: daysBetween(old.start, activity.start),
+            endShift: daysBetween(old.end, activity.end)
+        });
+    });
+
+    const removed = current
+        .filter(activity => !incomingKeys.has(getActivityKey(activity)))
+        .map(activity => ({ key: getActivityKey(activity), activity }));
+
+    return { added, removed, changed, unchanged };
+}
+
+/**
+ * Build the schedule after accepting some of the changes in `diff`.
+ * Follows the order of the new file, removals that were not accepted stay at the end.
+ * @param {Set<string>} accepted - Keys of the accepted added, removed and changed activities
+ */
+function mergeSchedules(current, incoming, diff, accepted) {
+    const currentByKey = new Map(current.map(activity => [getActivityKey(activity), activity]));
+    const changedKeys = new Set(diff.changed.map(change => change.key));
+
+    const merged = [];
+    incoming.forEach(activity => {
+        const key = getActivityKey(activity);
+        const old = currentByKey.get(key);
+        if (!old) {
+            if (accepted.has(key)) merged.push(activity);
+        } else {
+            merged.push(changedKeys.has(key) && !accepted.has(key) ? old : activity);
+        }
+    });
+    diff.removed.forEach(({ key, activity }) => {
+        if (!accepted.has(key)) merged.push(activity);
+    });
+    return merged;
+}
+
+/**
+ * Bring the activity copies in zones up to date with the schedule and recompute zone dates.
+ * Links to activities in `removedCodes` are dropped and leave an entry in
+ * customData._activityWarnings instead. Links to codes that were never in the schedule are kept.
+ * @returns {Array} the layouts, unchanged layouts and zones are returned as they are
+ */
+function syncZonesWithSchedule(layouts, schedule, removedCodes = new Set()) {
+    const byCode = new Map(schedule.map(activity => [String(activity.code), activity]));
+    const now = new Date().toISOString();
+
+    return layouts.map(layout => {
+        let layoutChanged = false;
+        const zones = layout.zones.map(zone => {
+            const connected = zone.customData && zone.customData._connectedActivities;
+            if (!connected || connected.length === 0) return zone;
+
+            const kept = [];
+            const warnings = [];
+            connected.forEach(link => {
+                const live = byCode.get(String(link.code));
+                if (live) {
+                    kept.push({ ...link, start: live.start, end: live.end, title: live.title });
+                } else if (removedCodes.has(String(link.code))) {
+                    warnings.push({ type: 'removed', code: link.code, title: link.title, date: now });
+                } else {
+                    kept.push(link);
+                }
+            });
+
+            const linksChanged = warnings.length > 0 || kept.some((link, i) =>
+                link.start !== connected[i].start || link.end !== connected[i].end || link.title !== connected[i].title);
+            if (!linksChanged) return zone;
+
+            const customData = { ...zone.customData, _connectedActivities: kept };
+            if (warnings.length > 0) {
+                customData._activityWarnings = [...(zone.customData._activityWarnings || []), ...warnings];
+            }
+            const updatedZone = { ...zone, customData };
+
+            // Same rule as connecting an activity: earliest start, latest end
+            if (kept.length > 0) {
+                const starts = kept.map(link => link.start).filter(Boolean).sort();
+                const ends = kept.map(link => link.end).filter(Boolean).sort();
+                updatedZone.startDate = starts[0] || null;
+                updatedZone.endDate = ends[ends.length - 1] || null;
+            }
+
+            layoutChanged = true;
+            return updatedZone;
+        });
+        return layoutChanged ? { ...layout, zones } : layout;
+    });
+}
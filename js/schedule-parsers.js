@@ -0,0 +1,343 @@
+/**
+ * Schedule Parsers
+ * Native readers for scheduling tool exports, next to the SheetJS based Excel import:
+ *   - MS Project XML (.xml)
+ *   - Primavera P6 XER (.xer)
+ *
+ * Both return { activities, calendars } in the shape of state.schedule and
+ * state.scheduleCalendars:
+ *   activity: { code, title, start, end, discipline, status, wbs, wbsPath,
+ *               predecessors: [{ code, type: 'FS'|'SS'|'FF'|'SF', lag }], calendar }
+ *   calendar: { id, name, workDays: [0-6, 0 = Sunday], hoursPerDay, holidays: ['YYYY-MM-DD'] }
+ * Lags are in working days of the successor's calendar.
+ */
+
+const MS_PROJECT_LINK_TYPES = ['FF', 'FS', 'SF', 'SS']; // <Type> 0-3
+const XER_LINK_TYPES = { PR_FS: 'FS', PR_SS: 'SS', PR_FF: 'FF', PR_SF: 'SF' };
+const XER_STATUSES = { TK_Complete: 'completed', TK_Active: 'in-progress', TK_NotStart: 'planned' };
+const MAX_HOLIDAY_RANGE_DAYS = 366; // Longer exceptions are usually "not working until further notice"
+
+// '2025-01-06T08:00:00' or '2025-01-06 08:00' -> '2025-01-06'
+function toScheduleDate(value) {
+    if (!value) return '';
+    const match = String(value).match(/^(\d{4}-\d{2}-\d{2})/);
+    return match ? match[1] : '';
+}
+
+function addDaysToDate(isoDate, days) {
+    const date = new Date(isoDate + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Every date from `from` to `to` inclusive
+function expandDateRange(from, to) {
+    const dates = [];
+    if (!from) return dates;
+    let current = from;
+    const last = to && to >= from ? to : from;
+    while (current <= last && dates.length < MAX_HOLIDAY_RANGE_DAYS) {
+        dates.push(current);
+        current = addDaysToDate(current, 1);
+    }
+    return dates;
+}
+
+function roundLag(days) {
+    return Math.round(days * 100) / 100;
+}
+
+// --- MS Project XML ---
+
+function xmlChild(element, name) {
+    if (!element) return null;
+    for (const child of element.children) {
+        if (child.localName === name) return child;
+    }
+    return null;
+}
+
+function xmlChildren(element, name) {
+    if (!element) return [];
+    return Array.from(element.children).filter(child => child.localName === name);
+}
+
+function xmlText(element, name) {
+    const child = xmlChild(element, name);
+    return child ? child.textContent.trim() : '';
+}
+
+function parseMsProjectCalendars(project) {
+    const calendarElements = xmlChildren(xmlChild(project, 'Calendars'), 'Calendar');
+    const minutesPerDay = parseFloat(xmlText(project, 'MinutesPerDay')) || 480;
+
+    const calendars = calendarElements.map(element => {
+        const workDays = new Set();
+        let hasWeekDays = false;
+        const holidays = [];
+
+        xmlChildren(xmlChild(element, 'WeekDays'), 'WeekDay').forEach(weekDay => {
+            const dayType = parseInt(xmlText(weekDay, 'DayType'), 10);
+            const working = xmlText(weekDay, 'DayWorking') === '1';
+            if (dayType >= 1 && dayType <= 7) {
+                hasWeekDays = true;
+                if (working) workDays.add(dayType - 1);
+            } else if (dayType === 0 && !working) {
+                // Older files keep exceptions among the week days
+                const period = xmlChild(weekDay, 'TimePeriod');
+                holidays.push(...expandDateRange(toScheduleDate(xmlText(period, 'FromDate')), toScheduleDate(xmlText(period, 'ToDate'))));
+            }
+        });
+
+        xmlChildren(xmlChild(element, 'Exceptions'), 'Exception').forEach(exception => {
+            if (xmlText(exception, 'DayWorking') === '1') return;
+            const period = xmlChild(exception, 'TimePeriod');
+            holidays.push(...expandDateRange(toScheduleDate(xmlText(period, 'FromDate')), toScheduleDate(xmlText(period, 'ToDate'))));
+        });
+
+        return {
+            id: 'msp-' + xmlText(element, 'UID'),
+            name: xmlText(element, 'Name'),
+            baseId: xmlText(element, 'BaseCalendarUID'),
+            isBase: xmlText(element, 'IsBaseCalendar') === '1',
+            workDays: hasWeekDays ? Array.from(workDays).sort() : null,
+            hoursPerDay: minutesPerDay / 60,
+            holidays: [...new Set(holidays)].sort()
+        };
+    });
+
+    // Derived calendars without their own week inherit it from the base calendar
+    const byUid = new Map(calendars.map(calendar => [calendar.id, calendar]));
+    calendars.forEach(calendar => {
+        if (calendar.workDays) return;
+        const base = byUid.get('msp-' + calendar.baseId);
+        calendar.workDays = base && base.workDays ? base.workDays : [1, 2, 3, 4, 5];
+    });
+    return calendars;
+}
+
+/**
+ * @param {string} text - Contents of an MS Project XML file (File > Save As > XML)
+ * @returns {{activities: Array, calendars: Array}}
+ */
+function parseMsProjectXml(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The file is not valid XML');
+    }
+    const project = doc.documentElement;
+    if (!project || project.localName !== 'Project') {
+        throw new Error('The file is not an MS Project XML file');
+    }
+
+    const minutesPerDay = parseFloat(xmlText(project, 'MinutesPerDay')) || 480;
+    const projectCalendar = xmlText(project, 'CalendarUID');
+    const allCalendars = parseMsProjectCalendars(project);
+    const taskElements = xmlChildren(xmlChild(project, 'Tasks'), 'Task');
+
+    // Predecessor links point at UIDs
+    const tasksByUid = new Map();
+    taskElements.forEach(element => tasksByUid.set(xmlText(element, 'UID'), element));
+
+    const activities = [];
+    const summaryPath = []; // Names of the open summary tasks, by outline level
+    taskElements.forEach(element => {
+        const uid = xmlText(element, 'UID');
+        if (uid === '0' || xmlText(element, 'IsNull') === '1') return; // Project summary task, empty rows
+
+        const level = parseInt(xmlText(element, 'OutlineLevel'), 10) || 1;
+        const name = xmlText(element, 'Name');
+        summaryPath.length = level - 1;
+
+        // Summary tasks are the WBS, only the work below them becomes activities
+        if (xmlText(element, 'Summary') === '1') {
+            summaryPath[level - 1] = name;
+            return;
+        }
+
+        const calendarUid = xmlText(element, 'CalendarUID');
+        const calendar = calendarUid && calendarUid !== '-1' ? calendarUid : projectCalendar;
+        const percentComplete = parseFloat(xmlText(element, 'PercentComplete')) || 0;
+
+        const predecessors = xmlChildren(element, 'PredecessorLink')
+            .filter(link => tasksByUid.has(xmlText(link, 'PredecessorUID')))
+            .map(link => ({
+                code: xmlText(link, 'PredecessorUID'),
+                type: MS_PROJECT_LINK_TYPES[parseInt(xmlText(link, 'Type'), 10)] || 'FS',
+                // LinkLag is in tenths of a minute
+                lag: roundLag((parseFloat(xmlText(link, 'LinkLag')) || 0) / 10 / minutesPerDay)
+            }));
+
+        activities.push({
+            code: uid, // Stable between saves, unlike the row number in <ID>
+            title: name,
+            start: toScheduleDate(xmlText(element, 'Start')),
+            end: toScheduleDate(xmlText(element, 'Finish')),
+            discipline: '',
+            status: percentComplete >= 100 ? 'completed' : percentComplete > 0 ? 'in-progress' : 'planned',
+            wbs: xmlText(element, 'WBS'),
+            wbsPath: summaryPath.filter(Boolean),
+            predecessors: predecessors,
+            calendar: calendar ? 'msp-' + calendar : null
+        });
+    });
+
+    // Base calendars and the ones activities use, resource calendars are left out
+    const usedCalendars = new Set(activities.map(activity => activity.calendar));
+    const calendars = allCalendars
+        .filter(calendar => calendar.isBase || usedCalendars.has(calendar.id))
+        .map(({ id, name, workDays, hoursPerDay, holidays }) => ({ id, name, workDays, hoursPerDay, holidays }));
+
+    return { activities, calendars };
+}
+
+// --- Primavera P6 XER ---
+
+/**
+ * XER is tab separated text: %T starts a table, %F names its fields, %R is a row.
+ * @returns {Object} table name -> array of row objects
+ */
+function parseXerTables(text) {
+    const tables = {};
+    let rows = null;
+    let fields = [];
+    text.split(/\r?\n/).forEach(line => {
+        const parts = line.split('\t');
+        switch (parts[0]) {
+            case '%T':
+                rows = tables[parts[1]] = [];
+                fields = [];
+                break;
+            case '%F':
+                fields = parts.slice(1);
+                break;
+            case '%R': {
+                if (!rows) break;
+                const row = {};
+                fields.forEach((field, i) => {
+                    row[field] = parts[i + 1] !== undefined ? parts[i + 1] : '';
+                });
+                rows.push(row);
+                break;
+            }
+        }
+    });
+    return tables;
+}
+
+// XER dates in clndr_data are day numbers counted from 1899-12-30, as in Excel
+function xerSerialToDate(serial) {
+    return addDaysToDate('1899-12-30', serial);
+}
+
+/**
+ * clndr_data is a nested "(0||name(params)(children))" structure. Week days 1-7 (Sunday first)
+ * with time periods ("s|08:00|f|16:00") are working days, exceptions without periods are holidays.
+ */
+function parseXerCalendarData(data) {
+    const workDays = [];
+    const holidays = [];
+
+    const weekStart = data.indexOf('DaysOfWeek');
+    const exceptionsStart = data.indexOf('Exceptions');
+    if (weekStart !== -1) {
+        const week = data.slice(weekStart, exceptionsStart > weekStart ? exceptionsStart : undefined);
+        const dayPattern = /\(0\|\|([1-7])\(\)/g;
+        const days = [];
+        let match;
+        while ((match = dayPattern.exec(week)) !== null) {
+            days.push({ day: parseInt(match[1], 10), index: match.index });
+        }
+        days.forEach((entry, i) => {
+            const body = week.slice(entry.index, i + 1 < days.length ? days[i + 1].index : undefined);
+            if (body.includes('s|')) workDays.push(entry.day - 1);
+        });
+    }
+
+    if (exceptionsStart !== -1) {
+        const chunks = data.slice(exceptionsStart).split(/\(0\|\|\d+\(d\|/).slice(1);
+        chunks.forEach(chunk => {
+            const serial = parseInt(chunk, 10);
+            if (!isNaN(serial) && !chunk.includes('s|')) holidays.push(xerSerialToDate(serial));
+        });
+    }
+
+    return {
+        workDays: workDays.length > 0 ? workDays.sort() : [1, 2, 3, 4, 5],
+        holidays: [...new Set(holidays)].sort()
+    };
+}
+
+/**
+ * @param {string} text - Contents of a Primavera P6 XER export
+ * @returns {{activities: Array, calendars: Array}}
+ */
+function parsePrimaveraXer(text) {
+    if (!text.startsWith('ERMHDR')) {
+        throw new Error('The file is not a Primavera XER export');
+    }
+    const tables = parseXerTables(text);
+    const tasks = tables.TASK || [];
+
+    const calendars = (tables.CALENDAR || []).map(row => ({
+        id: 'xer-' + row.clndr_id,
+        name: row.clndr_name,
+        hoursPerDay: parseFloat(row.day_hr_cnt) || 8,
+        ...parseXerCalendarData(row.clndr_data || '')
+    }));
+    const calendarsById = new Map(calendars.map(calendar => [calendar.id, calendar]));
+
+    // WBS nodes form a tree through parent_wbs_id, the project node is its root
+    const wbsById = new Map((tables.PROJWBS || []).map(row => [row.wbs_id, row]));
+    const wbsPathCache = new Map();
+    const getWbsPath = (wbsId) => {
+        if (wbsPathCache.has(wbsId)) return wbsPathCache.get(wbsId);
+        const path = [];
+        const seen = new Set();
+        let node = wbsById.get(wbsId);
+        while (node && node.proj_node_flag !== 'Y' && !seen.has(node.wbs_id)) {
+            seen.add(node.wbs_id);
+            path.unshift(node);
+            node = wbsById.get(node.parent_wbs_id);
+        }
+        wbsPathCache.set(wbsId, path);
+        return path;
+    };
+
+    const codesById = new Map(tasks.map(task => [task.task_id, task.task_code]));
+    const predecessorsByTask = new Map();
+    (tables.TASKPRED || []).forEach(row => {
+        if (!codesById.has(row.pred_task_id)) return;
+        if (!predecessorsByTask.has(row.task_id)) predecessorsByTask.set(row.task_id, []);
+        predecessorsByTask.get(row.task_id).push(row);
+    });
+
+    const activities = tasks
+        .filter(task => task.task_type !== 'TT_WBS') // WBS summary activities repeat the WBS
+        .map(task => {
+            const calendarId = task.clndr_id ? 'xer-' + task.clndr_id : null;
+            const calendar = calendarsById.get(calendarId);
+            const hoursPerDay = calendar ? calendar.hoursPerDay : 8;
+            const path = getWbsPath(task.wbs_id);
+
+            return {
+                code: task.task_code,
+                title: task.task_name,
+                // Actual dates once work has started, else the remaining (early) dates of the last schedule run
+                start: toScheduleDate(task.act_start_date || task.restart_date || task.early_start_date || task.target_start_date),
+                end: toScheduleDate(task.act_end_date || task.reend_date || task.early_end_date || task.target_end_date),
+                discipline: '',
+                status: XER_STATUSES[task.status_code] || 'planned',
+                wbs: path.map(node => node.wbs_short_name).join('.'),
+                wbsPath: path.map(node => node.wbs_name),
+                predecessors: (predecessorsByTask.get(task.task_id) || []).map(row => ({
+                    code: codesById.get(row.pred_task_id),
+                    type: XER_LINK_TYPES[row.pred_type] || 'FS',
+                    lag: roundLag((parseFloat(row.lag_hr_cnt) || 0) / hoursPerDay)
+                })),
+                calendar: calendar ? calendarId : null
+            };
+        });
+
+    return { activities, calendars };
+}
@@ -0,0 +1,285 @@
+/**
+ * Sheet Templates
+ * Paper layout for PDF export: the plan is fitted inside the margins above a strip with the
+ * north arrow, scale bar and title block. Templates live in projectSettings.sheetTemplates.
+ * Everything is drawn through the Canvas 2D API in PDF points, see PdfContext.
+ */
+
+// ISO 216 portrait sizes in mm
+const PAPER_SIZES = {
+    A4: [210, 297],
+    A3: [297, 420],
+    A2: [420, 594],
+    A1: [594, 841],
+    A0: [841, 1189]
+};
+
+const MM_TO_PT = 72 / 25.4;
+
+const DEFAULT_SHEET_TEMPLATE = {
+    name: '',
+    paperSize: 'A3',
+    orientation: 'auto', // 'auto' follows the plan, 'landscape' or 'portrait'
+    margin: 10, // mm
+    titleBlock: true,
+    revision: '',
+    author: '',
+    company: '',
+    logoRef: null, // Content hash of the PNG in the blob store, downscaled on upload
+    northArrow: true,
+    northAngle: 0, // Degrees clockwise from up
+    scaleBar: true
+};
+
+/**
+ * Page geometry for a plan of planWidth x planHeight canvas pixels, all values in points.
+ * @param {number} panelShare - Share of the frame width kept for a side panel at the right, 0 for none
+ * @returns {{format: number[], orientation: string, frame: Object, strip: Object|null, panel: Object|null, plan: Object, pointsPerPixel: number}}
+ *          plan is { x, y, width, height } of the fitted plan, strip is the furniture row below it
+ */
+function getSheetLayout(template, planWidth, planHeight, panelShare = 0) {
+    template = { ...DEFAULT_SHEET_TEMPLATE, ...template };
+    const [shortSide, longSide] = PAPER_SIZES[template.paperSize] || PAPER_SIZES.A3;
+    const landscape = template.orientation === 'auto' ? planWidth >= planHeight : template.orientation === 'landscape';
+    const pageWidth = (landscape ? longSide : shortSide) * MM_TO_PT;
+    const pageHeight = (landscape ? shortSide : longSide) * MM_TO_PT;
+
+    const margin = Math.max(0, Number(template.margin) || 0) * MM_TO_PT;
+    const frame = { x: margin, y: margin, width: pageWidth - margin * 2, height: pageHeight - margin * 2 };
+
+    let strip = null;
+    if (template.titleBlock || template.northArrow || template.scaleBar) {
+        const height = Math.min(60, Math.max(25, shortSide / 8)) * MM_TO_PT;
+        strip = { x: frame.x, y: frame.y + frame.height - height, width: frame.width, height };
+    }
+
+    const gap = 3 * MM_TO_PT;
+    const panelWidth = frame.width * panelShare;
+    const area = {
+        x: frame.x + gap,
+        y: frame.y + gap,
+        width: frame.width - panelWidth - gap * 2,
+        height: (strip ? strip.y : frame.y + frame.height) - frame.y - gap * 2
+    };
+    const panel = panelWidth > 0
+        ? { x: area.x + area.width + gap * 2, y: area.y, width: panelWidth - gap * 2, height: area.height }
+        : null;
+    const pointsPerPixel = Math.min(area.width / planWidth, area.height / planHeight);
+    const plan = {
+        x: area.x + (area.width - planWidth * pointsPerPixel) / 2,
+        y: area.y + (area.height - planHeight * pointsPerPixel) / 2,
+        width: planWidth * pointsPerPixel,
+        height: planHeight * pointsPerPixel
+    };
+
+    return {
+        format: [pageWidth, pageHeight],
+        orientation: landscape ? 'l' : 'p',
+        frame,
+        strip,
+        panel,
+        plan,
+        pointsPerPixel
+    };
+}
+
+// 1, 2 or 5 times a power of ten, at most `value`
+function niceScaleLength(value) {
+    const power = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [5, 2, 1].find(s => s * power <= value) || 1;
+    return step * power;
+}
+
+/**
+ * Draw frame, title block, north arrow and scale bar.
+ * @param {CanvasRenderingContext2D|PdfContext} ctx - Drawing in points
+ * @param {Object} template - Sheet template
+ * @param {Object} sheet - Result of getSheetLayout
+ * @param {Object} info - { projectName, layoutName, date, calibrationScale, logo (loaded image), t }
+ */
+function drawSheetFurniture(ctx, template, sheet, info) {
+    template = { ...DEFAULT_SHEET_TEMPLATE, ...template };
+    const { frame, strip } = sheet;
+
+    ctx.save();
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([]);
+    ctx.strokeRect(frame.x, frame.y, frame.width, frame.height);
+
+    if (sheet.panel) {
+        // Middle of the gap between plan area and panel
+        const x = sheet.panel.x - 3 * MM_TO_PT;
+        ctx.beginPath();
+        ctx.moveTo(x, frame.y);
+        ctx.lineTo(x, strip ? strip.y : frame.y + frame.height);
+        ctx.stroke();
+    }
+
+    if (!strip) {
+        ctx.restore();
+        return;
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(strip.x, strip.y);
+    ctx.lineTo(strip.x + strip.width, strip.y);
+    ctx.stroke();
+
+    const pad = strip.height * 0.1;
+    let left = strip.x + pad;
+    let right = strip.x + strip.width;
+
+    if (template.titleBlock) {
+        const width = Math.min(strip.width * 0.55, strip.height * 5);
+        right -= width;
+        drawTitleBlock(ctx, template, { x: right, y: strip.y, width, height: strip.height }, info);
+    }
+
+    if (template.northArrow) {
+        const size = strip.height - pad * 2;
+        drawNorthArrow(ctx, left + size / 2, strip.y + strip.height / 2, size, template.northAngle);
+        left += size + pad * 2;
+    }
+
+    if (template.scaleBar && right - pad - left > strip.height) {
+        drawScaleBar(ctx, template, sheet, info, { x: left, y: strip.y + pad, width: right - pad - left, height: strip.height - pad * 2 });
+    }
+
+    ctx.restore();
+}
+
+function drawTitleBlock(ctx, template, box, info) {
+    const t = info.t;
+    const h = box.height;
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(box.x, box.y, box.width, box.height);
+
+    let x = box.x;
+    if (info.logo) {
+        // Logo in a square cell at the left, aspect ratio kept
+        const cell = h;
+        const pad = h * 0.08;
+        const ratio = Math.min((cell - pad * 2) / info.logo.width, (cell - pad * 2) / info.logo.height);
+        const width = info.logo.width * ratio;
+        const height = info.logo.height * ratio;
+        ctx.drawImage(info.logo, x + (cell - width) / 2, box.y + (cell - height) / 2, width, height);
+        ctx.beginPath();
+        ctx.moveTo(x + cell, box.y);
+        ctx.lineTo(x + cell, box.y + h);
+        ctx.stroke();
+        x += cell;
+    }
+
+    const width = box.x + box.width - x;
+    const pad = h * 0.06;
+    const topHeight = h * 0.42;
+
+    // Project and layout
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillStyle = '#000000';
+    ctx.font = `bold ${h * 0.16}px Inter, sans-serif`;
+    ctx.fillText(info.projectName || '', x + pad, box.y + pad + h * 0.14);
+    ctx.font = `${h * 0.11}px Inter, sans-serif`;
+    ctx.fillText(info.layoutName || '', x + pad, box.y + topHeight - pad);
+
+    ctx.beginPath();
+    ctx.moveTo(x, box.y + topHeight);
+    ctx.lineTo(x + width, box.y + topHeight);
+    ctx.moveTo(x + width / 2, box.y + topHeight);
+    ctx.lineTo(x + width / 2, box.y + h);
+    ctx.moveTo(x, box.y + topHeight + (h - topHeight) / 2);
+    ctx.lineTo(x + width, box.y + topHeight + (h - topHeight) / 2);
+    ctx.stroke();
+
+    // Revision, date, author and company in a 2 x 2 grid of label + value
+    const cells = [
+        [t('revision'), template.revision],
+        [t('date'), info.date],
+        [t('drawnBy'), template.author],
+        [t('company'), template.company]
+    ];
+    const cellWidth = width / 2;
+    const cellHeight = (h - topHeight) / 2;
+    cells.forEach(([label, value], i) => {
+        const cx = x + (i % 2) * cellWidth + pad;
+        const cy = box.y + topHeight + Math.floor(i / 2) * cellHeight;
+        ctx.fillStyle = '#64748B';
+        ctx.font = `${cellHeight * 0.28}px Inter, sans-serif`;
+        ctx.fillText(label, cx, cy + cellHeight * 0.36);
+        ctx.fillStyle = '#000000';
+        ctx.font = `${cellHeight * 0.38}px Inter, sans-serif`;
+        ctx.fillText(value || '', cx, cy + cellHeight * 0.84);
+    });
+}
+
+function drawNorthArrow(ctx, cx, cy, size, angle) {
+    const r = size / 2;
+    ctx.save();
+    ctx.translate(cx, cy);
+
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(0, 0, r * 0.72, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.rotate((Number(angle) || 0) * Math.PI / 180);
+    // Half filled arrow, the usual plan symbol
+    ctx.fillStyle = '#000000';
+    ctx.beginPath();
+    ctx.moveTo(0, -r * 0.62);
+    ctx.lineTo(r * 0.28, r * 0.5);
+    ctx.lineTo(0, r * 0.3);
+    ctx.closePath();
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(0, -r * 0.62);
+    ctx.lineTo(-r * 0.28, r * 0.5);
+    ctx.lineTo(0, r * 0.3);
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.font = `bold ${r * 0.3}px Inter, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText('N', 0, -r * 0.74);
+    ctx.restore();
+}
+
+function drawScaleBar(ctx, template, sheet, info, box) {
+    const t = info.t;
+    const metersPerPoint = 1 / ((info.calibrationScale || 50) * sheet.pointsPerPixel);
+    const maxWidth = Math.min(box.width, box.height * 6);
+    const length = niceScaleLength(maxWidth * 0.9 * metersPerPoint);
+    const width = length / metersPerPoint;
+    const segments = 4;
+    const barHeight = box.height * 0.14;
+    const y = box.y + box.height * 0.45;
+
+    ctx.lineWidth = 0.75;
+    ctx.strokeStyle = '#000000';
+    for (let i = 0; i < segments; i++) {
+        ctx.fillStyle = i % 2 === 0 ? '#000000' : '#ffffff';
+        ctx.fillRect(box.x + width * i / segments, y, width / segments, barHeight);
+    }
+    ctx.strokeRect(box.x, y, width, barHeight);
+
+    const format = (meters) => `${Math.round(meters * 1000) / 1000}`;
+    ctx.fillStyle = '#000000';
+    ctx.font = `${box.height * 0.13}px Inter, sans-serif`;
+    ctx.textBaseline = 'bottom';
+    ctx.textAlign = 'center';
+    ctx.fillText('0', box.x, y - barHeight * 0.3);
+    ctx.fillText(format(length / 2), box.x + width / 2, y - barHeight * 0.3);
+    ctx.fillText(`${format(length)} m`, box.x + width, y - barHeight * 0.3);
+
+    // Paper scale, only true when printed at the template size
+    const ratio = metersPerPoint * 1000 / (1 / MM_TO_PT);
+    const digits = Math.pow(10, Math.max(0, Math.floor(Math.log10(ratio)) - 1));
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(`${t('scale')} 1:${Math.round(ratio / digits) * digits} (${template.paperSize})`, box.x, y + barHeight * 1.6);
+}
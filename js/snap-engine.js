@@ -0,0 +1,208 @@
+/**
+ * Snap Engine
+ * Pulls the cursor onto zone vertices, edge midpoints, edges, edge intersections and a grid
+ * in meters while drawing and editing, so neighbouring zones share their edges exactly.
+ * Object snaps win over the grid; among them vertices win over intersections, midpoints
+ * and edges, then the nearest one. All coordinates are canvas (world) units.
+ */
+
+// Lower wins
+const SNAP_PRIORITY = { vertex: 0, intersection: 1, midpoint: 2, edge: 3, grid: 4 };
+
+const SNAP_INDICATOR_COLOR = '#F97316';
+
+// Canvas tools whose clicked points snap, vertex and handle drags snap as well
+const SNAP_TOOLS = ['draw', 'draw-rect', 'ellipse', 'poly', 'cloud', 'draw-poly', 'line', 'arrow', 'measure-length', 'measure-area', 'calibrate', 'origin'];
+
+/**
+ * Vertices and edges a zone offers for snapping, null for zones without outline (symbols, text).
+ * @returns {{points: Array<{x, y}>, closed: boolean, midpoints: boolean, edgePoints: Array<{x, y}>|null}|null}
+ *          edgePoints is a finer outline for the edges, for curved zones
+ */
+function getSnapGeometry(zone) {
+    const type = zone.type || 'rect';
+    if (type === 'polygon' || type === 'cloud' || type === 'measure-area') {
+        return zone.points && zone.points.length > 1 ? { points: zone.points, closed: true, midpoints: true, edgePoints: null } : null;
+    }
+    if (type === 'draw-poly') {
+        return zone.points && zone.points.length > 1 ? { points: zone.points, closed: false, midpoints: true, edgePoints: null } : null;
+    }
+    if (type === 'line' || type === 'arrow' || type === 'measure-length') {
+        return { points: [{ x: zone.x, y: zone.y }, { x: zone.x2, y: zone.y2 }], closed: false, midpoints: true, edgePoints: null };
+    }
+    if (type === 'ellipse') {
+        // Ends of the axes as vertices, the outline for edges
+        const points = getZonePolygon(zone, 4);
+        return points ? { points, closed: true, midpoints: false, edgePoints: getZonePolygon(zone, 64) } : null;
+    }
+    if (type === 'rect' || type === 'draw-rect') {
+        const points = getZonePolygon(zone);
+        return points ? { points, closed: true, midpoints: true, edgePoints: null } : null;
+    }
+    return null;
+}
+
+function getClosestPointOnSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    if (lengthSq === 0) return { x: a.x, y: a.y };
+    const t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSq));
+    return { x: a.x + t * dx, y: a.y + t * dy };
+}
+
+// Crossing point of two segments, null if they are parallel or do not cross
+function getSegmentIntersection(a1, a2, b1, b2) {
+    const d1x = a2.x - a1.x;
+    const d1y = a2.y - a1.y;
+    const d2x = b2.x - b1.x;
+    const d2y = b2.y - b1.y;
+    const denominator = d1x * d2y - d1y * d2x;
+    if (Math.abs(denominator) < 1e-12) return null;
+
+    const t = ((b1.x - a1.x) * d2y - (b1.y - a1.y) * d2x) / denominator;
+    const u = ((b1.x - a1.x) * d1y - (b1.y - a1.y) * d1x) / denominator;
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+    return { x: a1.x + t * d1x, y: a1.y + t * d1y };
+}
+
+class SnapEngine {
+    constructor() {
+        this.indicator = null; // Last snap result, drawn by drawIndicator
+    }
+
+    /**
+     * @param {{x: number, y: number}} pos - Cursor in canvas units
+     * @param {Object} options
+     * @param {Array} options.zones - Zones to snap to
+     * @param {Object} options.settings - See DEFAULT_SNAP_SETTINGS
+     * @param {number} options.tolerance - Snap distance in canvas units
+     * @param {number} options.gridSize - Grid spacing in canvas units
+     * @param {{x: number, y: number}} options.origin - A grid point, see getLayoutOrigin
+     * @param {Array<{x, y}>} [options.extraPoints] - Polyline being drawn
+     * @param {{zoneId: string, vertexIndex?: number}} [options.exclude] - Zone (or one of its vertices) being edited
+     * @returns {{x: number, y: number, type: string}|null} null if nothing is in reach
+     */
+    snap(pos, options) {
+        const { zones, settings, tolerance, gridSize, origin, extraPoints = [], exclude = null } = options;
+        const vertices = [];
+        const segments = [];
+
+        const addEdges = (points, closed, midpoints, skipIndex = -1) => {
+            const count = points.length;
+            const edgeCount = closed ? count : count - 1;
+            for (let i = 0; i < edgeCount; i++) {
+                const j = (i + 1) % count;
+                if (i === skipIndex || j === skipIndex) continue;
+                segments.push({ a: points[i], b: points[j], midpoint: midpoints });
+            }
+        };
+        const addOutline = (points, closed, midpoints, skipIndex = -1) => {
+            points.forEach((p, i) => {
+                if (i !== skipIndex) vertices.push(p);
+            });
+            addEdges(points, closed, midpoints, skipIndex);
+        };
+
+        zones.forEach(zone => {
+            const vertexIndex = exclude && exclude.zoneId === zone.id ? exclude.vertexIndex : undefined;
+            if (exclude && exclude.zoneId === zone.id && typeof vertexIndex !== 'number') return;
+            const geometry = getSnapGeometry(zone);
+            if (!geometry) return;
+
+            if (geometry.edgePoints) {
+                // Points of a curved outline are not vertices
+                vertices.push(...geometry.points);
+                addEdges(geometry.edgePoints, true, false);
+            } else {
+                addOutline(geometry.points, geometry.closed, geometry.midpoints, typeof vertexIndex === 'number' ? vertexIndex : -1);
+            }
+        });
+        if (extraPoints.length > 0) addOutline(extraPoints, false, true);
+
+        const candidates = [];
+        const consider = (point, type) => {
+            const distance = Math.hypot(point.x - pos.x, point.y - pos.y);
+            if (distance <= tolerance) candidates.push({ x: point.x, y: point.y, type, distance });
+        };
+
+        if (settings.vertex) vertices.forEach(p => consider(p, 'vertex'));
+
+        const nearby = segments.filter(s => {
+            const closest = getClosestPointOnSegment(pos, s.a, s.b);
+            return Math.hypot(closest.x - pos.x, closest.y - pos.y) <= tolerance;
+        });
+        nearby.forEach(s => {
+            if (settings.midpoint && s.midpoint) consider({ x: (s.a.x + s.b.x) / 2, y: (s.a.y + s.b.y) / 2 }, 'midpoint');
+            if (settings.edge) consider(getClosestPointOnSegment(pos, s.a, s.b), 'edge');
+        });
+        if (settings.intersection) {
+            for (let i = 0; i < nearby.length; i++) {
+                for (let j = i + 1; j < nearby.length; j++) {
+                    const point = getSegmentIntersection(nearby[i].a, nearby[i].b, nearby[j].a, nearby[j].b);
+                    if (point) consider(point, 'intersection');
+                }
+            }
+        }
+
+        let result = null;
+        candidates.forEach(candidate => {
+            if (!result ||
+                SNAP_PRIORITY[candidate.type] < SNAP_PRIORITY[result.type] ||
+                (SNAP_PRIORITY[candidate.type] === SNAP_PRIORITY[result.type] && candidate.distance < result.distance)) {
+                result = candidate;
+            }
+        });
+
+        if (!result && settings.grid && gridSize > 0) {
+            result = {
+                x: origin.x + Math.round((pos.x - origin.x) / gridSize) * gridSize,
+                y: origin.y + Math.round((pos.y - origin.y) / gridSize) * gridSize,
+                type: 'grid'
+            };
+        }
+
+        this.indicator = result ? { x: result.x, y: result.y, type: result.type } : null;
+        return this.indicator;
+    }
+
+    clear() {
+        this.indicator = null;
+    }
+
+    // Marker at the snapped point, one shape per snap type, constant size on screen
+    drawIndicator(ctx, scale) {
+        if (!this.indicator) return;
+        const { x, y, type } = this.indicator;
+        const size = 6 / scale;
+
+        ctx.save();
+        ctx.setLineDash([]);
+        ctx.globalAlpha = 1;
+        ctx.strokeStyle = SNAP_INDICATOR_COLOR;
+        ctx.lineWidth = 2 / scale;
+        ctx.beginPath();
+        if (type === 'vertex') {
+            ctx.rect(x - size, y - size, size * 2, size * 2);
+        } else if (type === 'midpoint') {
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.lineTo(x - size, y + size);
+            ctx.closePath();
+        } else if (type === 'intersection') {
+            ctx.moveTo(x - size, y - size);
+            ctx.lineTo(x + size, y + size);
+            ctx.moveTo(x + size, y - size);
+            ctx.lineTo(x - size, y + size);
+        } else if (type === 'edge') {
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(x - size, y);
+            ctx.lineTo(x + size, y);
+            ctx.moveTo(x, y - size);
+            ctx.lineTo(x, y + size);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Snapshot Manager
+ * Periodic and pre-import restore points of the full project state.
+ * Snapshot metadata lives in its own store so listing stays cheap,
+ * the state itself is stored under 'snapshot_<id>' in the projects store.
+ */
+
+const DEFAULT_SNAPSHOT_SETTINGS = {
+    intervalMinutes: 60, // Periodic snapshot interval, 0 disables it
+    maxCount: 20, // Per project
+    maxAgeDays: 30
+};
+
+class SnapshotManager {
+    constructor(dataManager) {
+        this.dataManager = dataManager;
+        this.lastSnapshotTime = 0;
+
+        // Check once a minute whether a periodic snapshot is due
+        setInterval(() => this.createPeriodicSnapshot(), 60 * 1000);
+    }
+
+    getSettings() {
+        const settings = this.dataManager.getState().projectSettings || {};
+        return { ...DEFAULT_SNAPSHOT_SETTINGS, ...settings.snapshots };
+    }
+
+    getStateKey(snapshotId) {
+        return 'snapshot_' + snapshotId;
+    }
+
+    /**
+     * Store a snapshot of the current state.
+     * The current state object is captured synchronously, changes made right after calling
+     * (without awaiting) replace the state and do not end up in the snapshot.
+     * @param {string} reason - Translation key describing why ('snapshotPeriodic', 'snapshotImport', ...)
+     * @returns {Promise<Object|null>} the snapshot metadata
+     */
+    create(reason) {
+        const projectId = this.dataManager.getProjectId();
+        if (!projectId) return Promise.resolve(null);
+
+        const state = this.dataManager.getState();
+        const meta = {
+            id: generateUUID(),
+            projectId: projectId,
+            created: new Date().toISOString(),
+            reason: reason,
+            projectName: state.projectInfo.name,
+            summary: summarizeState(state),
+            blobRefs: Array.from(getStateBlobRefs(state)) // Read by DataManager.collectUnusedBlobs instead of the state
+        };
+        this.lastSnapshotTime = Date.now();
+
+        return (async () => {
+            try {
+                await db.save(this.getStateKey(meta.id), state);
+                await db.save(meta.id, meta, SNAPSHOT_STORE_NAME);
+                await this.prune(projectId);
+                return meta;
+            } catch (e) {
+                console.error("Failed to create snapshot", e);
+                return null;
+            }
+        })();
+    }
+
+    async createPeriodicSnapshot() {
+        const { intervalMinutes } = this.getSettings();
+        if (!intervalMinutes || intervalMinutes <= 0) return;
+        if (Date.now() - this.lastSnapshotTime < intervalMinutes * 60 * 1000) return;
+
+        // Only when something changed since the newest snapshot
+        const latest = (await this.list())[0];
+        const lastModified = this.dataManager.getState().projectInfo.lastModified;
+        if (latest && latest.created >= lastModified) {
+            this.lastSnapshotTime = Date.now();
+            return;
+        }
+        await this.create('snapshotPeriodic');
+    }
+
+    // Snapshots of the open project, newest first
+    async list(projectId = this.dataManager.getProjectId()) {
+        const all = await db.getAll(SNAPSHOT_STORE_NAME);
+        return all
+            .filter(s => s.projectId === projectId)
+            .sort((a, b) => b.created.localeCompare(a.created));
+    }
+
+    async loadState(snapshotId) {
+        return db.load(this.getStateKey(snapshotId));
+    }
+
+    async remove(snapshotId) {
+        await db.delete(this.getStateKey(snapshotId));
+        await db.delete(snapshotId, SNAPSHOT_STORE_NAME);
+    }
+
+    // Apply the retention limits from project settings
+    async prune(projectId) {
+        const { maxCount, maxAgeDays } = this.getSettings();
+        const snapshots = await this.list(projectId);
+        const cutoff = new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString();
+
+        const expired = snapshots.filter((s, i) => i >= maxCount || (maxAgeDays > 0 && s.created < cutoff));
+        for (const snapshot of expired) {
+            await this.remove(snapshot.id);
+        }
+    }
+
+    // Replace the project state with a snapshot. The current state is snapshotted first.
+    async restore(snapshotId) {
+        const state = await this.loadState(snapshotId);
+        if (!state) throw new Error(`Snapshot ${snapshotId} not found`);
+
+        await this.create('snapshotBeforeRestore');
+        await this.dataManager.restoreState(state);
+    }
+}
+
+// Compact description of a state, enough to diff two states without loading them
+function summarizeState(state) {
+    const zones = {};
+    const layouts = {};
+    (state.layouts || []).forEach(layout => {
+        layouts[layout.id] = layout.name;
+        (layout.zones || []).forEach(zone => {
+            zones[zone.id] = hashString(JSON.stringify(zone));
+        });
+    });
+    return {
+        layouts: layouts,
+        zones: zones,
+        activityCount: (state.schedule || []).length,
+        disciplineCount: (state.disciplines || []).length,
+        statusCount: (state.statuses || []).length
+    };
+}
+
+/**
+ * What restoring `from` over `to` would change, counted from `to`'s point of view
+ * e.g. zonesAdded are zones in the snapshot that the current state lacks.
+ */
+function diffSummaries(from, to) {
+    const diffKeys = (a, b) => Object.keys(a).filter(key => !(key in b)).length;
+    const changedZones = Object.keys(from.zones).filter(id => id in to.zones && from.zones[id] !== to.zones[id]).length;
+    return {
+        layoutsAdded: diffKeys(from.layouts, to.layouts),
+        layoutsRemoved: diffKeys(to.layouts, from.layouts),
+        zonesAdded: diffKeys(from.zones, to.zones),
+        zonesRemoved: diffKeys(to.zones, from.zones),
+        zonesChanged: changedZones,
+        activityDelta: from.activityCount - to.activityCount
+    };
+}
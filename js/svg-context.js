@@ -0,0 +1,247 @@
+/**
+ * SVG Context
+ * The same Canvas 2D subset as PdfContext, written as SVG elements: paths, text, hatch
+ * patterns and clip paths stay editable in Illustrator, Word and PowerPoint.
+ * Transforms and path building are shared with PdfContext, only the output differs.
+ * Shadows and composite modes are ignored, images are embedded as data URLs.
+ */
+
+// Text content and attribute values
+function escapeSvgText(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Short numbers keep the file small, 0.01 units is far below a printed pixel
+function formatSvgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+class SvgContext extends PdfContext {
+    /**
+     * @param {number} width - Size of the drawing in canvas units
+     * @param {number} height
+     * @param {number} scale - SVG units per canvas unit
+     * @param {number} originX - SVG position of canvas 0,0
+     * @param {number} originY
+     */
+    constructor(width, height, scale = 1, originX = 0, originY = 0) {
+        super(null, scale, originX, originY);
+        this.width = width * scale;
+        this.height = height * scale;
+        this.defs = [];
+        this.body = [];
+        this.nextId = 0;
+        this.clipGroups = 0; // <g clip-path> opened since the last save()
+        this.imageUrls = new WeakMap();
+        this.measureCtx = document.createElement('canvas').getContext('2d');
+    }
+
+    // --- State ---
+
+    save() {
+        this.stack.push({ ...this.getDrawingState(), clipGroups: this.clipGroups });
+        this.clipGroups = 0;
+    }
+
+    restore() {
+        const saved = this.stack.pop();
+        if (!saved) return;
+        for (let i = 0; i < this.clipGroups; i++) this.body.push('</g>');
+        Object.assign(this, saved);
+    }
+
+    createId(prefix) {
+        return `${prefix}${this.nextId++}`;
+    }
+
+    getMatrixAttribute() {
+        return `matrix(${this.matrix.map(formatSvgNumber).join(' ')})`;
+    }
+
+    // --- Painting ---
+
+    getPathData(path = this.path) {
+        return path.map(op => {
+            if (op[0] === 'h') return 'Z';
+            const command = { m: 'M', l: 'L', c: 'C' }[op[0]];
+            return command + op.slice(1).map(formatSvgNumber).join(' ');
+        }).join('');
+    }
+
+    // Paint attributes for a fill or stroke, null if there is nothing to paint
+    getPaintAttributes(kind) {
+        const color = parseCssColor(kind === 'fill' ? this.fillStyle : this.strokeStyle);
+        if (!color) return null;
+        const alpha = color.a * this.globalAlpha;
+        if (alpha <= 0) return null;
+
+        const rgb = `rgb(${Math.round(color.r)},${Math.round(color.g)},${Math.round(color.b)})`;
+        const opacity = alpha < 1 ? ` ${kind}-opacity="${formatSvgNumber(alpha)}"` : '';
+        if (kind === 'fill') return `fill="${rgb}"${opacity}`;
+
+        const scale = this.getLengthScale();
+        let attributes = `fill="none" stroke="${rgb}"${opacity} stroke-width="${formatSvgNumber(this.lineWidth * scale)}"`;
+        if (this.lineCap !== 'butt') attributes += ` stroke-linecap="${this.lineCap}"`;
+        if (this.lineJoin !== 'miter') attributes += ` stroke-linejoin="${this.lineJoin}"`;
+        if (this.lineDash.length > 0) {
+            attributes += ` stroke-dasharray="${this.lineDash.map(d => formatSvgNumber(d * scale)).join(' ')}"`;
+        }
+        return attributes;
+    }
+
+    clip(fillRule = 'nonzero') {
+        if (this.path.length === 0) return;
+        const id = this.createId('clip');
+        this.defs.push(`<clipPath id="${id}"><path d="${this.getPathData()}" clip-rule="${fillRule}"/></clipPath>`);
+        this.body.push(`<g clip-path="url(#${id})">`);
+        this.clipGroups++;
+    }
+
+    fillPath(path, fillRule) {
+        if (path.length === 0) return;
+        if (this.fillStyle && this.fillStyle.hatch) {
+            this.fillHatch(path, fillRule);
+            return;
+        }
+        const paint = this.getPaintAttributes('fill');
+        if (!paint) return;
+        const rule = fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+        this.body.push(`<path d="${this.getPathData(path)}"${rule} ${paint}/>`);
+    }
+
+    strokePath(path) {
+        if (path.length === 0) return;
+        const paint = this.getPaintAttributes('stroke');
+        if (!paint) return;
+        this.body.push(`<path d="${this.getPathData(path)}" ${paint}/>`);
+    }
+
+    // --- Hatch patterns ---
+
+    // Same 20 unit tile as CanvasManager.createHatchPattern, anchored at the user space origin
+    fillHatch(path, fillRule) {
+        const { hatch, color, opacity } = this.fillStyle;
+        const size = 20;
+        const lines = {
+            'diagonal-right': [[0, size, size, 0], [-size / 2, size / 2, size / 2, -size / 2], [size / 2, size * 1.5, size * 1.5, size / 2]],
+            'diagonal-left': [[0, 0, size, size]],
+            'cross': [[0, 0, size, size], [size, 0, 0, size]],
+            'grid': [[size / 2, 0, size / 2, size], [0, size / 2, size, size / 2]],
+            'horizontal': [[0, size / 2, size, size / 2]],
+            'vertical': [[size / 2, 0, size / 2, size]]
+        }[hatch];
+        if (!lines) return;
+
+        const rgb = parseCssColor(color) || { r: 0, g: 0, b: 0, a: 1 };
+        const id = this.createId('hatch');
+        const stroke = `stroke="rgb(${rgb.r},${rgb.g},${rgb.b})" stroke-opacity="${formatSvgNumber(opacity)}" stroke-width="2" stroke-linecap="square"`;
+        this.defs.push(
+            `<pattern id="${id}" patternUnits="userSpaceOnUse" width="${size}" height="${size}" patternTransform="${this.getMatrixAttribute()}">` +
+            lines.map(([x1, y1, x2, y2]) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${stroke}/>`).join('') +
+            '</pattern>');
+
+        const rule = fillRule === 'evenodd' ? ' fill-rule="evenodd"' : '';
+        const alpha = this.globalAlpha < 1 ? ` fill-opacity="${formatSvgNumber(this.globalAlpha)}"` : '';
+        this.body.push(`<path d="${this.getPathData(path)}"${rule} fill="url(#${id})"${alpha}/>`);
+    }
+
+    // --- Text ---
+
+    measureText(text) {
+        this.measureCtx.font = this.font;
+        return this.measureCtx.measureText(String(text));
+    }
+
+    // Text keeps its font and is placed in user space with the current transform
+    writeText(text, x, y, mode) {
+        text = String(text);
+        if (!text) return;
+        const paint = this.getPaintAttributes(mode);
+        if (!paint) return;
+
+        const match = this.font.match(/(italic\s+)?(?:(bold|[1-9]00)\s+)?([\d.]+)px\s+(.+)$/i);
+        const size = match ? parseFloat(match[3]) : 10;
+        const family = match ? match[4].replace(/"/g, "'") : 'sans-serif';
+        let attributes = `font-family="${escapeSvgText(family)}" font-size="${formatSvgNumber(size)}"`;
+        if (match && match[2]) attributes += ` font-weight="${match[2]}"`;
+        if (match && match[1]) attributes += ' font-style="italic"';
+
+        const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign];
+        if (anchor) attributes += ` text-anchor="${anchor}"`;
+        // Baseline as an offset, dominant-baseline is not supported by Office
+        const dy = (PDF_TEXT_BASELINES[this.textBaseline] || 0) * size;
+
+        this.body.push(
+            `<text x="${formatSvgNumber(x)}" y="${formatSvgNumber(y + dy)}" transform="${this.getMatrixAttribute()}" ${attributes} ${paint} xml:space="preserve">` +
+            `${escapeSvgText(text)}</text>`);
+    }
+
+    // --- Images ---
+
+    /**
+     * Source of an image as a data URL. SVG symbols keep their markup (svgSource), data URLs
+     * are used as they are, other images are copied to a PNG.
+     */
+    getImageUrl(image, source) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        const whole = source[0] === 0 && source[1] === 0 && source[2] === naturalWidth && source[3] === naturalHeight;
+        if (whole && image.svgSource) {
+            return `data:image/svg+xml;base64,${btoa(unescape(encodeURIComponent(image.svgSource)))}`;
+        }
+        if (whole && typeof image.src === 'string' && image.src.startsWith('data:')) return image.src;
+        if (whole && this.imageUrls.has(image)) return this.imageUrls.get(image);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(source[2]));
+        canvas.height = Math.max(1, Math.round(source[3]));
+        canvas.getContext('2d').drawImage(image, source[0], source[1], source[2], source[3], 0, 0, canvas.width, canvas.height);
+        const url = canvas.toDataURL('image/png');
+        if (whole) this.imageUrls.set(image, url);
+        return url;
+    }
+
+    drawImage(image, ...args) {
+        const naturalWidth = image.naturalWidth || image.width;
+        const naturalHeight = image.naturalHeight || image.height;
+        if (!naturalWidth || !naturalHeight) return;
+
+        let [dx, dy, dw, dh] = [args[0], args[1], naturalWidth, naturalHeight];
+        let source = [0, 0, naturalWidth, naturalHeight];
+        if (args.length === 4) [dx, dy, dw, dh] = args;
+        if (args.length === 8) {
+            source = args.slice(0, 4);
+            [dx, dy, dw, dh] = args.slice(4);
+        }
+
+        const url = this.getImageUrl(image, source);
+        const alpha = this.globalAlpha < 1 ? ` opacity="${formatSvgNumber(this.globalAlpha)}"` : '';
+        // xlink:href for older readers (Office), href for the rest
+        this.body.push(
+            `<image x="${formatSvgNumber(dx)}" y="${formatSvgNumber(dy)}" width="${formatSvgNumber(dw)}" height="${formatSvgNumber(dh)}" ` +
+            `transform="${this.getMatrixAttribute()}" preserveAspectRatio="none"${alpha} href="${url}" xlink:href="${url}"/>`);
+    }
+
+    // --- Output ---
+
+    /**
+     * @param {number} pointsPerUnit - Printed size of one SVG unit, sets the width and height in pt
+     * @returns {string} SVG document
+     */
+    toSvg(pointsPerUnit = 72 / 96) {
+        // Groups left open by a missing restore()
+        let open = this.clipGroups;
+        this.stack.forEach(saved => { open += saved.clipGroups; });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+            `width="${formatSvgNumber(this.width * pointsPerUnit)}pt" height="${formatSvgNumber(this.height * pointsPerUnit)}pt" ` +
+            `viewBox="0 0 ${formatSvgNumber(this.width)} ${formatSvgNumber(this.height)}">\n` +
+            `<defs>${this.defs.join('\n')}</defs>\n` +
+            this.body.join('\n') + '</g>'.repeat(open) + '\n</svg>\n';
+    }
+}
@@ -75,6 +75,54 @@ const TRANSLATIONS = {
         // Mapping Modal
         mapColumns: "Mappa Excel-kolumner",
         mapHint: "Välj vilken kolumn i din Excel-fil som motsvarar fälten nedan.",
+        mapValues: "Mappa värden",
+        mapValuesHint: "Välj vilken disciplin och status varje värde i filen motsvarar. Valen sparas till nästa import med samma kolumner.",
+        valueMappingNone: "-- Ingen --",
+        valueMappingCreate: "+ Skapa ny: {name}",
+        back: "Tillbaka",
+        alertScheduleNoActivities: "Filen innehåller inga aktiviteter.",
+        exportZoneSheet: "Exportera zonlista (.xlsx)",
+        importZoneSheet: "Importera zonlista (.xlsx)",
+        zoneSheetId: "Zon-ID",
+        zoneSheetLayout: "Layout",
+        zoneSheetName: "Zonnamn",
+        zoneSheetStartWeekDay: "Start (V-d)",
+        zoneSheetEndWeekDay: "Slut (V-d)",
+        zoneSheetArea: "Area (m²)",
+        zoneSheetActivities: "Kopplade aktiviteter",
+        alertNoZonesToExport: "Projektet har inga zoner att exportera.",
+        zoneSheetNoChanges: "Zonlistan innehåller inga ändringar.",
+        confirmZoneSheetImport: "{count} zoner uppdateras från zonlistan. Fortsätta?",
+        zoneSheetNotFound: "{count} rader har ett Zon-ID som inte finns i projektet och hoppas över.",
+        zoneSheetInvalid: "{zone}: ogiltigt värde i {column}: \"{value}\"",
+        zoneSheetMoreInvalid: "...och {count} ogiltiga värden till.",
+        zoneSheetDateFormat: "Datum skrivs ÅÅÅÅ-MM-DD eller som Excel-datum.",
+        histImportZoneSheet: "Importera zonlista ({count} zoner)",
+        importSource: "Källa",
+        sheet: "Flik",
+        headerRow: "Rubrikrad",
+        headerRowCount: "Antal rubrikrader",
+        skipLastRows: "Hoppa över sista raderna",
+        skipTotalRows: "Hoppa över summarader (Totalt, Summa...)",
+        importPreview: "Förhandsgranskning",
+        importPreviewSummary: "{count} aktiviteter hittades, de första {shown} visas.",
+        importPreviewEmpty: "Inga aktiviteter hittades. Kontrollera flik och rubrikrad.",
+        scheduleDiffTitle: "Ändringar i tidplanen",
+        scheduleDiffHint: "Välj vilka ändringar som ska föras in. Kopplade zoner får nya datum.",
+        scheduleDiffSummary: "{added} nya, {changed} ändrade, {removed} borttagna och {unchanged} oförändrade aktiviteter.",
+        scheduleDiffAdded: "Nya aktiviteter",
+        scheduleDiffChanged: "Ändrade aktiviteter",
+        scheduleDiffRemoved: "Borttagna aktiviteter",
+        scheduleDiffLinkedZones: "{count} kopplade zoner får en varning",
+        scheduleDiffApply: "Uppdatera tidplan",
+        scheduleDiffNoChanges: "Filen innehåller inga ändringar mot nuvarande tidplan.",
+        scheduleDiffWbs: "WBS-kod",
+        scheduleDiffWbsPath: "WBS-sökväg",
+        scheduleDiffPredecessors: "Föregångare",
+        scheduleDiffCalendar: "Kalender",
+        daysShort: "d",
+        activityRemovedWarning: "Aktiviteten {code} {title} togs bort ur tidplanen {date}.",
+        dismissWarning: "Ta bort varning",
         activityCode: "Aktivitetskod (ID)",
         activityName: "Aktivitetsnamn (Rubrik)",
         startDate: "Startdatum",
@@ -108,6 +156,130 @@ const TRANSLATIONS = {
         selectDiscipline: "Välj disciplin...",
         enterDistanceMeters: "Ange avstånd i meter:",
         calibrationSaved: "Kalibrering sparad",
+        selectPdfPages: "Välj ritningsblad",
+        selectPdfPagesHint: "Varje valt blad blir en egen layout.",
+        selectAll: "Markera alla",
+        page: "Sida",
+
+        // Project Library
+        project: "Projekt",
+        projectLibrary: "Projektbibliotek",
+        searchProjects: "Sök projekt...",
+        newProject: "Nytt projekt",
+        promptProjectName: "Projektnamn:",
+        projectCopyName: "{name} (kopia)",
+        projectStats: "{layouts} layouter, {zones} zoner",
+        renameProject: "Byt namn",
+        duplicateProject: "Duplicera",
+        deleteProject: "Radera",
+        confirmDeleteProject: "Radera projektet \"{name}\"? Detta kan inte ångras.",
+        alertDeleteOpenProject: "Projektet är öppet. Öppna ett annat projekt innan du raderar det.",
+        alertOpenProjectFail: "Kunde inte öppna projektet.",
+        cleanStorage: "Rensa lagring",
+        cleanStorageHint: "Ta bort bakgrunder och loggor som inget projekt använder längre",
+        alertStorageCleaned: "{count} oanvända filer togs bort.",
+        alertStorageCleanFail: "Kunde inte rensa lagringen.",
+
+        // Snapshots
+        snapshots: "Återställningspunkter",
+        snapshotsHint: "Skillnaden visar vad som ändras om du återställer.",
+        createSnapshot: "Skapa nu",
+        noSnapshots: "Inga återställningspunkter ännu.",
+        snapshotInterval: "Automatisk återställningspunkt var (minuter, 0 = av)",
+        snapshotMaxCount: "Max antal sparade",
+        snapshotMaxAge: "Radera äldre än (dagar, 0 = aldrig)",
+        snapshotPeriodic: "Automatisk",
+        snapshotManual: "Manuell",
+        snapshotImport: "Före projektimport",
+        snapshotScheduleImport: "Före import av tidplan",
+        snapshotBeforeRestore: "Före återställning",
+        restore: "Återställ",
+        confirmRestoreSnapshot: "Återställ projektet till {date}? Nuvarande läge sparas som en ny återställningspunkt.",
+        alertRestoreFail: "Kunde inte återställa.",
+        diffLayoutsAdded: "{count} layouter tillbaka",
+        diffLayoutsRemoved: "{count} layouter försvinner",
+        diffZonesAdded: "{count} zoner tillbaka",
+        diffZonesRemoved: "{count} zoner försvinner",
+        diffZonesChanged: "{count} zoner ändras",
+        diffActivities: "aktiviteter {count}",
+        diffNone: "Inga skillnader mot nuvarande läge",
+
+        // History
+        history: "Historik",
+        undo: "Ångra",
+        redo: "Gör om",
+        historyHint: "Klicka på ett steg för att gå tillbaka till det.",
+        histInitial: "Start",
+        histUnnamed: "namnlös",
+        histEditLayout: "Ändra layout '{name}'",
+        histSetBackground: "Byt bakgrund i '{name}'",
+        histCalibrate: "Kalibrera skala i '{name}'",
+        histBringToFront: "Flytta fram i '{name}'",
+        histSendToBack: "Flytta bak i '{name}'",
+        histZoneNameMode: "Ändra namngivning av zoner",
+        histAddZone: "Lägg till objekt i '{name}'",
+        histAddZones: "Lägg till {count} objekt",
+        histEditZone: "Ändra '{name}'",
+        histDeleteZone: "Ta bort '{name}'",
+        histDeleteZones: "Ta bort {count} objekt",
+        histPaste: "Klistra in {count} objekt",
+        histMoveZones: "Flytta '{name}'",
+        histResizeZone: "Ändra storlek på '{name}'",
+        histRotateZone: "Rotera '{name}'",
+        histAddField: "Lägg till fält '{name}'",
+        histRemoveField: "Ta bort fält '{name}'",
+        histAddDiscipline: "Lägg till disciplin '{name}'",
+        histRemoveDiscipline: "Ta bort disciplin '{name}'",
+        histEditDiscipline: "Ändra disciplin '{name}'",
+        histAddStatus: "Lägg till status '{name}'",
+        histRemoveStatus: "Ta bort status '{name}'",
+        histEditStatus: "Ändra status '{name}'",
+        histProjectSettings: "Ändra projektinställningar",
+        histRenameProject: "Byt namn på projektet till '{name}'",
+        histImportProject: "Importera projekt '{name}'",
+        histEditSchedule: "Ändra tidplan",
+        histImportSchedule: "Importera tidplan ({count} aktiviteter)",
+        histAddActivity: "Lägg till aktivitet '{name}'",
+        histEditActivity: "Ändra aktivitet '{name}'",
+        histDeleteActivity: "Ta bort aktivitet '{name}'",
+        histConnectActivity: "Koppla aktivitet '{name}'",
+        histDisconnectActivity: "Koppla bort aktivitet '{name}'",
+        histAddLayout: "Lägg till layout '{name}'",
+        histDeleteLayout: "Ta bort layout '{name}'",
+        histRenameLayout: "Byt namn på layout '{name}' till '{newName}'",
+        histFilters: "Ändra filter",
+        histResetFilters: "Återställ filter",
+        histAddSymbol: "Lägg till symbol '{name}'",
+
+        // Import Report
+        importReportTitle: "Importrapport",
+        importReportRepairs: "Automatiska reparationer",
+        importReportErrors: "Valideringsfel i filen",
+        importRepaired: "Importera reparerat projekt",
+        importReportSummary: "Filen följer inte projektschemat: {errors} fel hittades och {repairs} reparationer gjordes. Granska ändringarna innan projektet importeras.",
+        importReportFatal: "Filen kan inte importeras. Den saknar giltiga layouter eller är inte ett Zone Planner-projekt.",
+        validationType: "Förväntade {expected}, hittade {actual}",
+        validationEnum: "Otillåtet värde \"{value}\"",
+        validationPattern: "Ogiltigt format \"{value}\"",
+        validationRequired: "Obligatoriskt fält \"{prop}\" saknas",
+        validationMinItems: "Minst {min} poster krävs",
+        repairSectionReset: "Avsnittet \"{section}\" var ogiltigt och har återställts",
+        repairEntryDropped: "Ogiltig post {path} togs bort",
+        repairColorReset: "Ogiltig färg för \"{name}\" ersattes med grått",
+        repairIdRemapped: "Dubblett- eller saknat ID \"{id}\" ({name}) ersattes med {newId}",
+        repairCalibrationReset: "Ogiltig kalibrering i layout \"{layout}\" återställdes till standard",
+        repairZoneDropped: "Zon \"{zone}\" i layout \"{layout}\" togs bort: {reason}",
+        repairActivitiesReset: "Ogiltiga kopplade aktiviteter på zon \"{zone}\" togs bort",
+        repairDisciplineRemapped: "Disciplin \"{from}\" kopplades till \"{to}\" ({count} zoner)",
+        repairDisciplineCleared: "Okänd disciplin \"{from}\" togs bort ({count} zoner)",
+        repairStatusRemapped: "Status \"{from}\" ändrades till \"{to}\" ({count} zoner)",
+        repairActiveLayout: "Aktiv layout saknades, \"{name}\" valdes",
+        repairScheduleDropped: "{count} tidplansrader utan aktivitets-ID togs bort",
+        reasonNotObject: "inte ett objekt",
+        reasonUnknownType: "okänd zontyp",
+        reasonMissingPoints: "punkter saknas",
+        reasonInvalidCoordinates: "ogiltiga koordinater",
+        confirmImportAnnotations: "Hittade {count} markeringar i PDF:en. Vill du importera dem som zoner?",
         enterText: "Ange text:",
         fontSize: "Teckenstorlek",
 
@@ -148,7 +320,7 @@ const TRANSLATIONS = {
         selectQuality: "Välj PDF-kvalitet (Låg, Medium, Hög):",
         
         // Export Modal
-        exportPdfTitle: "Exportera PDF",
+        exportPdfTitle: "Exportera",
         fileName: "Filnamn",
         quality: "Kvalitet",
         qualityLow: "Låg (Liten filstorlek)",
@@ -156,6 +328,83 @@ const TRANSLATIONS = {
         qualityHigh: "Hög (Bäst upplösning)",
         qualityInfo: "<strong>Hög:</strong> Bäst för utskrift. Större filstorlek.<br><strong>Medium:</strong> Bra för skärmvisning.<br><strong>Låg:</strong> Lämplig för e-post. Minst filstorlek.",
         export: "Exportera",
+        exportBatch: "Exportera flera layouter i en PDF",
+        exportLayouts: "Layouter",
+        exportNoBackground: "ingen bakgrund",
+        exportPagePerWeek: "En sida per vecka",
+        exportWeekFrom: "Från vecka",
+        exportWeekTo: "Till vecka",
+        pdfPageHeaderWeek: "{layout} - vecka {week}",
+        alertExportNoLayouts: "Välj minst en layout med bakgrund.",
+        alertExportWeekRange: "Ange från- och till-vecka mellan 1 och 53. Ett intervall som 50–2 går över årsskiftet.",
+        sheetTemplates: "Ritningsmallar",
+        addSheetTemplate: "+ Lägg till mall",
+        sheetTemplate: "Ritningsmall",
+        sheetTemplateNone: "Ingen (planens storlek)",
+        sheetTemplateName: "Namn",
+        newSheetTemplate: "Ny mall",
+        saveTemplate: "Spara mall",
+        paperSize: "Pappersstorlek",
+        orientation: "Orientering",
+        orientationAuto: "Automatisk",
+        orientationLandscape: "Liggande",
+        orientationPortrait: "Stående",
+        marginMm: "Marginal (mm)",
+        titleBlock: "Namnruta",
+        revision: "Revision",
+        drawnBy: "Ritad av",
+        company: "Företag",
+        companyLogo: "Företagslogga",
+        removeLogo: "Ta bort logga",
+        northArrow: "Norrpil",
+        northAngle: "Norrpilens vinkel (grader medurs)",
+        scaleBar: "Skalstock",
+        scale: "Skala",
+        editSheetTemplate: "Redigera mall",
+        confirmDeleteSheetTemplate: "Ta bort mallen \"{name}\"?",
+        zoneTable: "Zonförteckning",
+        zoneTableNone: "Ingen",
+        zoneTablePanel: "Sidopanel",
+        zoneTablePages: "Egna sidor efter planen",
+        zoneTableNumber: "Nr",
+        zoneTablePeriod: "Period",
+        exportFormat: "Format",
+        exportFormatSvg: "SVG (vektor, för Word och PowerPoint)",
+        exportFormatPng: "PNG (bild)",
+        exportCrop: "Utsnitt",
+        exportCropSheet: "Hela ritningen",
+        exportCropViewport: "Aktuell vy",
+        exportCropSelection: "Markerade zoner",
+        exportDpi: "Upplösning (DPI)",
+        alertExportNoSelection: "Markera minst en zon för att exportera markeringen.",
+        alertExportDpi: "Ange en upplösning mellan 36 och 1200 DPI.",
+        alertExportTooLarge: "Bilden blir för stor för webbläsaren. Välj högst {dpi} DPI eller ett mindre utsnitt.",
+        dxfLayers: "DXF-lager",
+        dxfLayersHint: "Markerade lager visas i bakgrunden.",
+        dxfZoneLayer: "Zoner från slutna polylinjer på lager",
+        dxfZoneLayerNone: "Inga zoner",
+        dxfApplyLayers: "Verkställ",
+        alertInvalidDxf: "Kunde inte läsa DXF-filen. Spara ritningen som ASCII-DXF, DWG stöds inte.",
+        alertEmptyDxf: "DXF-filen innehåller inga linjer, bågar eller texter.",
+        exportFormatDxf: "DXF (zoner för CAD)",
+        setOrigin: "Origo",
+        setOriginTitle: "Sätt origo för koordinater (GeoJSON och DXF)",
+        histSetOrigin: "Sätt origo i '{name}'",
+        exportGeoJson: "Exportera zoner (.geojson)",
+        importGeoJson: "Importera zoner (.geojson)",
+        alertInvalidGeoJson: "Kunde inte läsa GeoJSON-filen.",
+        confirmGeoJsonImport: "{added} nya zoner läggs till och {updated} zoner uppdateras i aktuell layout. Fortsätta?",
+        geoJsonNoChanges: "GeoJSON-filen innehåller inga nya zoner eller ändringar.",
+        geoJsonSkipped: "{count} objekt saknar polygon och ett känt zon-ID och hoppas över.",
+        histImportGeoJson: "Importera GeoJSON ({count} zoner)",
+        snapping: "Fästpunkter",
+        snapEnabled: "Fäst ritade punkter (håll Alt för att rita fritt)",
+        snapVertex: "Hörn",
+        snapMidpoint: "Mittpunkt på kant",
+        snapEdge: "Kant",
+        snapIntersection: "Skärningspunkt",
+        snapGrid: "Rutnät",
+        snapGridSize: "Rutnätets storlek (m)",
         cancel: "Avbryt",
 
         // Symbols
@@ -251,6 +500,54 @@ const TRANSLATIONS = {
         // Mapping Modal
         mapColumns: "Map Excel Columns",
         mapHint: "Select which column in your Excel file corresponds to the fields below.",
+        mapValues: "Map Values",
+        mapValuesHint: "Choose the discipline and status each value in the file stands for. Your choices are remembered for the next import with the same columns.",
+        valueMappingNone: "-- None --",
+        valueMappingCreate: "+ Create new: {name}",
+        back: "Back",
+        alertScheduleNoActivities: "The file contains no activities.",
+        exportZoneSheet: "Export zone list (.xlsx)",
+        importZoneSheet: "Import zone list (.xlsx)",
+        zoneSheetId: "Zone ID",
+        zoneSheetLayout: "Layout",
+        zoneSheetName: "Zone name",
+        zoneSheetStartWeekDay: "Start (W-d)",
+        zoneSheetEndWeekDay: "End (W-d)",
+        zoneSheetArea: "Area (m²)",
+        zoneSheetActivities: "Linked activities",
+        alertNoZonesToExport: "The project has no zones to export.",
+        zoneSheetNoChanges: "The zone list contains no changes.",
+        confirmZoneSheetImport: "{count} zones will be updated from the zone list. Continue?",
+        zoneSheetNotFound: "{count} rows have a Zone ID that is not in the project and are skipped.",
+        zoneSheetInvalid: "{zone}: invalid value in {column}: \"{value}\"",
+        zoneSheetMoreInvalid: "...and {count} more invalid values.",
+        zoneSheetDateFormat: "Write dates as YYYY-MM-DD or as Excel dates.",
+        histImportZoneSheet: "Import zone list ({count} zones)",
+        importSource: "Source",
+        sheet: "Sheet",
+        headerRow: "Header row",
+        headerRowCount: "Header rows",
+        skipLastRows: "Skip last rows",
+        skipTotalRows: "Skip total rows (Total, Sum...)",
+        importPreview: "Preview",
+        importPreviewSummary: "{count} activities found, showing the first {shown}.",
+        importPreviewEmpty: "No activities found. Check the sheet and header row.",
+        scheduleDiffTitle: "Schedule changes",
+        scheduleDiffHint: "Choose the changes to apply. Linked zones get the new dates.",
+        scheduleDiffSummary: "{added} new, {changed} changed, {removed} removed and {unchanged} unchanged activities.",
+        scheduleDiffAdded: "New activities",
+        scheduleDiffChanged: "Changed activities",
+        scheduleDiffRemoved: "Removed activities",
+        scheduleDiffLinkedZones: "{count} linked zones will get a warning",
+        scheduleDiffApply: "Update schedule",
+        scheduleDiffNoChanges: "The file has no changes compared to the current schedule.",
+        scheduleDiffWbs: "WBS code",
+        scheduleDiffWbsPath: "WBS path",
+        scheduleDiffPredecessors: "Predecessors",
+        scheduleDiffCalendar: "Calendar",
+        daysShort: "d",
+        activityRemovedWarning: "Activity {code} {title} was removed from the schedule on {date}.",
+        dismissWarning: "Dismiss warning",
         activityCode: "Activity Code (ID)",
         activityName: "Activity Name (Title)",
         startDate: "Start Date",
@@ -284,6 +581,130 @@ const TRANSLATIONS = {
         selectDiscipline: "Select discipline...",
         enterDistanceMeters: "Enter distance in meters:",
         calibrationSaved: "Calibration saved",
+        selectPdfPages: "Select drawing sheets",
+        selectPdfPagesHint: "Each selected sheet becomes its own layout.",
+        selectAll: "Select all",
+        page: "Page",
+
+        // Project Library
+        project: "Project",
+        projectLibrary: "Project Library",
+        searchProjects: "Search projects...",
+        newProject: "New project",
+        promptProjectName: "Project name:",
+        projectCopyName: "{name} (copy)",
+        projectStats: "{layouts} layouts, {zones} zones",
+        renameProject: "Rename",
+        duplicateProject: "Duplicate",
+        deleteProject: "Delete",
+        confirmDeleteProject: "Delete project \"{name}\"? This cannot be undone.",
+        alertDeleteOpenProject: "This project is open. Open another project before deleting it.",
+        alertOpenProjectFail: "Could not open the project.",
+        cleanStorage: "Clean up storage",
+        cleanStorageHint: "Delete backgrounds and logos that no project uses any more",
+        alertStorageCleaned: "{count} unused files were deleted.",
+        alertStorageCleanFail: "Could not clean up the storage.",
+
+        // Snapshots
+        snapshots: "Restore Points",
+        snapshotsHint: "The difference shows what changes if you restore.",
+        createSnapshot: "Create now",
+        noSnapshots: "No restore points yet.",
+        snapshotInterval: "Automatic restore point every (minutes, 0 = off)",
+        snapshotMaxCount: "Max number kept",
+        snapshotMaxAge: "Delete older than (days, 0 = never)",
+        snapshotPeriodic: "Automatic",
+        snapshotManual: "Manual",
+        snapshotImport: "Before project import",
+        snapshotScheduleImport: "Before schedule import",
+        snapshotBeforeRestore: "Before restore",
+        restore: "Restore",
+        confirmRestoreSnapshot: "Restore the project to {date}? The current state is saved as a new restore point.",
+        alertRestoreFail: "Could not restore.",
+        diffLayoutsAdded: "{count} layouts come back",
+        diffLayoutsRemoved: "{count} layouts removed",
+        diffZonesAdded: "{count} zones come back",
+        diffZonesRemoved: "{count} zones removed",
+        diffZonesChanged: "{count} zones changed",
+        diffActivities: "activities {count}",
+        diffNone: "No differences from the current state",
+
+        // History
+        history: "History",
+        undo: "Undo",
+        redo: "Redo",
+        historyHint: "Click a step to go back to it.",
+        histInitial: "Start",
+        histUnnamed: "unnamed",
+        histEditLayout: "Edit layout '{name}'",
+        histSetBackground: "Change background of '{name}'",
+        histCalibrate: "Calibrate scale of '{name}'",
+        histBringToFront: "Bring to front in '{name}'",
+        histSendToBack: "Send to back in '{name}'",
+        histZoneNameMode: "Change zone naming",
+        histAddZone: "Add object to '{name}'",
+        histAddZones: "Add {count} objects",
+        histEditZone: "Edit '{name}'",
+        histDeleteZone: "Delete '{name}'",
+        histDeleteZones: "Delete {count} objects",
+        histPaste: "Paste {count} objects",
+        histMoveZones: "Move '{name}'",
+        histResizeZone: "Resize '{name}'",
+        histRotateZone: "Rotate '{name}'",
+        histAddField: "Add field '{name}'",
+        histRemoveField: "Remove field '{name}'",
+        histAddDiscipline: "Add discipline '{name}'",
+        histRemoveDiscipline: "Remove discipline '{name}'",
+        histEditDiscipline: "Edit discipline '{name}'",
+        histAddStatus: "Add status '{name}'",
+        histRemoveStatus: "Remove status '{name}'",
+        histEditStatus: "Edit status '{name}'",
+        histProjectSettings: "Change project settings",
+        histRenameProject: "Rename project to '{name}'",
+        histImportProject: "Import project '{name}'",
+        histEditSchedule: "Edit schedule",
+        histImportSchedule: "Import schedule ({count} activities)",
+        histAddActivity: "Add activity '{name}'",
+        histEditActivity: "Edit activity '{name}'",
+        histDeleteActivity: "Delete activity '{name}'",
+        histConnectActivity: "Connect activity '{name}'",
+        histDisconnectActivity: "Disconnect activity '{name}'",
+        histAddLayout: "Add layout '{name}'",
+        histDeleteLayout: "Delete layout '{name}'",
+        histRenameLayout: "Rename layout '{name}' to '{newName}'",
+        histFilters: "Change filters",
+        histResetFilters: "Reset filters",
+        histAddSymbol: "Add symbol '{name}'",
+
+        // Import Report
+        importReportTitle: "Import Report",
+        importReportRepairs: "Automatic repairs",
+        importReportErrors: "Validation errors in the file",
+        importRepaired: "Import repaired project",
+        importReportSummary: "The file does not match the project schema: {errors} errors were found and {repairs} repairs were made. Review the changes before importing.",
+        importReportFatal: "The file cannot be imported. It has no valid layouts or is not a Zone Planner project.",
+        validationType: "Expected {expected}, found {actual}",
+        validationEnum: "Value \"{value}\" is not allowed",
+        validationPattern: "Invalid format \"{value}\"",
+        validationRequired: "Required field \"{prop}\" is missing",
+        validationMinItems: "At least {min} entries required",
+        repairSectionReset: "Section \"{section}\" was invalid and has been reset",
+        repairEntryDropped: "Invalid entry {path} removed",
+        repairColorReset: "Invalid color for \"{name}\" replaced with grey",
+        repairIdRemapped: "Duplicate or missing ID \"{id}\" ({name}) replaced with {newId}",
+        repairCalibrationReset: "Invalid calibration in layout \"{layout}\" reset to default",
+        repairZoneDropped: "Zone \"{zone}\" in layout \"{layout}\" removed: {reason}",
+        repairActivitiesReset: "Invalid connected activities removed from zone \"{zone}\"",
+        repairDisciplineRemapped: "Discipline \"{from}\" mapped to \"{to}\" ({count} zones)",
+        repairDisciplineCleared: "Unknown discipline \"{from}\" removed ({count} zones)",
+        repairStatusRemapped: "Status \"{from}\" changed to \"{to}\" ({count} zones)",
+        repairActiveLayout: "Active layout was missing, \"{name}\" selected",
+        repairScheduleDropped: "{count} schedule rows without activity ID removed",
+        reasonNotObject: "not an object",
+        reasonUnknownType: "unknown zone type",
+        reasonMissingPoints: "points missing",
+        reasonInvalidCoordinates: "invalid coordinates",
+        confirmImportAnnotations: "Found {count} markups in the PDF. Import them as zones?",
         enterText: "Enter text:",
         fontSize: "Font Size",
 
@@ -324,7 +745,7 @@ const TRANSLATIONS = {
         selectQuality: "Select PDF Quality (Low, Medium, High):",
 
         // Export Modal
-        exportPdfTitle: "Export PDF",
+        exportPdfTitle: "Export",
         fileName: "Filename",
         quality: "Quality",
         qualityLow: "Low (Small size)",
@@ -332,6 +753,83 @@ const TRANSLATIONS = {
         qualityHigh: "High (Best resolution)",
         qualityInfo: "<strong>High:</strong> Best for printing. Larger file size.<br><strong>Medium:</strong> Good for screen.<br><strong>Low:</strong> Suitable for email. Smallest size.",
         export: "Export",
+        exportBatch: "Export several layouts in one PDF",
+        exportLayouts: "Layouts",
+        exportNoBackground: "no background",
+        exportPagePerWeek: "One page per week",
+        exportWeekFrom: "From week",
+        exportWeekTo: "To week",
+        pdfPageHeaderWeek: "{layout} - week {week}",
+        alertExportNoLayouts: "Select at least one layout with a background.",
+        alertExportWeekRange: "Enter start and end weeks between 1 and 53. A range like 50–2 runs over New Year.",
+        sheetTemplates: "Sheet templates",
+        addSheetTemplate: "+ Add template",
+        sheetTemplate: "Sheet template",
+        sheetTemplateNone: "None (plan size)",
+        sheetTemplateName: "Name",
+        newSheetTemplate: "New template",
+        saveTemplate: "Save template",
+        paperSize: "Paper size",
+        orientation: "Orientation",
+        orientationAuto: "Automatic",
+        orientationLandscape: "Landscape",
+        orientationPortrait: "Portrait",
+        marginMm: "Margin (mm)",
+        titleBlock: "Title block",
+        revision: "Revision",
+        drawnBy: "Drawn by",
+        company: "Company",
+        companyLogo: "Company logo",
+        removeLogo: "Remove logo",
+        northArrow: "North arrow",
+        northAngle: "North arrow angle (degrees clockwise)",
+        scaleBar: "Scale bar",
+        scale: "Scale",
+        editSheetTemplate: "Edit template",
+        confirmDeleteSheetTemplate: "Delete the template \"{name}\"?",
+        zoneTable: "Zone schedule",
+        zoneTableNone: "None",
+        zoneTablePanel: "Side panel",
+        zoneTablePages: "Separate pages after the plan",
+        zoneTableNumber: "No.",
+        zoneTablePeriod: "Period",
+        exportFormat: "Format",
+        exportFormatSvg: "SVG (vector, for Word and PowerPoint)",
+        exportFormatPng: "PNG (image)",
+        exportCrop: "Crop",
+        exportCropSheet: "Full sheet",
+        exportCropViewport: "Current view",
+        exportCropSelection: "Selected zones",
+        exportDpi: "Resolution (DPI)",
+        alertExportNoSelection: "Select at least one zone to export the selection.",
+        alertExportDpi: "Enter a resolution between 36 and 1200 DPI.",
+        alertExportTooLarge: "The image is too large for the browser. Choose at most {dpi} DPI or a smaller crop.",
+        dxfLayers: "DXF layers",
+        dxfLayersHint: "Checked layers are shown in the background.",
+        dxfZoneLayer: "Zones from closed polylines on layer",
+        dxfZoneLayerNone: "No zones",
+        dxfApplyLayers: "Apply",
+        alertInvalidDxf: "Could not read the DXF file. Save the drawing as ASCII DXF, DWG is not supported.",
+        alertEmptyDxf: "The DXF file has no lines, arcs or text.",
+        exportFormatDxf: "DXF (zones for CAD)",
+        setOrigin: "Origin",
+        setOriginTitle: "Set the origin of coordinates (GeoJSON and DXF)",
+        histSetOrigin: "Set origin of '{name}'",
+        exportGeoJson: "Export zones (.geojson)",
+        importGeoJson: "Import zones (.geojson)",
+        alertInvalidGeoJson: "Could not read the GeoJSON file.",
+        confirmGeoJsonImport: "{added} new zones will be added and {updated} zones updated in the current layout. Continue?",
+        geoJsonNoChanges: "The GeoJSON file contains no new zones or changes.",
+        geoJsonSkipped: "{count} features have no polygon and no known zone ID and are skipped.",
+        histImportGeoJson: "Import GeoJSON ({count} zones)",
+        snapping: "Snapping",
+        snapEnabled: "Snap drawn points (hold Alt to draw freely)",
+        snapVertex: "Vertex",
+        snapMidpoint: "Edge midpoint",
+        snapEdge: "Edge",
+        snapIntersection: "Intersection",
+        snapGrid: "Grid",
+        snapGridSize: "Grid size (m)",
         cancel: "Cancel",
         
         // Symbols
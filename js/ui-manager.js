@@ -3,6 +3,18 @@
  * Handles sidebar interactions, metadata forms, and file inputs.
  */
 
+// Option in the import value mapping that creates a new discipline/status
+const NEW_CATEGORY_VALUE = '__new__';
+
+// Colours for disciplines and statuses created during import
+const CATEGORY_COLORS = ['#EF4444', '#F59E0B', '#3B82F6', '#10B981', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316', '#6366F1', '#84CC16'];
+
+// Names of the default disciplines and statuses, stored as translation keys
+const DEFAULT_CATEGORY_NAME_KEYS = [
+    'discConstruction', 'discElectrical', 'discPlumbing', 'discVentilation',
+    'statusPlanned', 'statusInProgress', 'statusCompleted', 'statusDelayed'
+];
+
 class UIManager {
     constructor(dataManager) {
         this.dataManager = dataManager;
@@ -27,6 +39,7 @@ class UIManager {
             toolMeasureLength: document.getElementById('tool-measure-length'),
             toolMeasureArea: document.getElementById('tool-measure-area'),
             toolCalibrate: document.getElementById('tool-calibrate'),
+            toolOrigin: document.getElementById('tool-origin'),
 
             // Zoom
             zoomIn: document.getElementById('zoom-in'),
@@ -78,9 +91,14 @@ class UIManager {
 
             // File Inputs
             layoutUpload: document.getElementById('layout-upload'),
+            btnDxfLayers: document.getElementById('btn-dxf-layers'),
             scheduleUpload: document.getElementById('schedule-upload'),
             jsonUpload: document.getElementById('json-upload'),
             btnExportJson: document.getElementById('btn-export-json'),
+            btnExportZoneSheet: document.getElementById('btn-export-zone-sheet'),
+            zoneSheetUpload: document.getElementById('zone-sheet-upload'),
+            btnExportGeoJson: document.getElementById('btn-export-geojson'),
+            geoJsonUpload: document.getElementById('geojson-upload'),
             btnExportPdf: document.getElementById('btn-export-pdf'),
             
             // Layers / Schedule
@@ -94,6 +112,28 @@ class UIManager {
             settingsStatusesList: document.getElementById('settings-statuses-list'),
             btnAddDiscipline: document.getElementById('btn-add-discipline'),
             btnAddStatus: document.getElementById('btn-add-status'),
+            settingsSheetTemplatesList: document.getElementById('settings-sheet-templates-list'),
+            btnAddSheetTemplate: document.getElementById('btn-add-sheet-template'),
+
+            // Sheet Template Modal
+            sheetTemplateModal: document.getElementById('sheet-template-modal'),
+            closeSheetTemplateModalBtn: document.getElementById('close-sheet-template-modal'),
+            sheetTemplateName: document.getElementById('sheet-template-name'),
+            sheetTemplatePaper: document.getElementById('sheet-template-paper'),
+            sheetTemplateOrientation: document.getElementById('sheet-template-orientation'),
+            sheetTemplateMargin: document.getElementById('sheet-template-margin'),
+            sheetTemplateTitleBlock: document.getElementById('sheet-template-title-block'),
+            sheetTemplateRevision: document.getElementById('sheet-template-revision'),
+            sheetTemplateAuthor: document.getElementById('sheet-template-author'),
+            sheetTemplateCompany: document.getElementById('sheet-template-company'),
+            sheetTemplateLogo: document.getElementById('sheet-template-logo'),
+            sheetTemplateLogoPreview: document.getElementById('sheet-template-logo-preview'),
+            btnRemoveSheetTemplateLogo: document.getElementById('btn-remove-sheet-template-logo'),
+            sheetTemplateNorthArrow: document.getElementById('sheet-template-north-arrow'),
+            sheetTemplateNorthAngle: document.getElementById('sheet-template-north-angle'),
+            sheetTemplateScaleBar: document.getElementById('sheet-template-scale-bar'),
+            btnCancelSheetTemplate: document.getElementById('btn-cancel-sheet-template'),
+            btnSaveSheetTemplate: document.getElementById('btn-save-sheet-template'),
 
             // Mapping Modal
             mappingModal: document.getElementById('mapping-modal'),
@@ -104,6 +144,29 @@ class UIManager {
             mapEnd: document.getElementById('map-end'),
             mapDiscipline: document.getElementById('map-discipline'),
             mapStatus: document.getElementById('map-status'),
+            mapSheet: document.getElementById('map-sheet'),
+            mapHeaderRow: document.getElementById('map-header-row'),
+            mapHeaderRowCount: document.getElementById('map-header-row-count'),
+            mapSkipLast: document.getElementById('map-skip-last'),
+            mapSkipTotals: document.getElementById('map-skip-totals'),
+            importPreviewSummary: document.getElementById('import-preview-summary'),
+            importPreviewTable: document.getElementById('import-preview-table'),
+
+            // Value mapping (second import step)
+            valueMappingModal: document.getElementById('value-mapping-modal'),
+            closeValueMappingModalBtn: document.getElementById('close-value-mapping-modal'),
+            valueMappingDisciplines: document.getElementById('value-mapping-disciplines'),
+            valueMappingStatuses: document.getElementById('value-mapping-statuses'),
+            btnBackValueMapping: document.getElementById('btn-back-value-mapping'),
+            btnConfirmValueMapping: document.getElementById('btn-confirm-value-mapping'),
+
+            // Schedule re-import review
+            scheduleDiffModal: document.getElementById('schedule-diff-modal'),
+            closeScheduleDiffModalBtn: document.getElementById('close-schedule-diff-modal'),
+            scheduleDiffSummary: document.getElementById('schedule-diff-summary'),
+            scheduleDiffList: document.getElementById('schedule-diff-list'),
+            btnCancelScheduleDiff: document.getElementById('btn-cancel-schedule-diff'),
+            btnConfirmScheduleDiff: document.getElementById('btn-confirm-schedule-diff'),
             btnConfirmImport: document.getElementById('btn-confirm-import'),
             
             // Buttons
@@ -147,16 +210,95 @@ class UIManager {
             exportPdfModal: document.getElementById('export-pdf-modal'),
             closeExportModalBtn: document.getElementById('close-export-modal'),
             exportFilename: document.getElementById('export-filename'),
+            exportFormat: document.getElementById('export-format'),
+            exportExtension: document.getElementById('export-extension'),
+            exportImageOptions: document.getElementById('export-image-options'),
+            exportCrop: document.getElementById('export-crop'),
+            exportDpiGroup: document.getElementById('export-dpi-group'),
+            exportDpi: document.getElementById('export-dpi'),
+            exportPdfOptions: document.getElementById('export-pdf-options'),
+            exportQualityOptions: document.getElementById('export-quality-options'),
+            exportBatchGroup: document.getElementById('export-batch-group'),
             exportQuality: document.getElementById('export-quality'),
+            exportTemplate: document.getElementById('export-template'),
+            exportZoneTable: document.getElementById('export-zone-table'),
+            exportBatch: document.getElementById('export-batch'),
+            exportBatchOptions: document.getElementById('export-batch-options'),
+            exportLayoutList: document.getElementById('export-layout-list'),
+            exportPerWeek: document.getElementById('export-per-week'),
+            exportWeekRange: document.getElementById('export-week-range'),
+            exportWeekFrom: document.getElementById('export-week-from'),
+            exportWeekTo: document.getElementById('export-week-to'),
             btnConfirmExport: document.getElementById('btn-confirm-export'),
             btnCancelExport: document.getElementById('btn-cancel-export'),
 
+            // PDF Page Picker
+            pdfPagesModal: document.getElementById('pdf-pages-modal'),
+            pdfPagesGrid: document.getElementById('pdf-pages-grid'),
+            closePdfPagesModalBtn: document.getElementById('close-pdf-pages-modal'),
+            btnSelectAllPdfPages: document.getElementById('btn-select-all-pdf-pages'),
+            btnConfirmPdfPages: document.getElementById('btn-confirm-pdf-pages'),
+            btnCancelPdfPages: document.getElementById('btn-cancel-pdf-pages'),
+
+            // DXF Layer Picker
+            dxfLayersModal: document.getElementById('dxf-layers-modal'),
+            dxfLayersList: document.getElementById('dxf-layers-list'),
+            dxfZoneLayerGroup: document.getElementById('dxf-zone-layer-group'),
+            dxfZoneLayer: document.getElementById('dxf-zone-layer'),
+            closeDxfLayersModalBtn: document.getElementById('close-dxf-layers-modal'),
+            btnSelectAllDxfLayers: document.getElementById('btn-select-all-dxf-layers'),
+            btnConfirmDxfLayers: document.getElementById('btn-confirm-dxf-layers'),
+            btnCancelDxfLayers: document.getElementById('btn-cancel-dxf-layers'),
+
+            // Project Library
+            currentProjectName: document.getElementById('current-project-name'),
+            btnOpenProjects: document.getElementById('btn-open-projects'),
+            projectsModal: document.getElementById('projects-modal'),
+            closeProjectsModalBtn: document.getElementById('close-projects-modal'),
+            projectsSearch: document.getElementById('projects-search'),
+            projectsList: document.getElementById('projects-list'),
+            btnNewProject: document.getElementById('btn-new-project'),
+            btnCleanStorage: document.getElementById('btn-clean-storage'),
+
+            // Snapshots
+            btnOpenSnapshots: document.getElementById('btn-open-snapshots'),
+            snapshotsModal: document.getElementById('snapshots-modal'),
+            closeSnapshotsModalBtn: document.getElementById('close-snapshots-modal'),
+            snapshotsList: document.getElementById('snapshots-list'),
+            btnCreateSnapshot: document.getElementById('btn-create-snapshot'),
+            settingsSnapshotInterval: document.getElementById('settings-snapshot-interval'),
+            settingsSnapshotMaxCount: document.getElementById('settings-snapshot-max-count'),
+            settingsSnapshotMaxAge: document.getElementById('settings-snapshot-max-age'),
+            settingsSnapEnabled: document.getElementById('settings-snap-enabled'),
+            settingsSnapVertex: document.getElementById('settings-snap-vertex'),
+            settingsSnapMidpoint: document.getElementById('settings-snap-midpoint'),
+            settingsSnapEdge: document.getElementById('settings-snap-edge'),
+            settingsSnapIntersection: document.getElementById('settings-snap-intersection'),
+            settingsSnapGrid: document.getElementById('settings-snap-grid'),
+            settingsSnapGridSize: document.getElementById('settings-snap-grid-size'),
+
+            // History
+            btnUndo: document.getElementById('btn-undo'),
+            btnRedo: document.getElementById('btn-redo'),
+            historyList: document.getElementById('history-list'),
+
+            // Import Report
+            importReportModal: document.getElementById('import-report-modal'),
+            importReportSummary: document.getElementById('import-report-summary'),
+            importReportRepairs: document.getElementById('import-report-repairs'),
+            importReportErrors: document.getElementById('import-report-errors'),
+            closeImportReportModalBtn: document.getElementById('close-import-report-modal'),
+            btnConfirmImportReport: document.getElementById('btn-confirm-import-report'),
+            btnCancelImportReport: document.getElementById('btn-cancel-import-report'),
+
             // Symbols
             symbolsGrid: document.getElementById('symbols-grid'),
             symbolUpload: document.getElementById('symbol-upload')
         };
 
         this.tempExcelData = null; // Store raw data during mapping
+        this.tempExcelColumns = [];
+        this.tempWorkbook = null; // All sheets of the file, the mapping modal picks one
 
         // Subscribe to state changes
         this.dataManager.subscribe(this.handleStateChange.bind(this));
@@ -168,11 +310,14 @@ class UIManager {
             this.renderLegend();
             this.renderSchedule(); // Re-render schedule to update linked status
             this.renderLayoutTabs(); // Re-render tabs
+            this.updateDxfLayersButton();
+            this.elements.currentProjectName.textContent = state.projectInfo.name;
             
             // Check if language changed
             if (state.language !== this.currentLanguage) {
                 this.currentLanguage = state.language;
                 this.translateUI();
+                this.renderHistory();
             }
         });
         
@@ -181,7 +326,10 @@ class UIManager {
         this.translateUI();
         this.renderLegend();
         this.renderLayoutTabs();
+        this.updateDxfLayersButton();
         this.renderFilters();
+        this.renderHistory();
+        this.elements.currentProjectName.textContent = this.dataManager.getState().projectInfo.name;
 
         // Init Version Info
         const versionEl = document.getElementById('settings-version-info');
@@ -263,6 +411,7 @@ class UIManager {
         this.elements.toolMeasureLength.addEventListener('click', () => this.canvasManager.setTool('measure-length'));
         this.elements.toolMeasureArea.addEventListener('click', () => this.canvasManager.setTool('measure-area'));
         this.elements.toolCalibrate.addEventListener('click', () => this.canvasManager.setTool('calibrate'));
+        this.elements.toolOrigin.addEventListener('click', () => this.canvasManager.setTool('origin'));
 
         // View Mode
         this.elements.viewModeSelect.addEventListener('change', (e) => {
@@ -328,6 +477,7 @@ class UIManager {
 
         // File Uploads
         this.elements.layoutUpload.addEventListener('change', (e) => this.handleLayoutUpload(e));
+        this.elements.btnDxfLayers.addEventListener('click', () => this.editDxfLayers());
         this.elements.scheduleUpload.addEventListener('change', (e) => this.handleScheduleUpload(e));
         
         // Template Download
@@ -340,6 +490,53 @@ class UIManager {
         }
 
         this.elements.jsonUpload.addEventListener('change', (e) => this.handleJsonUpload(e));
+        this.elements.zoneSheetUpload.addEventListener('change', (e) => this.handleZoneSheetUpload(e));
+        this.elements.btnExportZoneSheet.addEventListener('click', () => this.exportZoneSheet());
+        this.elements.geoJsonUpload.addEventListener('change', (e) => this.handleGeoJsonUpload(e));
+        this.elements.btnExportGeoJson.addEventListener('click', () => this.exportGeoJson());
+
+        // Project Library
+        this.elements.btnOpenProjects.addEventListener('click', () => this.openProjectLibrary());
+        this.elements.closeProjectsModalBtn.addEventListener('click', () => {
+            this.elements.projectsModal.classList.add('hidden');
+        });
+        this.elements.projectsSearch.addEventListener('input', () => this.renderProjectList());
+        this.elements.btnNewProject.addEventListener('click', async () => {
+            const name = prompt(this.t('promptProjectName'), this.t('newProject'));
+            if (!name) return;
+            await this.dataManager.createProject(name);
+            this.elements.projectsModal.classList.add('hidden');
+        });
+        this.elements.btnCleanStorage.addEventListener('click', async () => {
+            try {
+                const deleted = await this.dataManager.collectUnusedBlobs();
+                alert(this.t('alertStorageCleaned', { count: deleted }));
+            } catch (e) {
+                console.error("Failed to clean up the blob store", e);
+                alert(this.t('alertStorageCleanFail'));
+            }
+        });
+
+        // Snapshots
+        this.elements.btnOpenSnapshots.addEventListener('click', () => this.openSnapshots());
+        this.elements.closeSnapshotsModalBtn.addEventListener('click', () => {
+            this.elements.snapshotsModal.classList.add('hidden');
+        });
+        this.elements.btnCreateSnapshot.addEventListener('click', async () => {
+            await this.dataManager.snapshots.create('snapshotManual');
+            this.renderSnapshots();
+        });
+
+        // History
+        this.elements.btnUndo.addEventListener('click', () => {
+            this.dataManager.undo();
+            this.canvasManager.draw();
+        });
+        this.elements.btnRedo.addEventListener('click', () => {
+            this.dataManager.redo();
+            this.canvasManager.draw();
+        });
+        this.dataManager.history.subscribe(() => this.renderHistory());
         this.elements.btnExportJson.addEventListener('click', () => {
             const defaultName = this.dataManager.getState().projectInfo.name || "Zone_Planner_project";
             this.dataManager.exportProject(defaultName);
@@ -362,10 +559,34 @@ class UIManager {
                 this.elements.btnConfirmExport.addEventListener('click', () => {
                     const filename = this.elements.exportFilename.value || 'Zone_Planner-export';
                     const quality = parseFloat(this.elements.exportQuality.value);
-                    this.canvasManager.exportPdf(quality, filename);
+                    const format = this.elements.exportFormat.value;
+                    if (format === 'svg' || format === 'png') {
+                        this.confirmImageExport(format, quality, filename);
+                        return;
+                    }
+                    if (format === 'dxf') {
+                        this.closeExportModal();
+                        this.canvasManager.exportDxf(filename);
+                        return;
+                    }
+                    this.lastExportTemplateId = this.elements.exportTemplate.value;
+                    const template = this.dataManager.getSheetTemplates().find(t => t.id === this.lastExportTemplateId) || null;
+                    const zoneTable = this.elements.exportZoneTable.value || null;
+                    if (this.elements.exportBatch.checked) {
+                        this.confirmBatchExport(quality, filename, template, zoneTable);
+                        return;
+                    }
+                    this.canvasManager.exportPdf(quality, filename, template, zoneTable);
                     this.closeExportModal();
                 });
             }
+            this.elements.exportFormat.addEventListener('change', () => this.updateExportFormat());
+            this.elements.exportBatch.addEventListener('change', () => {
+                this.elements.exportBatchOptions.classList.toggle('hidden', !this.elements.exportBatch.checked);
+            });
+            this.elements.exportPerWeek.addEventListener('change', () => {
+                this.elements.exportWeekRange.classList.toggle('hidden', !this.elements.exportPerWeek.checked);
+            });
             // Close on click outside
             this.elements.exportPdfModal.addEventListener('click', (e) => {
                 if (e.target === this.elements.exportPdfModal) {
@@ -389,6 +610,7 @@ class UIManager {
         if (this.elements.btnAddStatus) {
             this.elements.btnAddStatus.addEventListener('click', () => this.addStatus());
         }
+        this.elements.btnAddSheetTemplate.addEventListener('click', () => this.openSheetTemplateEditor(null));
         
         if (this.elements.settingsLanguage) {
             this.elements.settingsLanguage.addEventListener('change', (e) => {
@@ -402,6 +624,31 @@ class UIManager {
             });
         }
 
+        [
+            [this.elements.settingsSnapshotInterval, 'intervalMinutes'],
+            [this.elements.settingsSnapshotMaxCount, 'maxCount'],
+            [this.elements.settingsSnapshotMaxAge, 'maxAgeDays']
+        ].forEach(([input, key]) => {
+            input.addEventListener('change', (e) => {
+                const value = Math.max(parseInt(e.target.min) || 0, parseInt(e.target.value) || 0);
+                const snapshots = { ...this.dataManager.snapshots.getSettings(), [key]: value };
+                this.dataManager.updateProjectSettings({ snapshots });
+            });
+        });
+
+        this.getSnapSettingInputs().forEach(([input, key]) => {
+            input.addEventListener('change', (e) => {
+                let value = e.target.checked;
+                if (key === 'gridSize') {
+                    value = parseFloat(e.target.value);
+                    if (!(value > 0)) value = DEFAULT_SNAP_SETTINGS.gridSize;
+                }
+                const snap = { ...this.canvasManager.getSnapSettings(), [key]: value };
+                this.dataManager.updateProjectSettings({ snap });
+                this.canvasManager.draw(); // Grid dots
+            });
+        });
+
         if (this.elements.settingsFontSize) {
             this.elements.settingsFontSize.addEventListener('change', (e) => {
                 const newSize = parseInt(e.target.value) || 14;
@@ -427,6 +674,13 @@ class UIManager {
         if (this.elements.btnConfirmImport) {
             this.elements.btnConfirmImport.addEventListener('click', () => this.confirmImport());
         }
+        this.elements.mapSheet.addEventListener('change', () => this.selectImportSheet(this.elements.mapSheet.value));
+        [this.elements.mapHeaderRow, this.elements.mapHeaderRowCount, this.elements.mapSkipLast, this.elements.mapSkipTotals].forEach(input => {
+            input.addEventListener('change', () => this.refreshImportSource());
+        });
+        [this.elements.mapCode, this.elements.mapTitle, this.elements.mapStart, this.elements.mapEnd, this.elements.mapDiscipline, this.elements.mapStatus].forEach(select => {
+            select.addEventListener('change', () => this.renderImportPreview());
+        });
 
         // Sidebar Tabs
         const tabBtns = document.querySelectorAll('.tab-btn');
@@ -597,6 +851,7 @@ class UIManager {
         this.elements.toolMeasureLength.classList.toggle('active', tool === 'measure-length');
         this.elements.toolMeasureArea.classList.toggle('active', tool === 'measure-area');
         this.elements.toolCalibrate.classList.toggle('active', tool === 'calibrate');
+        this.elements.toolOrigin.classList.toggle('active', tool === 'origin');
     }
 
     updateZoomLevel(percentage) {
@@ -804,8 +1059,34 @@ class UIManager {
         });
 
         this.elements.connectedActivitiesList.innerHTML = '';
+
+        // Activities that were removed from the schedule while linked to this zone
+        const warnings = zone.customData._activityWarnings || [];
+        warnings.forEach((warning, index) => {
+            const card = document.createElement('div');
+            card.className = 'activity-card activity-warning';
+            card.style.marginBottom = '10px';
+
+            const text = document.createElement('div');
+            text.className = 'activity-row';
+            text.textContent = this.t('activityRemovedWarning', {
+                code: warning.code,
+                title: warning.title || this.t('namelessActivity'),
+                date: (warning.date || '').split('T')[0]
+            });
+            card.appendChild(text);
+
+            const dismissBtn = document.createElement('button');
+            dismissBtn.className = 'btn btn-small btn-outline full-width';
+            dismissBtn.style.marginTop = '0.5rem';
+            dismissBtn.textContent = this.t('dismissWarning');
+            dismissBtn.onclick = () => this.dismissActivityWarning(zone.id, index);
+            card.appendChild(dismissBtn);
+
+            this.elements.connectedActivitiesList.appendChild(card);
+        });
         
-        if (connectedActivities.length > 0) {
+        if (connectedActivities.length > 0 || warnings.length > 0) {
             if (this.elements.connectedActivitySection) this.elements.connectedActivitySection.classList.remove('hidden');
             
             connectedActivities.forEach((activity, index) => {
@@ -914,8 +1195,12 @@ class UIManager {
             e.stopPropagation();
             if (confirm(this.t('confirmDelete') + "?")) {
                const newSchedule = schedule.filter(a => a.code !== activityId);
-               this.dataManager.setSchedule(newSchedule);
+               this.dataManager.beginBatch('histDeleteActivity', { name: activity.title || activityId });
+               // Zones linked to the activity get a warning instead of a dangling link
+               this.dataManager.updateSchedule(newSchedule, new Set([String(activityId)]));
+               this.dataManager.endBatch();
                this.renderSchedule();
+               if (this.canvasManager) this.canvasManager.draw();
                this.selectedActivityId = null; 
                this.elements.metadataContent.classList.add('hidden');
                this.elements.metadataEmpty.classList.remove('hidden');
@@ -940,7 +1225,9 @@ class UIManager {
         };
 
         const currentSchedule = this.dataManager.getState().schedule || [];
+        this.dataManager.beginBatch('histAddActivity', { name: newActivity.title });
         this.dataManager.setSchedule([...currentSchedule, newActivity]);
+        this.dataManager.endBatch();
         this.renderSchedule();
         this.selectActivity(id);
     }
@@ -960,6 +1247,8 @@ class UIManager {
         
         const newSchedule = [...schedule];
         newSchedule[index] = activity;
+        // The activity and the zones synced below are one history entry
+        this.dataManager.beginBatch('histEditActivity', { name: activity.title || id }, 'activity:' + id);
         this.dataManager.setSchedule(newSchedule);
         
         // Sync Logic: Update zones linked to this activity (Activity -> Zone)
@@ -994,6 +1283,7 @@ class UIManager {
                 }
             });
         }
+        this.dataManager.endBatch();
 
         this.renderSchedule();
     }
@@ -1089,6 +1379,7 @@ class UIManager {
             }
 
             if (Object.keys(updates).length > 0) {
+                this.dataManager.beginBatch('histEditZone', { name: updates.name || zone.name || '' }, 'zone:' + zone.id);
                 this.dataManager.updateZone({ ...zone, ...updates });
                 
                 // Sync to connected activity if dates/name changed
@@ -1113,6 +1404,7 @@ class UIManager {
                         }
                     }
                 }
+                this.dataManager.endBatch();
             }
         });
     }
@@ -1125,6 +1417,9 @@ class UIManager {
 
         if (file.type === 'application/pdf') {
             this.renderPdf(file);
+        } else if (/\.dxf$/i.test(file.name)) {
+            // Browsers report no or varying MIME types for DXF
+            this.renderDxf(file);
         } else if (file.type.startsWith('image/')) {
             this.renderImage(file);
         }
@@ -1135,7 +1430,8 @@ class UIManager {
         reader.onload = (event) => {
             const img = new Image();
             img.onload = () => {
-                this.canvasManager.setBackground(img);
+                // Keep the original file rather than a re-encoded PNG
+                this.canvasManager.setBackground(img, true, { blob: file });
             };
             img.src = event.target.result;
         };
@@ -1145,10 +1441,52 @@ class UIManager {
     async renderPdf(file) {
         const arrayBuffer = await file.arrayBuffer();
         const pdf = await pdfjsLib.getDocument(arrayBuffer).promise;
-        const page = await pdf.getPage(1); // Render first page
+
+        // Keep the original so the canvas can re-render it sharply when zoomed in
+        let pdfKey = null;
+        try {
+            pdfKey = await this.dataManager.savePdfSource(await pdf.getData());
+        } catch (e) {
+            console.error("Failed to store PDF source, zooming will use the raster only", e);
+        }
+
+        // Single sheet: keep the old behaviour and load into the active layout
+        if (pdf.numPages === 1) {
+            const { page, viewport } = await this.renderPdfPage(pdf, 1, pdfKey);
+            const zones = await this.collectPdfAnnotationZones(page, viewport);
+            this.confirmPdfAnnotationImport([{ layoutId: this.dataManager.getActiveLayout().id, zones }]);
+            return;
+        }
+
+        const pageLabels = await pdf.getPageLabels().catch(() => null);
+        const baseName = file.name.replace(/\.pdf$/i, '');
+        const getSheetName = (pageNumber) => {
+            const label = pageLabels && pageLabels[pageNumber - 1];
+            // Page labels that are only the page number are not worth showing
+            if (label && label.trim() && label.trim() !== String(pageNumber)) return label.trim();
+            return `${baseName} - ${this.t('page')} ${pageNumber}`;
+        };
+
+        const pageNumbers = await this.showPdfPagePicker(pdf, getSheetName);
+        if (pageNumbers.length === 0) return;
+
+        const found = [];
+        for (const pageNumber of pageNumbers) {
+            const layoutId = this.dataManager.addLayout(getSheetName(pageNumber));
+            const { page, viewport } = await this.renderPdfPage(pdf, pageNumber, pdfKey);
+            const zones = await this.collectPdfAnnotationZones(page, viewport);
+            found.push({ layoutId, zones });
+        }
+        this.confirmPdfAnnotationImport(found);
+    }
+
+    async renderPdfPage(pdf, pageNumber, pdfKey = null) {
+        const page = await pdf.getPage(pageNumber);
         
-        // Reduce scale to avoid huge Data URLs that crash localStorage
-        const viewport = page.getViewport({ scale: 1.5 }); 
+        // Reduce scale to avoid huge Data URLs that crash localStorage.
+        // This raster also defines the world coordinates, zoomed-in detail comes from tiles.
+        const renderScale = 1.5;
+        const viewport = page.getViewport({ scale: renderScale }); 
         const canvas = document.createElement('canvas');
         const context = canvas.getContext('2d');
         canvas.height = viewport.height;
@@ -1159,7 +1497,235 @@ class UIManager {
             viewport: viewport
         }).promise;
 
-        this.canvasManager.setBackground(canvas);
+        const pdfSource = pdfKey ? { key: pdfKey, pageNumber, renderScale } : null;
+        await this.canvasManager.setBackground(canvas, true, { pdf: pdfSource });
+
+        return { page, viewport };
+    }
+
+    async renderDxf(file) {
+        let text, dxf;
+        try {
+            text = await file.text();
+            dxf = parseDxf(text);
+        } catch (e) {
+            console.error("Failed to parse DXF", e);
+            alert(this.t('alertInvalidDxf'));
+            return;
+        }
+
+        const items = flattenDxf(dxf);
+        const placement = getDxfPlacement(items);
+        if (!placement) {
+            alert(this.t('alertEmptyDxf'));
+            return;
+        }
+
+        const layers = getDxfLayers(items, dxf.layers);
+        const choice = await this.showDxfLayerPicker(layers, layers.filter(l => l.off).map(l => l.name), true);
+        if (!choice) return;
+
+        const layoutId = this.dataManager.getActiveLayout().id;
+        try {
+            const key = await this.dataManager.saveDxfSource(text);
+            const source = { key, units: dxf.units, ...placement, hiddenLayers: choice.hiddenLayers };
+            await this.canvasManager.setDxfBackground(source, false, items);
+        } catch (e) {
+            console.error("Failed to store DXF background", e);
+            alert(this.t('alertInvalidDxf'));
+            return;
+        }
+
+        if (choice.zoneLayer !== null) {
+            const zones = dxfPolylinesToZones(items, placement, choice.zoneLayer, { t: (key) => this.t(key) });
+            if (zones.length > 0) {
+                this.dataManager.addZones(zones, layoutId);
+                this.canvasManager.draw();
+            }
+        }
+    }
+
+    // Layer toggles of the active layout's DXF background
+    async editDxfLayers() {
+        const layout = this.dataManager.getActiveLayout();
+        if (!layout || !layout.backgroundDxf) return;
+
+        try {
+            const items = await this.canvasManager.loadDxfItems(layout.backgroundDxf.key);
+            const choice = await this.showDxfLayerPicker(getDxfLayers(items), layout.backgroundDxf.hiddenLayers || [], false);
+            if (choice) await this.canvasManager.setDxfLayers(choice.hiddenLayers);
+        } catch (e) {
+            console.error("Failed to load DXF layers", e);
+            alert(this.t('alertInvalidDxf'));
+        }
+    }
+
+    /**
+     * @param {Array} layers - See getDxfLayers
+     * @param {string[]} hiddenLayers - Layers unchecked at first
+     * @param {boolean} withZoneLayer - Offer to turn closed polylines of a layer into zones
+     * @returns {Promise<{hiddenLayers: string[], zoneLayer: string|null}|null>} null if cancelled
+     */
+    showDxfLayerPicker(layers, hiddenLayers, withZoneLayer) {
+        const modal = this.elements.dxfLayersModal;
+        const list = this.elements.dxfLayersList;
+        const zoneLayer = this.elements.dxfZoneLayer;
+        list.innerHTML = '';
+
+        const items = layers.map(layer => {
+            const item = document.createElement('label');
+            item.style.cssText = 'display: flex; align-items: center; gap: 8px; cursor: pointer; padding: 2px 0;';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !hiddenLayers.includes(layer.name);
+
+            const label = document.createElement('span');
+            label.textContent = layer.name;
+
+            item.appendChild(checkbox);
+            item.appendChild(label);
+            list.appendChild(item);
+            return { checkbox, name: layer.name };
+        });
+
+        zoneLayer.innerHTML = '';
+        zoneLayer.add(new Option(this.t('dxfZoneLayerNone'), ''));
+        layers.filter(layer => layer.closedPolylines > 0).forEach(layer => {
+            zoneLayer.add(new Option(`${layer.name} (${layer.closedPolylines})`, layer.name));
+        });
+        this.elements.dxfZoneLayerGroup.classList.toggle('hidden', !withZoneLayer || zoneLayer.options.length === 1);
+
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                modal.classList.add('hidden');
+                this.elements.btnConfirmDxfLayers.onclick = null;
+                this.elements.btnCancelDxfLayers.onclick = null;
+                this.elements.closeDxfLayersModalBtn.onclick = null;
+                this.elements.btnSelectAllDxfLayers.onclick = null;
+                resolve(result);
+            };
+
+            this.elements.btnConfirmDxfLayers.onclick = () => {
+                finish({
+                    hiddenLayers: items.filter(i => !i.checkbox.checked).map(i => i.name),
+                    zoneLayer: withZoneLayer && zoneLayer.value !== '' ? zoneLayer.value : null
+                });
+            };
+            this.elements.btnCancelDxfLayers.onclick = () => finish(null);
+            this.elements.closeDxfLayersModalBtn.onclick = () => finish(null);
+            this.elements.btnSelectAllDxfLayers.onclick = (e) => {
+                e.preventDefault();
+                const allChecked = items.every(i => i.checkbox.checked);
+                items.forEach(i => i.checkbox.checked = !allChecked);
+            };
+
+            modal.classList.remove('hidden');
+        });
+    }
+
+    updateDxfLayersButton() {
+        const layout = this.dataManager.getActiveLayout();
+        this.elements.btnDxfLayers.classList.toggle('hidden', !(layout && layout.backgroundDxf));
+    }
+
+    showPdfPagePicker(pdf, getSheetName) {
+        const modal = this.elements.pdfPagesModal;
+        const grid = this.elements.pdfPagesGrid;
+        grid.innerHTML = '';
+
+        return new Promise((resolve) => {
+            const items = [];
+            let rendering = true;
+
+            for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+                const item = document.createElement('label');
+                item.className = 'pdf-page-item';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = pageNumber;
+                checkbox.checked = true;
+
+                const thumb = document.createElement('canvas');
+                thumb.className = 'pdf-page-thumb';
+
+                const label = document.createElement('span');
+                label.textContent = getSheetName(pageNumber);
+                label.title = label.textContent;
+
+                item.appendChild(thumb);
+                item.appendChild(checkbox);
+                item.appendChild(label);
+                grid.appendChild(item);
+                items.push({ checkbox, thumb, pageNumber });
+            }
+
+            const finish = (pages) => {
+                modal.classList.add('hidden');
+                this.elements.btnConfirmPdfPages.onclick = null;
+                this.elements.btnCancelPdfPages.onclick = null;
+                this.elements.closePdfPagesModalBtn.onclick = null;
+                this.elements.btnSelectAllPdfPages.onclick = null;
+                rendering = false;
+                resolve(pages);
+            };
+
+            this.elements.btnConfirmPdfPages.onclick = () => {
+                finish(items.filter(i => i.checkbox.checked).map(i => i.pageNumber));
+            };
+            this.elements.btnCancelPdfPages.onclick = () => finish([]);
+            this.elements.closePdfPagesModalBtn.onclick = () => finish([]);
+            this.elements.btnSelectAllPdfPages.onclick = (e) => {
+                e.preventDefault();
+                const allChecked = items.every(i => i.checkbox.checked);
+                items.forEach(i => i.checkbox.checked = !allChecked);
+            };
+
+            modal.classList.remove('hidden');
+
+            // Render thumbnails one at a time so large sets stay responsive
+            (async () => {
+                for (const item of items) {
+                    if (!rendering) break;
+                    try {
+                        const page = await pdf.getPage(item.pageNumber);
+                        const unscaled = page.getViewport({ scale: 1 });
+                        const viewport = page.getViewport({ scale: 140 / Math.max(unscaled.width, unscaled.height) });
+                        item.thumb.width = viewport.width;
+                        item.thumb.height = viewport.height;
+                        await page.render({ canvasContext: item.thumb.getContext('2d'), viewport }).promise;
+                    } catch (e) {
+                        console.error(`Failed to render thumbnail for page ${item.pageNumber}`, e);
+                    }
+                }
+            })();
+        });
+    }
+
+    async collectPdfAnnotationZones(page, viewport) {
+        try {
+            const annotations = await page.getAnnotations();
+            return pdfAnnotationsToZones(annotations, viewport, {
+                schedule: this.dataManager.getState().schedule || [],
+                t: (key) => this.t(key)
+            });
+        } catch (e) {
+            console.error("Failed to read PDF annotations", e);
+            return [];
+        }
+    }
+
+    // found: [{ layoutId, zones }] - one entry per imported sheet
+    confirmPdfAnnotationImport(found) {
+        const withZones = found.filter(f => f.zones.length > 0);
+        const count = withZones.reduce((sum, f) => sum + f.zones.length, 0);
+        if (count === 0) return;
+
+        if (confirm(this.t('confirmImportAnnotations', { count }))) {
+            withZones.forEach(f => this.dataManager.addZones(f.zones, f.layoutId));
+            this.canvasManager.draw();
+        }
     }
 
     downloadScheduleTemplate() {
@@ -1197,10 +1763,149 @@ class UIManager {
         XLSX.writeFile(wb, "Tidplan_Mall.xlsx");
     }
 
+    // --- Zone sheet ---
+
+    exportZoneSheet() {
+        if (typeof XLSX === 'undefined') {
+            alert(this.t('alertSheetJS'));
+            return;
+        }
+
+        const state = this.dataManager.getState();
+        const rows = buildZoneSheet(state, (key) => this.t(key));
+        if (rows.length < 2) {
+            alert(this.t('alertNoZonesToExport'));
+            return;
+        }
+
+        const ws = XLSX.utils.aoa_to_sheet(rows);
+        ws['!cols'] = rows[0].map((header, i) => ({ wch: i === 0 ? 38 : Math.max(12, String(header).length + 2) }));
+        const wb = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(wb, ws, this.t('zones'));
+        XLSX.writeFile(wb, `${state.projectInfo.name || 'Zone Planner'} - ${this.t('zones')}.xlsx`);
+    }
+
+    async handleZoneSheetUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = ''; // Allow picking the same file again after editing it
+
+        if (typeof XLSX === 'undefined') {
+            alert(this.t('alertSheetJS'));
+            return;
+        }
+
+        let records;
+        try {
+            const workbook = await this.dataManager.parseExcelFile(file);
+            const sheet = workbook.sheets[workbook.sheetNames[0]];
+            records = this.dataManager.getSheetRecords(sheet.rows, {
+                headerRow: this.dataManager.detectHeaderRow(sheet.rows),
+                skipTotals: false
+            }).rows;
+        } catch (err) {
+            console.error(err);
+            alert(this.t('alertImportFail') + "\n" + err.message);
+            return;
+        }
+
+        const state = this.dataManager.getState();
+        const result = applyZoneSheet(state, records);
+
+        const problems = [];
+        if (result.notFound.length > 0) {
+            problems.push(this.t('zoneSheetNotFound', { count: result.notFound.length }));
+        }
+        problems.push(...this.describeInvalidValues(result.invalid));
+        const problemText = problems.length > 0 ? '\n\n' + problems.join('\n') : '';
+
+        if (result.updated === 0) {
+            alert(this.t('zoneSheetNoChanges') + problemText);
+            return;
+        }
+        if (!confirm(this.t('confirmZoneSheetImport', { count: result.updated }) + problemText)) return;
+
+        this.dataManager.updateZonesFromSheet(result.layouts, result.updated);
+        this.canvasManager.draw();
+        const selectedZoneId = this.elements.metaId.value;
+        if (selectedZoneId && this.dataManager.getZone(selectedZoneId)) {
+            this.selectZone(selectedZoneId);
+        }
+    }
+
+    // Lines for the import confirmation about values that were not applied, zone sheet and GeoJSON
+    describeInvalidValues(invalid) {
+        const lines = invalid.slice(0, 10).map(item =>
+            this.t('zoneSheetInvalid', { zone: item.zone, column: this.t(item.column), value: item.value }));
+        if (invalid.length > 10) {
+            lines.push(this.t('zoneSheetMoreInvalid', { count: invalid.length - 10 }));
+        }
+        if (invalid.some(item => item.column === 'startDate' || item.column === 'endDate')) {
+            lines.push(this.t('zoneSheetDateFormat'));
+        }
+        return lines;
+    }
+
+    // --- GeoJSON ---
+
+    exportGeoJson() {
+        const layout = this.dataManager.getActiveLayout();
+        const geojson = buildZoneGeoJson(layout, this.dataManager.getState(), (key) => this.t(key));
+        if (geojson.features.length === 0) {
+            alert(this.t('alertNoZonesToExport'));
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(geojson, null, 2)], { type: FILE_TYPES.geojson });
+        this.canvasManager.saveExportFile(blob, layout.name || 'Layout', 'geojson');
+    }
+
+    async handleGeoJsonUpload(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        e.target.value = ''; // Allow picking the same file again after editing it
+
+        const state = this.dataManager.getState();
+        let result;
+        try {
+            result = applyZoneGeoJson(state, state.activeLayoutId, JSON.parse(await file.text()), (key) => this.t(key));
+        } catch (err) {
+            console.error(err);
+            alert(this.t('alertInvalidGeoJson') + "\n" + err.message);
+            return;
+        }
+
+        const problems = [];
+        if (result.skipped > 0) {
+            problems.push(this.t('geoJsonSkipped', { count: result.skipped }));
+        }
+        problems.push(...this.describeInvalidValues(result.invalid));
+        const problemText = problems.length > 0 ? '\n\n' + problems.join('\n') : '';
+
+        if (result.added === 0 && result.updated === 0) {
+            alert(this.t('geoJsonNoChanges') + problemText);
+            return;
+        }
+        if (!confirm(this.t('confirmGeoJsonImport', { added: result.added, updated: result.updated }) + problemText)) return;
+
+        this.dataManager.updateZonesFromGeoJson(result.layouts, result.added + result.updated);
+        this.canvasManager.draw();
+        const selectedZoneId = this.elements.metaId.value;
+        if (selectedZoneId && this.dataManager.getZone(selectedZoneId)) {
+            this.selectZone(selectedZoneId);
+        }
+    }
+
     async handleScheduleUpload(e) {
         const file = e.target.files[0];
         if (!file) return;
 
+        const extension = file.name.split('.').pop().toLowerCase();
+        if (extension === 'xml' || extension === 'xer') {
+            await this.importScheduleFile(file);
+            return;
+        }
+
         // Check if XLSX is available
         if (typeof XLSX === 'undefined') {
             alert(this.t('alertSheetJS'));
@@ -1208,25 +1913,96 @@ class UIManager {
         }
 
         try {
-            const data = await this.dataManager.parseExcelFile(file);
-            if (!data || data.length === 0) {
+            const workbook = await this.dataManager.parseExcelFile(file);
+            const sheetName = workbook.sheetNames.find(name => workbook.sheets[name].rows.length > 0);
+            if (!sheetName) {
                 alert(this.t('alertImportFail') + " (Filen verkar tom)");
                 return;
             }
             
-            this.tempExcelData = data;
-            this.showMappingModal(data[0]);
+            this.tempWorkbook = workbook;
+            this.showMappingModal(sheetName);
         } catch (err) {
             console.error(err);
             alert(this.t('alertImportFail') + "\n" + err.message);
         }
     }
 
-    showMappingModal(firstRow) {
-        const columns = Object.keys(firstRow);
-        // Include new selects
-        const selects = [this.elements.mapCode, this.elements.mapTitle, this.elements.mapStart, this.elements.mapEnd, this.elements.mapDiscipline, this.elements.mapStatus];
-        
+    // MS Project and Primavera files carry their own structure, there is nothing to map
+    async importScheduleFile(file) {
+        let result;
+        try {
+            result = await this.dataManager.parseScheduleFile(file);
+        } catch (err) {
+            console.error(err);
+            alert(this.t('alertImportFail') + "\n" + err.message);
+            this.elements.scheduleUpload.value = '';
+            return;
+        }
+
+        if (result.activities.length === 0) {
+            alert(this.t('alertScheduleNoActivities'));
+            this.elements.scheduleUpload.value = '';
+            return;
+        }
+
+        // Disciplines are not part of these formats, keep the ones set in the project
+        const current = new Map((this.dataManager.getState().schedule || []).map(a => [getActivityKey(a), a]));
+        const activities = result.activities.map(activity => {
+            const existing = current.get(getActivityKey(activity));
+            return existing && existing.discipline ? { ...activity, discipline: existing.discipline } : activity;
+        });
+
+        await this.applyImportedSchedule(activities, null, result.calendars.length > 0 ? result.calendars : null);
+    }
+
+    showMappingModal(sheetName) {
+        const sheetSelect = this.elements.mapSheet;
+        sheetSelect.innerHTML = '';
+        this.tempWorkbook.sheetNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            sheetSelect.appendChild(option);
+        });
+        sheetSelect.value = sheetName;
+
+        this.tempExcelColumns = [];
+        this.selectImportSheet(sheetName);
+        this.elements.mappingModal.classList.remove('hidden');
+    }
+
+    // New sheet: guess where its header is, the user can correct it
+    selectImportSheet(sheetName) {
+        const sheet = this.tempWorkbook.sheets[sheetName];
+        this.elements.mapHeaderRow.min = sheet.firstRow;
+        this.elements.mapHeaderRow.value = sheet.firstRow + this.dataManager.detectHeaderRow(sheet.rows);
+        this.elements.mapHeaderRowCount.value = '1';
+        this.elements.mapSkipLast.value = 0;
+        this.refreshImportSource();
+    }
+
+    // Re-read the rows after a change of sheet, header or skipped rows
+    refreshImportSource() {
+        const sheet = this.tempWorkbook.sheets[this.elements.mapSheet.value];
+        const headerRow = Math.max(0, (parseInt(this.elements.mapHeaderRow.value, 10) || sheet.firstRow) - sheet.firstRow);
+        const { columns, rows } = this.dataManager.getSheetRecords(sheet.rows, {
+            headerRow: headerRow,
+            headerRowCount: parseInt(this.elements.mapHeaderRowCount.value, 10) || 1,
+            skipLast: Math.max(0, parseInt(this.elements.mapSkipLast.value, 10) || 0),
+            skipTotals: this.elements.mapSkipTotals.checked
+        });
+
+        this.tempExcelData = rows;
+        // Only skipped rows changed: keep the column choices as they are
+        const sameColumns = columns.length === this.tempExcelColumns.length && columns.every((c, i) => c === this.tempExcelColumns[i]);
+        this.tempExcelColumns = columns;
+        if (!sameColumns) this.populateColumnSelects(columns);
+
+        this.renderImportPreview();
+    }
+
+    populateColumnSelects(columns) {
         // Helper to populate select
         const populate = (select, defaultKeywords) => {
             select.innerHTML = '<option value="">-- ' + this.t('select') + ' --</option>';
@@ -1250,12 +2026,76 @@ class UIManager {
         populate(this.elements.mapDiscipline, ['discipline', 'disciplin', 'fack', 'kategori']);
         populate(this.elements.mapStatus, ['status', 'stat', 'tillstånd', 'state']);
 
-        this.elements.mappingModal.classList.remove('hidden');
+        // Same columns as an earlier import: use the mapping from then
+        const template = this.dataManager.getImportTemplate(columns);
+        if (template && template.columns) {
+            const fields = { code: 'mapCode', title: 'mapTitle', start: 'mapStart', end: 'mapEnd', discipline: 'mapDiscipline', status: 'mapStatus' };
+            Object.keys(fields).forEach(field => {
+                const column = template.columns[field];
+                if (column === '' || columns.includes(column)) this.elements[fields[field]].value = column;
+            });
+        }
+    }
+
+    // The first activities as they will be imported with the current choices
+    renderImportPreview() {
+        const rows = this.tempExcelData || [];
+        const mapping = {
+            code: this.elements.mapCode.value,
+            title: this.elements.mapTitle.value,
+            start: this.elements.mapStart.value,
+            end: this.elements.mapEnd.value,
+            discipline: this.elements.mapDiscipline.value,
+            status: this.elements.mapStatus.value
+        };
+        const fields = [
+            ['code', 'activityCode'], ['title', 'activityName'], ['start', 'startDate'],
+            ['end', 'endDate'], ['discipline', 'discipline'], ['status', 'status']
+        ];
+        const previewCount = 5;
+
+        this.elements.importPreviewSummary.textContent = rows.length > 0
+            ? this.t('importPreviewSummary', { count: rows.length, shown: Math.min(previewCount, rows.length) })
+            : this.t('importPreviewEmpty');
+
+        const table = this.elements.importPreviewTable;
+        table.innerHTML = '';
+        const headRow = document.createElement('tr');
+        fields.forEach(([, labelKey]) => {
+            const th = document.createElement('th');
+            th.textContent = this.t(labelKey);
+            headRow.appendChild(th);
+        });
+        table.appendChild(headRow);
+
+        rows.slice(0, previewCount).forEach(row => {
+            const tr = document.createElement('tr');
+            fields.forEach(([field]) => {
+                const td = document.createElement('td');
+                let value = mapping[field] ? row[mapping[field]] : '';
+                if (field === 'start' || field === 'end') {
+                    value = this.formatDate(value);
+                    // Dates that could not be read are imported as text
+                    if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) td.className = 'invalid';
+                } else if (field === 'title' && !value) {
+                    value = this.t('namelessActivity');
+                    td.className = 'invalid';
+                }
+                td.textContent = value === undefined || value === null ? '' : String(value);
+                td.title = td.textContent;
+                tr.appendChild(td);
+            });
+            table.appendChild(tr);
+        });
     }
 
-    confirmImport() {
+    async confirmImport() {
         console.log("Confirm import clicked");
         
+        if (this.tempExcelData && this.tempExcelData.length === 0) {
+            alert(this.t('importPreviewEmpty'));
+            return;
+        }
         if (!this.tempExcelData) {
             console.error("No Excel data to import");
             alert(this.t('alertNoData'));
@@ -1279,52 +2119,378 @@ class UIManager {
             return;
         }
 
-        // Get Discipline/Status maps for validation/ID matching if needed? 
-        // For now, we take raw value or try to match ID
-        const state = this.dataManager.getState();
-        const disciplineMap = new Map((state.disciplines || []).map(d => [d.name.toLowerCase(), d.id])); 
-        const statusMap = new Map((state.statuses || []).map(s => [s.name.toLowerCase(), s.id]));
+        const rows = this.tempExcelData;
+        const columns = this.tempExcelColumns;
+        const template = this.dataManager.getImportTemplate(columns) || {};
 
-        try {
-            // Process data
-            const processedData = this.tempExcelData.map(row => {
-                // Try to resolve discipline/status IDs
-                // If the excel contains "Bygg", we want "construction" if mapped
-                let disc = row[mapping.discipline] || '';
-                let stat = row[mapping.status] || 'planned';
-
-                // Simple check if the value matches a known ID or Name
-                // If not found, keep raw value or default
-                // Ideally, we should offer mapping for values too, but that's complex.
-                // We'll trust the user imports IDs or we match loosely on name.
-
-                return {
-                    code: row[mapping.code] || '',
-                    title: row[mapping.title] || this.t('namelessActivity'),
-                    start: this.formatDate(row[mapping.start]),
-                    end: this.formatDate(row[mapping.end]),
-                    discipline: disc,
-                    status: stat,
-                    originalData: row
-                };
-            });
+        // Step 2: map the values of the discipline and status columns
+        const disciplineValues = this.getDistinctValues(rows, mapping.discipline);
+        const statusValues = this.getDistinctValues(rows, mapping.status);
+        let valueMapping = { disciplines: {}, statuses: {} };
+        if (disciplineValues.length > 0 || statusValues.length > 0) {
+            this.elements.mappingModal.classList.add('hidden');
+            valueMapping = await this.showValueMapping(disciplineValues, statusValues, template);
+            if (valueMapping === 'back') {
+                this.elements.mappingModal.classList.remove('hidden');
+                return;
+            }
+            if (!valueMapping) {
+                this.elements.scheduleUpload.value = '';
+                this.tempExcelData = null;
+                this.tempWorkbook = null;
+                return;
+            }
+        }
 
-            console.log("Processed data:", processedData);
+        const disciplinePlan = this.planMappedCategories(valueMapping.disciplines, 'discipline');
+        const statusPlan = this.planMappedCategories(valueMapping.statuses, 'status');
+
+        const processedData = rows.map(row => {
+            const disc = String(row[mapping.discipline] || '').trim();
+            const stat = String(row[mapping.status] || '').trim();
+            return {
+                code: row[mapping.code] || '',
+                title: row[mapping.title] || this.t('namelessActivity'),
+                start: this.formatDate(row[mapping.start]),
+                end: this.formatDate(row[mapping.end]),
+                discipline: disciplinePlan.map[disc] || '',
+                status: statusPlan.map[stat] || 'planned',
+                originalData: row
+            };
+        });
 
-            this.dataManager.setSchedule(processedData);
-            this.renderSchedule();
-            
+        console.log("Processed data:", processedData);
+
+        await this.applyImportedSchedule(processedData, () => {
+            disciplinePlan.created.forEach(item => this.dataManager.addDiscipline(item));
+            statusPlan.created.forEach(item => this.dataManager.addStatus(item));
+
+            this.dataManager.saveImportTemplate(columns, {
+                columns: mapping,
+                disciplines: { ...template.disciplines, ...disciplinePlan.map },
+                statuses: { ...template.statuses, ...statusPlan.map }
+            });
+        });
+    }
+
+    /**
+     * Last import step for every schedule format. A re-import is merged into the existing
+     * schedule: the user reviews the changes and linked zones get the new dates.
+     * @param {Array} activities - The imported schedule
+     * @param {Function} [applyExtras] - Further changes that belong to the same history entry
+     * @param {Array} [calendars] - Work calendars of the file, applied even if no activity changed
+     */
+    async applyImportedSchedule(activities, applyExtras = null, calendars = null) {
+        const finish = () => {
             this.elements.mappingModal.classList.add('hidden');
             this.elements.scheduleUpload.value = '';
             this.tempExcelData = null;
-            
-            alert(this.t('alertImportSuccess').replace('{count}', processedData.length));
+            this.tempWorkbook = null;
+        };
+
+        const state = this.dataManager.getState();
+        const currentSchedule = state.schedule || [];
+        const calendarsChanged = !!calendars && scheduleCalendarsChanged(state.scheduleCalendars || [], calendars);
+        let schedule = activities;
+        let removedCodes = new Set();
+        let activitiesChanged = true;
+        if (currentSchedule.length > 0) {
+            const diff = diffSchedules(currentSchedule, activities);
+            this.elements.mappingModal.classList.add('hidden');
+            activitiesChanged = diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+            if (!activitiesChanged && !calendarsChanged) {
+                alert(this.t('scheduleDiffNoChanges'));
+                finish();
+                return;
+            }
+            if (activitiesChanged) {
+                const accepted = await this.showScheduleDiff(diff, calendars);
+                if (!accepted) {
+                    finish();
+                    return;
+                }
+                schedule = mergeSchedules(currentSchedule, activities, diff, accepted);
+                removedCodes = new Set(diff.removed.filter(item => accepted.has(item.key)).map(item => item.key));
+            } else {
+                schedule = currentSchedule;
+            }
+        }
+
+        try {
+            this.dataManager.snapshots.create('snapshotScheduleImport');
+            // New disciplines/statuses, the template, the schedule and the synced zones are one history entry
+            this.dataManager.beginBatch('histImportSchedule', { count: activities.length });
+            if (applyExtras) applyExtras();
+            if (calendarsChanged) this.dataManager.setScheduleCalendars(calendars);
+            if (activitiesChanged) this.dataManager.updateSchedule(schedule, removedCodes);
+            this.dataManager.endBatch();
+            this.renderSchedule();
+            if (this.canvasManager) this.canvasManager.draw();
+
+            finish();
+            alert(this.t('alertImportSuccess').replace('{count}', schedule.length));
         } catch (e) {
+            this.dataManager.endBatch();
             console.error("Import error:", e);
             alert(this.t('alertImportError') + e.message);
         }
     }
 
+    // Distinct non-empty values of a column with how often they occur, most frequent first
+    getDistinctValues(rows, column) {
+        if (!column) return [];
+        const counts = new Map();
+        rows.forEach(row => {
+            const value = String(row[column] === undefined || row[column] === null ? '' : row[column]).trim();
+            if (value) counts.set(value, (counts.get(value) || 0) + 1);
+        });
+        return Array.from(counts, ([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+    }
+
+    // Remembered choice first, else an id or (translated) name match, else a new entry
+    suggestValueMapping(value, items, remembered) {
+        if (remembered !== undefined && (remembered === '' || items.some(item => item.id === remembered))) {
+            return remembered;
+        }
+        const lower = value.toLowerCase();
+        const match = items.find(item =>
+            item.id.toLowerCase() === lower ||
+            String(item.name).toLowerCase() === lower ||
+            this.t(item.name).toLowerCase() === lower);
+        return match ? match.id : NEW_CATEGORY_VALUE;
+    }
+
+    /**
+     * Second import step: map each distinct discipline/status value to an existing entry,
+     * a new one or nothing.
+     * @returns {Promise<{disciplines: Object, statuses: Object}|'back'|null>} value -> id or NEW_CATEGORY_VALUE,
+     *          'back' to return to the column step, null when the import is cancelled
+     */
+    showValueMapping(disciplineValues, statusValues, template) {
+        const state = this.dataManager.getState();
+        const modal = this.elements.valueMappingModal;
+
+        const fillSection = (container, values, items, remembered) => {
+            container.innerHTML = '';
+            container.parentElement.style.display = values.length > 0 ? 'block' : 'none';
+            return values.map(({ value, count }) => {
+                const row = document.createElement('div');
+                row.className = 'value-mapping-row';
+
+                const label = document.createElement('span');
+                label.className = 'value-mapping-value';
+                label.textContent = value;
+                label.title = value;
+                const countSpan = document.createElement('span');
+                countSpan.className = 'value-mapping-count';
+                countSpan.textContent = `(${count})`;
+                label.appendChild(countSpan);
+
+                const arrow = document.createElement('span');
+                arrow.className = 'material-icons';
+                arrow.textContent = 'arrow_forward';
+
+                const select = document.createElement('select');
+                select.innerHTML = `<option value="">${this.t('valueMappingNone')}</option>`;
+                items.forEach(item => {
+                    const option = document.createElement('option');
+                    option.value = item.id;
+                    option.textContent = this.t(item.name);
+                    select.appendChild(option);
+                });
+                const newOption = document.createElement('option');
+                newOption.value = NEW_CATEGORY_VALUE;
+                newOption.textContent = this.t('valueMappingCreate', { name: value });
+                select.appendChild(newOption);
+                select.value = this.suggestValueMapping(value, items, (remembered || {})[value]);
+
+                row.appendChild(label);
+                row.appendChild(arrow);
+                row.appendChild(select);
+                container.appendChild(row);
+                return { value, select };
+            });
+        };
+
+        const disciplineRows = fillSection(this.elements.valueMappingDisciplines, disciplineValues, state.disciplines, template.disciplines);
+        const statusRows = fillSection(this.elements.valueMappingStatuses, statusValues, state.statuses, template.statuses);
+
+        const collect = (rows) => {
+            const result = {};
+            rows.forEach(({ value, select }) => {
+                result[value] = select.value;
+            });
+            return result;
+        };
+
+        return new Promise((resolve) => {
+            const finish = (result) => {
+                modal.classList.add('hidden');
+                this.elements.btnConfirmValueMapping.onclick = null;
+                this.elements.btnBackValueMapping.onclick = null;
+                this.elements.closeValueMappingModalBtn.onclick = null;
+                resolve(result);
+            };
+
+            this.elements.btnConfirmValueMapping.onclick = () => finish({
+                disciplines: collect(disciplineRows),
+                statuses: collect(statusRows)
+            });
+            this.elements.btnBackValueMapping.onclick = () => finish('back');
+            this.elements.closeValueMappingModalBtn.onclick = () => finish(null);
+
+            modal.classList.remove('hidden');
+        });
+    }
+
+    /**
+     * Disciplines/statuses the user asked to create in the value mapping step. They get their
+     * ids here but are only added to the project when the import is applied.
+     * @returns {{map: Object, created: Array}} value -> id (values mapped to nothing map to ''), new items
+     */
+    planMappedCategories(valueMapping, type) {
+        const map = {};
+        const created = [];
+        const items = type === 'discipline' ? this.dataManager.getState().disciplines : this.dataManager.getState().statuses;
+        Object.keys(valueMapping).forEach(value => {
+            if (valueMapping[value] !== NEW_CATEGORY_VALUE) {
+                map[value] = valueMapping[value];
+                return;
+            }
+            const item = {
+                id: generateUUID(),
+                name: value,
+                color: CATEGORY_COLORS[(items.length + created.length) % CATEGORY_COLORS.length]
+            };
+            created.push(item);
+            map[value] = item.id;
+        });
+        return { map, created };
+    }
+
+    /**
+     * Review step of a re-import: added, removed and changed activities, each with a checkbox.
+     * @param {Array} [calendars] - Work calendars of the file, for the names of new calendars
+     * @returns {Promise<Set<string>|null>} keys of the accepted items, null when cancelled
+     */
+    showScheduleDiff(diff, calendars = null) {
+        const modal = this.elements.scheduleDiffModal;
+        const state = this.dataManager.getState();
+        const container = this.elements.scheduleDiffList;
+        container.innerHTML = '';
+
+        const escape = (text) => {
+            const div = document.createElement('div');
+            div.textContent = text === undefined || text === null ? '' : String(text);
+            return div.innerHTML;
+        };
+        const categoryName = (items, id) => {
+            const item = items.find(i => i.id === id);
+            return item ? this.t(item.name) : (id || '-');
+        };
+        const calendarNames = new Map([...(state.scheduleCalendars || []), ...(calendars || [])].map(c => [c.id, c.name]));
+        const formatValue = (field, activity) => {
+            const value = activity[field];
+            if (field === 'discipline') return categoryName(state.disciplines, value);
+            if (field === 'status') return categoryName(state.statuses, value);
+            if (field === 'calendar') return calendarNames.get(value) || value || '-';
+            return getActivityField(activity, field) || '-';
+        };
+        const formatShift = (days) => days === 0 ? '' : ` (${days > 0 ? '+' : ''}${days} ${this.t('daysShort')})`;
+        const fieldLabels = {
+            title: 'activityName',
+            start: 'startDate',
+            end: 'endDate',
+            discipline: 'discipline',
+            status: 'status',
+            wbs: 'scheduleDiffWbs',
+            wbsPath: 'scheduleDiffWbsPath',
+            predecessors: 'scheduleDiffPredecessors',
+            calendar: 'scheduleDiffCalendar'
+        };
+        const describe = (activity) => `<strong>${escape(activity.code)}</strong> ${escape(activity.title)}`;
+
+        const checkboxes = [];
+        const addSection = (titleKey, entries, className, formatDetails) => {
+            if (entries.length === 0) return;
+            const section = document.createElement('div');
+            section.className = 'schedule-diff-section';
+
+            const header = document.createElement('label');
+            header.className = 'schedule-diff-header';
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = true;
+            header.appendChild(toggle);
+            header.appendChild(document.createTextNode(` ${this.t(titleKey)} (${entries.length})`));
+            section.appendChild(header);
+
+            const boxes = entries.map(entry => {
+                const row = document.createElement('label');
+                row.className = `schedule-diff-row ${className}`;
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                const text = document.createElement('div');
+                text.innerHTML = formatDetails(entry);
+                row.appendChild(checkbox);
+                row.appendChild(text);
+                section.appendChild(row);
+                checkboxes.push({ key: entry.key, checkbox });
+                return checkbox;
+            });
+            toggle.onchange = () => boxes.forEach(box => { box.checked = toggle.checked; });
+
+            container.appendChild(section);
+        };
+
+        addSection('scheduleDiffAdded', diff.added, 'added', ({ activity }) =>
+            `${describe(activity)}<div class="text-muted">${escape(activity.start || '?')} -> ${escape(activity.end || '?')}</div>`);
+
+        addSection('scheduleDiffChanged', diff.changed, 'changed', (change) => {
+            const lines = change.fields.map(field => {
+                let line = `${escape(this.t(fieldLabels[field]))}: ${escape(formatValue(field, change.before))} -> ${escape(formatValue(field, change.after))}`;
+                if (field === 'start') line += escape(formatShift(change.startShift));
+                if (field === 'end') line += escape(formatShift(change.endShift));
+                return `<div class="text-muted">${line}</div>`;
+            });
+            return describe(change.after) + lines.join('');
+        });
+
+        addSection('scheduleDiffRemoved', diff.removed, 'removed', ({ activity }) => {
+            const zoneCount = this.dataManager.getZonesLinkedToActivity(activity.code).length;
+            const warning = zoneCount > 0
+                ? `<div class="schedule-diff-warning">${escape(this.t('scheduleDiffLinkedZones', { count: zoneCount }))}</div>`
+                : '';
+            return describe(activity) + warning;
+        });
+
+        this.elements.scheduleDiffSummary.textContent = this.t('scheduleDiffSummary', {
+            added: diff.added.length,
+            changed: diff.changed.length,
+            removed: diff.removed.length,
+            unchanged: diff.unchanged
+        });
+
+        return new Promise((resolve) => {
+            const finish = (accepted) => {
+                modal.classList.add('hidden');
+                this.elements.btnConfirmScheduleDiff.onclick = null;
+                this.elements.btnCancelScheduleDiff.onclick = null;
+                this.elements.closeScheduleDiffModalBtn.onclick = null;
+                resolve(accepted);
+            };
+
+            this.elements.btnConfirmScheduleDiff.onclick = () => finish(new Set(
+                checkboxes.filter(({ checkbox }) => checkbox.checked).map(({ key }) => key)));
+            this.elements.btnCancelScheduleDiff.onclick = () => finish(null);
+            this.elements.closeScheduleDiffModalBtn.onclick = () => finish(null);
+
+            modal.classList.remove('hidden');
+        });
+    }
+
     formatDate(excelDate) {
         if (!excelDate) return '';
         // Handle Excel serial dates if necessary, or string dates
@@ -1347,14 +2513,308 @@ class UIManager {
         const file = e.target.files[0];
         if (!file) return;
 
+        let result;
         try {
-            await this.dataManager.importProject(file);
-            this.canvasManager.draw();
-            alert(this.t('alertProjectImported'));
+            result = await this.dataManager.readProjectFile(file, (key) => this.t(key));
         } catch (err) {
             console.error(err);
             alert(this.t('alertImportFail'));
+            return;
+        } finally {
+            e.target.value = ''; // Allow picking the same file again after fixing it
+        }
+
+        if (result.fatal || result.errors.length > 0 || result.repairs.length > 0) {
+            const accepted = await this.showImportReport(result);
+            if (!accepted) return;
+        }
+
+        this.dataManager.importProject(result.state);
+        this.canvasManager.draw();
+        alert(this.t('alertProjectImported'));
+    }
+
+    // --- Snapshots ---
+
+    openSnapshots() {
+        this.elements.snapshotsModal.classList.remove('hidden');
+        this.renderSnapshots();
+    }
+
+    async renderSnapshots() {
+        const list = this.elements.snapshotsList;
+        let snapshots;
+        try {
+            snapshots = await this.dataManager.snapshots.list();
+        } catch (e) {
+            console.error("Failed to list snapshots", e);
+            return;
+        }
+
+        list.innerHTML = '';
+        if (snapshots.length === 0) {
+            list.innerHTML = `<p class="text-muted small">${this.t('noSnapshots')}</p>`;
+            return;
+        }
+
+        const current = summarizeState(this.dataManager.getState());
+        const locale = this.currentLanguage === 'sv' ? 'sv-SE' : 'en-GB';
+
+        snapshots.forEach(snapshot => {
+            const diff = diffSummaries(snapshot.summary, current);
+            const parts = [];
+            if (diff.layoutsAdded) parts.push(this.t('diffLayoutsAdded', { count: diff.layoutsAdded }));
+            if (diff.layoutsRemoved) parts.push(this.t('diffLayoutsRemoved', { count: diff.layoutsRemoved }));
+            if (diff.zonesAdded) parts.push(this.t('diffZonesAdded', { count: diff.zonesAdded }));
+            if (diff.zonesRemoved) parts.push(this.t('diffZonesRemoved', { count: diff.zonesRemoved }));
+            if (diff.zonesChanged) parts.push(this.t('diffZonesChanged', { count: diff.zonesChanged }));
+            if (diff.activityDelta) parts.push(this.t('diffActivities', { count: (diff.activityDelta > 0 ? '+' : '') + diff.activityDelta }));
+
+            const item = document.createElement('div');
+            item.className = 'snapshot-item';
+
+            const info = document.createElement('div');
+            info.className = 'snapshot-info';
+            const time = document.createElement('div');
+            time.className = 'snapshot-time';
+            time.textContent = `${new Date(snapshot.created).toLocaleString(locale)} · ${this.t(snapshot.reason)}`;
+            const diffText = document.createElement('div');
+            diffText.className = 'snapshot-diff';
+            diffText.textContent = parts.length > 0 ? parts.join(', ') : this.t('diffNone');
+            info.appendChild(time);
+            info.appendChild(diffText);
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'btn btn-small btn-outline';
+            restoreBtn.textContent = this.t('restore');
+            restoreBtn.addEventListener('click', async () => {
+                if (!confirm(this.t('confirmRestoreSnapshot', { date: new Date(snapshot.created).toLocaleString(locale) }))) return;
+                try {
+                    await this.dataManager.snapshots.restore(snapshot.id);
+                    this.elements.snapshotsModal.classList.add('hidden');
+                } catch (e) {
+                    console.error(e);
+                    alert(this.t('alertRestoreFail'));
+                }
+            });
+
+            item.appendChild(info);
+            item.appendChild(restoreBtn);
+            list.appendChild(item);
+        });
+    }
+
+    // --- History ---
+
+    formatHistoryLabel(label) {
+        const params = {};
+        Object.keys(label.params || {}).forEach(key => {
+            const value = label.params[key];
+            // User text is shown as typed, only the default category names are translated
+            if (value === '') params[key] = this.t('histUnnamed');
+            else params[key] = DEFAULT_CATEGORY_NAME_KEYS.includes(value) ? this.t(value) : value;
+        });
+        return this.t(label.key, params);
+    }
+
+    renderHistory() {
+        const list = this.elements.historyList;
+        if (!list) return;
+
+        const history = this.dataManager.history;
+        const entries = history.getEntries();
+        const current = history.getIndex();
+        const locale = this.currentLanguage === 'sv' ? 'sv-SE' : 'en-GB';
+
+        this.elements.btnUndo.disabled = !history.canUndo();
+        this.elements.btnRedo.disabled = !history.canRedo();
+
+        list.innerHTML = '';
+        // Row 0 is the state before the oldest entry, row i the state after entry i
+        const rows = [{ label: { key: 'histInitial', params: {} }, time: null }, ...entries];
+        rows.forEach((entry, index) => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            if (index === current) item.classList.add('active');
+            if (index > current) item.classList.add('undone');
+
+            const label = document.createElement('span');
+            label.className = 'history-label';
+            label.textContent = this.formatHistoryLabel(entry.label);
+            item.appendChild(label);
+
+            if (entry.time) {
+                const time = document.createElement('span');
+                time.className = 'history-time';
+                time.textContent = new Date(entry.time).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
+                item.appendChild(time);
+            }
+
+            item.addEventListener('click', () => {
+                history.jumpTo(index);
+                this.canvasManager.draw();
+            });
+            list.appendChild(item);
+        });
+
+        // Newest steps are at the bottom, keep the current one in view
+        const active = list.querySelector('.history-item.active');
+        if (active) active.scrollIntoView({ block: 'nearest' });
+    }
+
+    // --- Project Library ---
+
+    openProjectLibrary() {
+        this.elements.projectsSearch.value = '';
+        this.elements.projectsModal.classList.remove('hidden');
+        this.renderProjectList();
+    }
+
+    async renderProjectList() {
+        const list = this.elements.projectsList;
+        const query = this.elements.projectsSearch.value.trim().toLowerCase();
+
+        let projects;
+        try {
+            projects = await this.dataManager.listProjects();
+        } catch (e) {
+            console.error("Failed to list projects", e);
+            return;
         }
+        const activeId = this.dataManager.getProjectId();
+        const locale = this.currentLanguage === 'sv' ? 'sv-SE' : 'en-GB';
+
+        list.innerHTML = '';
+        projects
+            .filter(p => !query || String(p.name).toLowerCase().includes(query))
+            .forEach(project => {
+                const item = document.createElement('div');
+                item.className = 'project-item' + (project.id === activeId ? ' active' : '');
+
+                const thumb = document.createElement('div');
+                thumb.className = 'project-thumb';
+                if (project.thumbnail) {
+                    thumb.style.backgroundImage = `url("${project.thumbnail}")`;
+                } else {
+                    thumb.innerHTML = '<span class="material-icons">image_not_supported</span>';
+                }
+
+                const info = document.createElement('div');
+                info.className = 'project-info';
+                const name = document.createElement('div');
+                name.className = 'project-name';
+                name.textContent = project.name;
+                name.title = project.name;
+                const meta = document.createElement('div');
+                meta.className = 'project-meta';
+                const modified = project.lastModified ? new Date(project.lastModified).toLocaleString(locale) : '';
+                meta.textContent = `${modified} · ${this.t('projectStats', { layouts: project.layoutCount, zones: project.zoneCount })}`;
+                info.appendChild(name);
+                info.appendChild(meta);
+
+                const actions = document.createElement('div');
+                actions.className = 'project-actions';
+                const addAction = (icon, titleKey, handler) => {
+                    const btn = document.createElement('button');
+                    btn.className = 'btn-icon-small';
+                    btn.title = this.t(titleKey);
+                    btn.innerHTML = `<span class="material-icons" style="font-size: 18px;">${icon}</span>`;
+                    btn.addEventListener('click', (e) => {
+                        e.stopPropagation();
+                        handler();
+                    });
+                    actions.appendChild(btn);
+                };
+
+                addAction('edit', 'renameProject', async () => {
+                    const newName = prompt(this.t('promptProjectName'), project.name);
+                    if (!newName || newName === project.name) return;
+                    await this.dataManager.renameProject(project.id, newName);
+                    this.renderProjectList();
+                });
+                addAction('content_copy', 'duplicateProject', async () => {
+                    const copyName = prompt(this.t('promptProjectName'), this.t('projectCopyName', { name: project.name }));
+                    if (!copyName) return;
+                    await this.dataManager.duplicateProject(project.id, copyName);
+                    this.renderProjectList();
+                });
+                addAction('delete', 'deleteProject', async () => {
+                    if (project.id === activeId) {
+                        alert(this.t('alertDeleteOpenProject'));
+                        return;
+                    }
+                    if (!confirm(this.t('confirmDeleteProject', { name: project.name }))) return;
+                    await this.dataManager.deleteProject(project.id);
+                    this.renderProjectList();
+                });
+
+                item.addEventListener('click', async () => {
+                    try {
+                        await this.dataManager.openProject(project.id);
+                        this.elements.projectsModal.classList.add('hidden');
+                    } catch (e) {
+                        console.error(e);
+                        alert(this.t('alertOpenProjectFail'));
+                    }
+                });
+
+                item.appendChild(thumb);
+                item.appendChild(info);
+                item.appendChild(actions);
+                list.appendChild(item);
+            });
+    }
+
+    // Resolves true if the user wants to import the repaired project
+    showImportReport(result) {
+        const modal = this.elements.importReportModal;
+
+        const fillList = (list, entries, format) => {
+            list.innerHTML = '';
+            list.parentElement.style.display = entries.length > 0 ? 'block' : 'none';
+            entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.innerHTML = format(entry);
+                list.appendChild(li);
+            });
+        };
+        const escape = (text) => {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+        };
+        const translateParams = (params) => {
+            const translated = { ...params };
+            if (translated.reason) translated.reason = this.t(translated.reason);
+            if (translated.from !== undefined) translated.from = this.t(translated.from);
+            if (translated.to !== undefined) translated.to = this.t(translated.to);
+            return translated;
+        };
+
+        fillList(this.elements.importReportRepairs, result.repairs, (r) => escape(this.t(r.key, translateParams(r.params))));
+        fillList(this.elements.importReportErrors, result.errors, (err) =>
+            `<code>${escape(err.path || '/')}</code> ${escape(this.t(err.key, err.params))}`);
+
+        this.elements.importReportSummary.textContent = result.fatal
+            ? this.t('importReportFatal')
+            : this.t('importReportSummary', { errors: result.errors.length, repairs: result.repairs.length });
+        this.elements.btnConfirmImportReport.style.display = result.fatal ? 'none' : '';
+
+        return new Promise((resolve) => {
+            const finish = (accepted) => {
+                modal.classList.add('hidden');
+                this.elements.btnConfirmImportReport.onclick = null;
+                this.elements.btnCancelImportReport.onclick = null;
+                this.elements.closeImportReportModalBtn.onclick = null;
+                resolve(accepted);
+            };
+
+            this.elements.btnConfirmImportReport.onclick = () => finish(true);
+            this.elements.btnCancelImportReport.onclick = () => finish(false);
+            this.elements.closeImportReportModalBtn.onclick = () => finish(false);
+
+            modal.classList.remove('hidden');
+        });
     }
 
     // --- Custom Fields ---
@@ -1458,7 +2918,7 @@ class UIManager {
         schedule.forEach((task, index) => {
             // Filter based on search term
             if (searchTerm) {
-                const searchString = `${task.code} ${task.title} ${task.start} ${task.end}`.toLowerCase();
+                const searchString = `${task.code} ${task.title} ${task.start} ${task.end} ${(task.wbsPath || []).join(' ')}`.toLowerCase();
                 if (!searchString.includes(searchTerm)) return;
             }
 
@@ -1476,6 +2936,15 @@ class UIManager {
                 <span class="task-name" title="${task.title}">${task.title}</span>
             `;
 
+            // WBS of MS Project/Primavera imports
+            if (task.wbsPath && task.wbsPath.length > 0) {
+                const wbs = document.createElement('span');
+                wbs.className = 'task-wbs';
+                wbs.textContent = task.wbsPath.join(' › ');
+                wbs.title = task.wbs || '';
+                el.appendChild(wbs);
+            }
+
             el.dataset.id = task.code; // Store ID for click handler
             
             // Highlight if selected
@@ -1512,6 +2981,19 @@ class UIManager {
         }
     }
 
+    // Snap settings inputs and their key in DEFAULT_SNAP_SETTINGS
+    getSnapSettingInputs() {
+        return [
+            [this.elements.settingsSnapEnabled, 'enabled'],
+            [this.elements.settingsSnapVertex, 'vertex'],
+            [this.elements.settingsSnapMidpoint, 'midpoint'],
+            [this.elements.settingsSnapEdge, 'edge'],
+            [this.elements.settingsSnapIntersection, 'intersection'],
+            [this.elements.settingsSnapGrid, 'grid'],
+            [this.elements.settingsSnapGridSize, 'gridSize']
+        ];
+    }
+
     renderSettings() {
         // Set current font size
         if (this.elements.settingsFontSize) {
@@ -1519,6 +3001,17 @@ class UIManager {
             this.elements.settingsFontSize.value = currentSize;
         }
 
+        const snapshotSettings = this.dataManager.snapshots.getSettings();
+        this.elements.settingsSnapshotInterval.value = snapshotSettings.intervalMinutes;
+        this.elements.settingsSnapshotMaxCount.value = snapshotSettings.maxCount;
+        this.elements.settingsSnapshotMaxAge.value = snapshotSettings.maxAgeDays;
+
+        const snapSettings = this.canvasManager.getSnapSettings();
+        this.getSnapSettingInputs().forEach(([input, key]) => {
+            if (key === 'gridSize') input.value = snapSettings.gridSize;
+            else input.checked = snapSettings[key];
+        });
+
         this.renderSettingsList(
             this.elements.settingsDisciplinesList,  
             this.dataManager.getState().disciplines,
@@ -1529,6 +3022,140 @@ class UIManager {
             this.dataManager.getState().statuses,
             'status'
         );
+        this.renderSheetTemplateList();
+    }
+
+    renderSheetTemplateList() {
+        const container = this.elements.settingsSheetTemplatesList;
+        container.innerHTML = '';
+
+        this.dataManager.getSheetTemplates().forEach(template => {
+            const div = document.createElement('div');
+            div.className = 'settings-item';
+
+            const name = document.createElement('span');
+            name.className = 'sheet-template-item-name';
+            name.textContent = `${template.name} (${template.paperSize})`;
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn-icon-small';
+            editBtn.title = this.t('editSheetTemplate');
+            editBtn.innerHTML = '<span class="material-icons" style="font-size: 18px;">edit</span>';
+            editBtn.onclick = () => this.openSheetTemplateEditor(template);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'btn-text';
+            deleteBtn.innerHTML = '×';
+            deleteBtn.style.color = 'var(--danger-color)';
+            deleteBtn.style.fontSize = '1.5rem';
+            deleteBtn.onclick = () => {
+                if (confirm(this.t('confirmDeleteSheetTemplate', { name: template.name }))) {
+                    this.dataManager.removeSheetTemplate(template.id);
+                    this.renderSheetTemplateList();
+                }
+            };
+
+            div.appendChild(name);
+            div.appendChild(editBtn);
+            div.appendChild(deleteBtn);
+            container.appendChild(div);
+        });
+    }
+
+    /**
+     * Edit a sheet template, or create one when `template` is null.
+     * The logo is downscaled to a PNG in the blob store, the template keeps its hash.
+     */
+    openSheetTemplateEditor(template) {
+        const el = this.elements;
+        const values = { ...DEFAULT_SHEET_TEMPLATE, name: this.t('newSheetTemplate'), ...template };
+        let logoRef = values.logoRef;
+        let previewUrl = null;
+
+        const showLogo = async () => {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            previewUrl = null;
+            const blob = logoRef ? await db.loadBlob(logoRef) : null;
+            if (blob) previewUrl = URL.createObjectURL(blob);
+            el.sheetTemplateLogoPreview.src = previewUrl || '';
+            el.sheetTemplateLogoPreview.classList.toggle('hidden', !previewUrl);
+            el.btnRemoveSheetTemplateLogo.classList.toggle('hidden', !previewUrl);
+        };
+
+        el.sheetTemplateName.value = values.name;
+        el.sheetTemplatePaper.value = values.paperSize;
+        el.sheetTemplateOrientation.value = values.orientation;
+        el.sheetTemplateMargin.value = values.margin;
+        el.sheetTemplateTitleBlock.checked = values.titleBlock;
+        el.sheetTemplateRevision.value = values.revision;
+        el.sheetTemplateAuthor.value = values.author;
+        el.sheetTemplateCompany.value = values.company;
+        el.sheetTemplateLogo.value = '';
+        el.sheetTemplateNorthArrow.checked = values.northArrow;
+        el.sheetTemplateNorthAngle.value = values.northAngle;
+        el.sheetTemplateScaleBar.checked = values.scaleBar;
+        showLogo();
+
+        const close = () => {
+            if (previewUrl) URL.revokeObjectURL(previewUrl);
+            previewUrl = null;
+            el.sheetTemplateModal.classList.add('hidden');
+            el.btnSaveSheetTemplate.onclick = null;
+            el.btnCancelSheetTemplate.onclick = null;
+            el.closeSheetTemplateModalBtn.onclick = null;
+            el.sheetTemplateLogo.onchange = null;
+            el.btnRemoveSheetTemplateLogo.onclick = null;
+        };
+
+        el.sheetTemplateLogo.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const url = URL.createObjectURL(file);
+            const img = new Image();
+            img.onload = async () => {
+                URL.revokeObjectURL(url);
+                const ratio = Math.min(1, 600 / Math.max(img.width, img.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.max(1, Math.round(img.width * ratio));
+                canvas.height = Math.max(1, Math.round(img.height * ratio));
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                const blob = await new Promise(resolve => canvas.toBlob(resolve, FILE_TYPES.png));
+                if (!blob) return;
+                logoRef = await db.saveBlob(blob);
+                showLogo();
+            };
+            img.onerror = () => URL.revokeObjectURL(url);
+            img.src = url;
+        };
+        el.btnRemoveSheetTemplateLogo.onclick = () => {
+            logoRef = null;
+            el.sheetTemplateLogo.value = '';
+            showLogo();
+        };
+
+        el.btnSaveSheetTemplate.onclick = () => {
+            this.dataManager.saveSheetTemplate({
+                id: template ? template.id : generateUUID(),
+                name: el.sheetTemplateName.value.trim() || this.t('newSheetTemplate'),
+                paperSize: el.sheetTemplatePaper.value,
+                orientation: el.sheetTemplateOrientation.value,
+                margin: Math.max(0, parseFloat(el.sheetTemplateMargin.value) || 0),
+                titleBlock: el.sheetTemplateTitleBlock.checked,
+                revision: el.sheetTemplateRevision.value.trim(),
+                author: el.sheetTemplateAuthor.value.trim(),
+                company: el.sheetTemplateCompany.value.trim(),
+                logoRef: logoRef,
+                northArrow: el.sheetTemplateNorthArrow.checked,
+                northAngle: parseFloat(el.sheetTemplateNorthAngle.value) || 0,
+                scaleBar: el.sheetTemplateScaleBar.checked
+            });
+            close();
+            this.renderSheetTemplateList();
+        };
+        el.btnCancelSheetTemplate.onclick = close;
+        el.closeSheetTemplateModalBtn.onclick = close;
+
+        el.sheetTemplateModal.classList.remove('hidden');
     }
 
     renderSettingsList(container, items, type) {
@@ -1587,7 +3214,126 @@ class UIManager {
                 const safeName = projectInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
                 this.elements.exportFilename.value = safeName || 'zone_planner-export';
             }
+            this.renderExportTemplateOptions();
+            this.renderExportLayoutList();
+            this.updateExportFormat();
+        }
+    }
+
+    // Show the options of the chosen format, sheet templates and batches are PDF only
+    updateExportFormat() {
+        const format = this.elements.exportFormat.value;
+        this.elements.exportExtension.textContent = `.${format}`;
+        this.elements.exportPdfOptions.classList.toggle('hidden', format !== 'pdf');
+        this.elements.exportBatchGroup.classList.toggle('hidden', format !== 'pdf');
+        this.elements.exportQualityOptions.classList.toggle('hidden', format === 'png' || format === 'dxf');
+        this.elements.exportImageOptions.classList.toggle('hidden', format === 'pdf' || format === 'dxf');
+        this.elements.exportDpiGroup.classList.toggle('hidden', format !== 'png');
+    }
+
+    confirmImageExport(format, quality, filename) {
+        const crop = this.elements.exportCrop.value;
+        if (crop === 'selection' && this.canvasManager.selectedZoneIds.size === 0) {
+            alert(this.t('alertExportNoSelection'));
+            return;
+        }
+
+        if (format === 'svg') {
+            this.closeExportModal();
+            this.canvasManager.exportSvg(crop, quality, filename);
+            return;
+        }
+
+        const dpi = parseInt(this.elements.exportDpi.value, 10);
+        if (isNaN(dpi) || dpi < 36 || dpi > 1200) {
+            alert(this.t('alertExportDpi'));
+            return;
+        }
+        this.closeExportModal();
+        this.canvasManager.exportPng(crop, dpi, filename);
+    }
+
+    renderExportTemplateOptions() {
+        const select = this.elements.exportTemplate;
+        select.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = this.t('sheetTemplateNone');
+        select.appendChild(none);
+
+        this.dataManager.getSheetTemplates().forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = `${template.name} (${template.paperSize})`;
+            select.appendChild(option);
+        });
+        // Keep the template picked last time, if it still exists
+        select.value = this.lastExportTemplateId || '';
+        if (select.value !== (this.lastExportTemplateId || '')) select.value = '';
+    }
+
+    // Batch export choices: every layout with a background, weeks from the current week filter
+    renderExportLayoutList() {
+        const state = this.dataManager.getState();
+        const list = this.elements.exportLayoutList;
+        list.innerHTML = '';
+
+        state.layouts.forEach(layout => {
+            const hasBackground = !!(layout.backgroundRef || layout.backgroundImage);
+            const item = document.createElement('label');
+            item.className = 'export-layout-item';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = layout.id;
+            checkbox.checked = hasBackground;
+            checkbox.disabled = !hasBackground;
+
+            const name = document.createElement('span');
+            name.textContent = hasBackground ? layout.name : `${layout.name} (${this.t('exportNoBackground')})`;
+
+            item.appendChild(checkbox);
+            item.appendChild(name);
+            list.appendChild(item);
+        });
+
+        const weeks = (state.filters.weeks || []).map(w => parseInt(w, 10)).filter(w => !isNaN(w));
+        const currentWeek = getWeekNumber(new Date());
+        this.elements.exportWeekFrom.value = weeks.length > 0 ? Math.min(...weeks) : currentWeek;
+        this.elements.exportWeekTo.value = weeks.length > 0 ? Math.max(...weeks) : currentWeek;
+    }
+
+    confirmBatchExport(quality, filename, template, zoneTable) {
+        const layoutIds = Array.from(this.elements.exportLayoutList.querySelectorAll('input:checked')).map(cb => cb.value);
+        if (layoutIds.length === 0) {
+            alert(this.t('alertExportNoLayouts'));
+            return;
+        }
+
+        let weeks = null;
+        if (this.elements.exportPerWeek.checked) {
+            const from = parseInt(this.elements.exportWeekFrom.value, 10);
+            const to = parseInt(this.elements.exportWeekTo.value, 10);
+            if (isNaN(from) || isNaN(to) || from < 1 || from > 53 || to < 1 || to > 53) {
+                alert(this.t('alertExportWeekRange'));
+                return;
+            }
+            weeks = [];
+            if (from <= to) {
+                for (let week = from; week <= to; week++) weeks.push(week);
+            } else {
+                // Range over New Year, e.g. 50-2: the start year is last year while in its tail weeks
+                const now = new Date();
+                const currentWeek = getWeekNumber(now);
+                const startYear = currentWeek <= to && currentWeek < from ? now.getFullYear() - 1 : now.getFullYear();
+                const lastWeek = getWeekNumber(new Date(startYear, 11, 28));
+                for (let week = from; week <= lastWeek; week++) weeks.push(week);
+                for (let week = 1; week <= to; week++) weeks.push(week);
+            }
         }
+
+        this.closeExportModal();
+        this.canvasManager.exportPdfBatch(layoutIds, weeks, quality, filename, template, zoneTable);
     }
 
     closeExportModal() {
@@ -1623,10 +3369,8 @@ class UIManager {
     addLayoutTab() {
         const tabName = prompt(this.t('nameNewLayout'));
         if (tabName) {
-            const tabId = 'layout_' + generateUUID();
-            
             // Add to data manager
-            this.dataManager.addLayoutTab({ id: tabId, name: tabName });
+            this.dataManager.addLayout(tabName);
             
             // Refresh tabs
             this.renderLayoutTabs();
@@ -1685,6 +3429,23 @@ class UIManager {
         });
     }
 
+    dismissActivityWarning(zoneId, index) {
+        const zone = this.dataManager.getZone(zoneId);
+        if (!zone || !zone.customData._activityWarnings) return;
+
+        const newCustomData = { ...zone.customData };
+        const warnings = newCustomData._activityWarnings.filter((_, i) => i !== index);
+        if (warnings.length > 0) {
+            newCustomData._activityWarnings = warnings;
+        } else {
+            delete newCustomData._activityWarnings;
+        }
+        const updatedZone = { ...zone, customData: newCustomData };
+        this.dataManager.updateZone(updatedZone);
+        this.renderConnectedActivities(updatedZone);
+        if (this.canvasManager) this.canvasManager.draw();
+    }
+
     disconnectActivity(index) {
         const zoneId = this.elements.metaId.value;
         const zone = this.dataManager.getZone(zoneId);
@@ -1707,8 +3468,9 @@ class UIManager {
                 delete newCustomData._endDate;
             }
 
+            let removed = null;
             if (index >= 0 && index < connectedActivities.length) {
-                connectedActivities.splice(index, 1);
+                removed = connectedActivities.splice(index, 1)[0];
             }
             
             newCustomData._connectedActivities = connectedActivities;
@@ -1732,7 +3494,9 @@ class UIManager {
                 updates.endDate = maxEnd;
             }
             
+            this.dataManager.beginBatch('histDisconnectActivity', { name: removed ? removed.title : '' });
             this.dataManager.updateZone({ ...zone, ...updates });
+            this.dataManager.endBatch();
             this.selectZone(zoneId); // Refresh UI
         }
     }
@@ -1909,6 +3673,12 @@ class UIManager {
         const state = this.dataManager.getState();
         const filters = state.filters;
 
+        // Keep the inputs in line with the state, e.g. after undo. Not while the user is typing.
+        if (this.elements.filterText && document.activeElement !== this.elements.filterText) {
+            this.elements.filterText.value = filters.text || '';
+        }
+        if (this.elements.filterShowHidden) this.elements.filterShowHidden.checked = !!filters.showHidden;
+
         // Render Disciplines
         this.elements.filterDisciplinesList.innerHTML = '';
         state.disciplines.forEach(d => {
@@ -80,13 +80,95 @@ function getWeekDayString(dateString) {
     return `W${weekNo}d${dayNum}`;
 }
 
+/**
+ * Outline of a zone in drawing coordinates, with the rotation of symbols applied.
+ * Ellipses are approximated with `segments` points. Lines and arrows have no outline.
+ * @returns {Array<{x: number, y: number}>|null}
+ */
+function getZonePolygon(zone, segments = 64) {
+    if (zone.points && zone.points.length >= 3) {
+        return zone.points.map(p => ({ x: p.x, y: p.y }));
+    }
+    if (zone.width === undefined || zone.height === undefined) return null;
+
+    const cx = zone.x + zone.width / 2;
+    const cy = zone.y + zone.height / 2;
+    let points;
+    if (zone.type === 'ellipse') {
+        points = [];
+        for (let i = 0; i < segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push({ x: cx + Math.cos(angle) * zone.width / 2, y: cy + Math.sin(angle) * zone.height / 2 });
+        }
+    } else {
+        points = [
+            { x: zone.x, y: zone.y },
+            { x: zone.x + zone.width, y: zone.y },
+            { x: zone.x + zone.width, y: zone.y + zone.height },
+            { x: zone.x, y: zone.y + zone.height }
+        ];
+    }
+
+    if (!zone.rotation) return points;
+    const angle = zone.rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return points.map(p => ({
+        x: cx + (p.x - cx) * cos - (p.y - cy) * sin,
+        y: cy + (p.x - cx) * sin + (p.y - cy) * cos
+    }));
+}
+
+// Shoelace formula, in the units of the points squared
+function polygonArea(points) {
+    if (!points || points.length < 3) return 0;
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const p1 = points[i];
+        const p2 = points[(i + 1) % points.length];
+        area += p1.x * p2.y - p2.x * p1.y;
+    }
+    return Math.abs(area / 2);
+}
+
+/**
+ * Area of a zone in m², null for zones without an outline.
+ * @param {number} calibrationScale - Pixels per meter of the zone's layout
+ */
+function getZoneAreaMeters(zone, calibrationScale) {
+    const scale = calibrationScale || 50;
+    if (zone.type === 'ellipse') {
+        return (Math.PI * Math.abs(zone.width / 2) * Math.abs(zone.height / 2)) / (scale * scale);
+    }
+    const polygon = getZonePolygon(zone);
+    return polygon ? polygonArea(polygon) / (scale * scale) : null;
+}
+
+// Drawing snaps of a project (projectSettings.snap), see snap-engine.js
+const DEFAULT_SNAP_SETTINGS = {
+    enabled: true,
+    vertex: true,
+    midpoint: true,
+    edge: true,
+    intersection: true,
+    grid: false,
+    gridSize: 1 // Meters
+};
+
 /**
  * Simple IndexedDB Wrapper
  * Allows storing large objects (blobs, files, large strings) that exceed localStorage limits.
  */
 const DB_NAME = 'ZonePlannerDB';
-const DB_VERSION = 1;
+const DB_VERSION = 5;
 const STORE_NAME = 'projects';
+const BLOB_STORE_NAME = 'blobs'; // Backgrounds and PDFs, keyed by content hash
+const LIBRARY_STORE_NAME = 'library'; // Project metadata (name, thumbnail...), keyed by project id
+const SNAPSHOT_STORE_NAME = 'snapshots'; // Snapshot metadata, keyed by snapshot id
+const BLOB_META_STORE_NAME = 'blobMeta'; // { saved } time of the last save of each blob, keyed by content hash
+
+// Blobs saved this recently are never collected, in any tab, see DataManager.collectUnusedBlobs
+const BLOB_GRACE_MS = 60 * 60 * 1000;
 
 const db = {
     open: () => {
@@ -102,16 +184,28 @@ const db = {
                 if (!db.objectStoreNames.contains(STORE_NAME)) {
                     db.createObjectStore(STORE_NAME);
                 }
+                if (!db.objectStoreNames.contains(BLOB_STORE_NAME)) {
+                    db.createObjectStore(BLOB_STORE_NAME);
+                }
+                if (!db.objectStoreNames.contains(LIBRARY_STORE_NAME)) {
+                    db.createObjectStore(LIBRARY_STORE_NAME);
+                }
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE_NAME)) {
+                    db.createObjectStore(SNAPSHOT_STORE_NAME);
+                }
+                if (!db.objectStoreNames.contains(BLOB_META_STORE_NAME)) {
+                    db.createObjectStore(BLOB_META_STORE_NAME);
+                }
             };
         });
     },
 
-    save: async (key, data) => {
+    save: async (key, data, storeName = STORE_NAME) => {
         try {
             const database = await db.open();
             return new Promise((resolve, reject) => {
-                const transaction = database.transaction([STORE_NAME], 'readwrite');
-                const store = transaction.objectStore(STORE_NAME);
+                const transaction = database.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
                 const request = store.put(data, key);
 
                 request.onsuccess = () => resolve();
@@ -123,12 +217,12 @@ const db = {
         }
     },
 
-    load: async (key) => {
+    load: async (key, storeName = STORE_NAME) => {
         try {
             const database = await db.open();
             return new Promise((resolve, reject) => {
-                const transaction = database.transaction([STORE_NAME], 'readonly');
-                const store = transaction.objectStore(STORE_NAME);
+                const transaction = database.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
                 const request = store.get(key);
 
                 request.onsuccess = () => resolve(request.result);
@@ -138,5 +232,257 @@ const db = {
             console.error("DB Load Error:", e);
             throw e;
         }
+    },
+
+    delete: async (key, storeName = STORE_NAME) => {
+        try {
+            const database = await db.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction([storeName], 'readwrite');
+                const store = transaction.objectStore(storeName);
+                const request = store.delete(key);
+
+                request.onsuccess = () => resolve();
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } catch (e) {
+            console.error("DB Delete Error:", e);
+            throw e;
+        }
+    },
+
+    getAll: async (storeName = STORE_NAME) => {
+        try {
+            const database = await db.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction([storeName], 'readonly');
+                const store = transaction.objectStore(storeName);
+                const request = store.getAll();
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } catch (e) {
+            console.error("DB GetAll Error:", e);
+            throw e;
+        }
+    },
+
+    // Stores a blob under its content hash and returns the hash.
+    // Identical files (e.g. the same PDF on several layouts) are only stored once.
+    // The save time is stored with it, so a blob that is not referenced yet survives a cleanup.
+    saveBlob: async (blob) => {
+        try {
+            const hash = await hashBlob(blob);
+            const database = await db.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction([BLOB_STORE_NAME, BLOB_META_STORE_NAME], 'readwrite');
+                transaction.objectStore(BLOB_STORE_NAME).put(blob, hash);
+                transaction.objectStore(BLOB_META_STORE_NAME).put({ saved: Date.now() }, hash);
+
+                transaction.oncomplete = () => resolve(hash);
+                transaction.onerror = (e) => reject(e.target.error);
+            });
+        } catch (e) {
+            console.error("DB Blob Save Error:", e);
+            throw e;
+        }
+    },
+
+    /**
+     * Delete the blobs that are not in `keep` and were saved before `savedBefore`. Runs in one
+     * transaction with the save times, so a saveBlob from another tab either lands first and
+     * keeps its blob, or runs after the delete and stores it again.
+     * Blobs saved before save times were kept have none and count as old.
+     * @returns {Promise<number>} number of deleted blobs
+     */
+    deleteUnusedBlobs: async (keep, savedBefore) => {
+        try {
+            const database = await db.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction([BLOB_STORE_NAME, BLOB_META_STORE_NAME], 'readwrite');
+                const blobs = transaction.objectStore(BLOB_STORE_NAME);
+                const metas = transaction.objectStore(BLOB_META_STORE_NAME);
+                let deleted = 0;
+
+                const keysRequest = blobs.getAllKeys();
+                keysRequest.onsuccess = () => {
+                    keysRequest.result.filter(hash => !keep.has(hash)).forEach(hash => {
+                        const metaRequest = metas.get(hash);
+                        metaRequest.onsuccess = () => {
+                            if (metaRequest.result && metaRequest.result.saved >= savedBefore) return;
+                            blobs.delete(hash);
+                            metas.delete(hash);
+                            deleted++;
+                        };
+                    });
+                };
+
+                transaction.oncomplete = () => resolve(deleted);
+                transaction.onerror = (e) => reject(e.target.error);
+            });
+        } catch (e) {
+            console.error("DB Blob Cleanup Error:", e);
+            throw e;
+        }
+    },
+
+    loadBlob: async (hash) => {
+        try {
+            const database = await db.open();
+            return new Promise((resolve, reject) => {
+                const transaction = database.transaction([BLOB_STORE_NAME], 'readonly');
+                const store = transaction.objectStore(BLOB_STORE_NAME);
+                const request = store.get(hash);
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } catch (e) {
+            console.error("DB Blob Load Error:", e);
+            throw e;
+        }
+    }
+};
+
+// Blob store hashes a project state refers to: backgrounds, their PDF and DXF sources and template logos
+function getStateBlobRefs(state) {
+    const refs = new Set();
+    const add = (ref) => {
+        if (typeof ref === 'string' && ref) refs.add(ref);
+    };
+    (Array.isArray(state.layouts) ? state.layouts : []).forEach(layout => {
+        if (!layout || typeof layout !== 'object') return;
+        add(layout.backgroundRef);
+        if (layout.backgroundPdf) add(layout.backgroundPdf.key);
+        if (layout.backgroundDxf) add(layout.backgroundDxf.key);
+    });
+    const templates = state.projectSettings && state.projectSettings.sheetTemplates;
+    (Array.isArray(templates) ? templates : []).forEach(template => {
+        if (template && typeof template === 'object') add(template.logoRef);
+    });
+    return refs;
+}
+
+// SHA-256 of the blob contents as hex. crypto.subtle is missing outside
+// secure contexts (plain http on a LAN), sha256Hex computes the same hash there.
+async function hashBlob(blob) {
+    const buffer = await blob.arrayBuffer();
+    if (window.crypto && window.crypto.subtle) {
+        const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return sha256Hex(new Uint8Array(buffer));
+}
+
+const SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// SHA-256 (FIPS 180-4) of a byte array as hex, for when crypto.subtle is not available
+function sha256Hex(bytes) {
+    // Padding: a 1 bit, zeros, then the length in bits as a 64 bit big endian number
+    const length = bytes.length;
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+    padded.set(bytes);
+    padded[length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, Math.floor(length / 0x20000000));
+    view.setUint32(padded.length - 4, (length << 3) >>> 0);
+
+    const hash = new Uint32Array([0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19]);
+    const w = new Uint32Array(64);
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const t1 = h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i];
+            const t2 = (rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c));
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) >>> 0;
+        }
+        hash[0] += a;
+        hash[1] += b;
+        hash[2] += c;
+        hash[3] += d;
+        hash[4] += e;
+        hash[5] += f;
+        hash[6] += g;
+        hash[7] += h;
+    }
+    return Array.from(hash).map(x => x.toString(16).padStart(8, '0')).join('');
+}
+
+// FNV-1a of a string, short and stable but not collision safe
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
     }
+    return (hash >>> 0).toString(36);
+}
+
+function dataUrlToBlob(dataUrl) {
+    const [header, data] = dataUrl.split(',');
+    const mime = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+    if (header.includes(';base64')) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type: mime });
+    }
+    return new Blob([decodeURIComponent(data)], { type: mime });
+}
+
+const FILE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    dxf: 'application/dxf',
+    geojson: 'application/geo+json'
 };
+
+function getFileExtension(mimeType) {
+    const entry = Object.entries(FILE_TYPES).find(([, type]) => type === mimeType);
+    return entry ? entry[0] : 'bin';
+}
+
+function getMimeType(path) {
+    const ext = path.split('.').pop().toLowerCase();
+    return FILE_TYPES[ext === 'jpeg' ? 'jpg' : ext] || 'application/octet-stream';
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
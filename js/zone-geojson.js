@@ -0,0 +1,248 @@
+/**
+ * Zone GeoJSON
+ * Zones of a layout as a GeoJSON FeatureCollection for analysis in QGIS or Python, and back.
+ * Coordinates are meters from the layout origin (see CanvasManager origin tool), x east and
+ * y north. Ellipses and rotated rectangles are exported as their outline.
+ * On import, features whose id matches a zone of the layout update its attributes like the
+ * zone sheet does (geometry is kept), other polygons become new zones.
+ */
+
+const GEOJSON_ZONE_TYPES = ['rect', 'draw-rect', 'ellipse', 'polygon', 'cloud'];
+
+// Carried by the geometry, not exported as properties
+const GEOJSON_GEOMETRY_FIELDS = ['x', 'y', 'width', 'height', 'rotation', 'points', 'x2', 'y2'];
+
+// Properties written back to existing zones, activities and area are derived
+const GEOJSON_EDITABLE_FIELDS = ['name', 'discipline', 'status', 'startDate', 'endDate', 'contact', 'comments'];
+
+// Canvas point that is 0,0 in the exported coordinates, the top left of the background by default
+function getLayoutOrigin(layout) {
+    return layout.origin || { x: 0, y: 0 };
+}
+
+// [x, y] (an optional altitude is ignored) with finite numbers
+function isPosition(position) {
+    return Array.isArray(position) && position.length >= 2 &&
+        typeof position[0] === 'number' && Number.isFinite(position[0]) &&
+        typeof position[1] === 'number' && Number.isFinite(position[1]);
+}
+
+// Shoelace formula, positive for counterclockwise rings in y-up coordinates
+function signedRingArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        sum += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    return sum / 2;
+}
+
+/**
+ * @param {Object} layout - Layout with zones, calibrationScale and origin
+ * @param {Object} state - Project state (disciplines, statuses)
+ * @param {Function} t - Translate function of the current language
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function buildZoneGeoJson(layout, state, t) {
+    const scale = layout.calibrationScale || 50; // Default 50px/m
+    const origin = getLayoutOrigin(layout);
+    const round = (value) => Math.round(value * 1000) / 1000; // Millimeters
+    const nameOf = (items, id) => {
+        const item = items.find(i => i.id === id);
+        return item ? t(item.name) : '';
+    };
+
+    const features = [];
+    layout.zones.filter(zone => GEOJSON_ZONE_TYPES.includes(zone.type || 'rect')).forEach(zone => {
+        const polygon = getZonePolygon(zone, 32);
+        if (!polygon || polygon.length < 3) return;
+
+        // Right-hand rule (counterclockwise outer ring), y points up after conversion
+        let ring = polygon.map(p => [round((p.x - origin.x) / scale), round((origin.y - p.y) / scale)]);
+        if (signedRingArea(ring) < 0) ring.reverse();
+        ring = [...ring, ring[0]];
+
+        const properties = {};
+        Object.keys(zone).forEach(key => {
+            if (!GEOJSON_GEOMETRY_FIELDS.includes(key) && key !== 'customData') properties[key] = zone[key];
+        });
+        const customData = { ...(zone.customData || {}) };
+        const activities = customData._connectedActivities || [];
+        delete customData._connectedActivities;
+        const area = getZoneAreaMeters(zone, scale);
+
+        Object.assign(properties, {
+            type: zone.type || 'rect',
+            disciplineName: nameOf(state.disciplines, zone.discipline),
+            statusName: nameOf(state.statuses, zone.status),
+            area: area === null ? null : Math.round(area * 100) / 100,
+            customData,
+            activities: activities.map(a => ({ ...a }))
+        });
+
+        features.push({
+            type: 'Feature',
+            id: zone.id,
+            geometry: { type: 'Polygon', coordinates: [ring] },
+            properties
+        });
+    });
+
+    return {
+        type: 'FeatureCollection',
+        name: layout.name,
+        // Foreign member: how to place the coordinates back on the plan
+        zonePlanner: { layout: layout.name, units: 'm', calibrationScale: scale, origin },
+        features
+    };
+}
+
+/**
+ * Apply a GeoJSON file to a layout: attribute updates for known zone ids, new polygon zones
+ * for the other (Multi)Polygon features.
+ * @param {Object} state - Project state
+ * @param {string} layoutId - Layout to update and add zones to
+ * @param {Object} geojson - Parsed FeatureCollection or Feature
+ * @param {Function} t - Translate function, for the default zone name
+ * @returns {{layouts: Array, added: number, updated: number, skipped: number, invalid: Array<{zone, column, value}>}}
+ *          layouts is state.layouts with the layout replaced
+ */
+function applyZoneGeoJson(state, layoutId, geojson, t) {
+    let features;
+    if (geojson && geojson.type === 'FeatureCollection' && Array.isArray(geojson.features)) features = geojson.features;
+    else if (geojson && geojson.type === 'Feature') features = [geojson];
+    else throw new Error('Not a GeoJSON FeatureCollection');
+
+    const layout = state.layouts.find(l => l.id === layoutId);
+    const scale = layout.calibrationScale || 50;
+    const origin = getLayoutOrigin(layout);
+    const toCanvas = ([x, y]) => ({ x: origin.x + x * scale, y: origin.y - y * scale });
+
+    const invalid = [];
+    /**
+     * Editable values of a feature, only the properties that are present.
+     * Categories are exported as id (discipline) and name (disciplineName). The name wins
+     * when it names another category than the zone has (or the id, for new zones), so an
+     * analyst can edit either column.
+     */
+    const readValues = (properties, zoneName, zone = null) => {
+        const values = {};
+        GEOJSON_EDITABLE_FIELDS.forEach(field => {
+            let value = properties[field];
+            if (field === 'discipline' || field === 'status') {
+                const items = field === 'discipline' ? state.disciplines : state.statuses;
+                const name = properties[field + 'Name'];
+                if (value === undefined || value === null) {
+                    value = name;
+                } else if (name !== undefined && name !== null) {
+                    const nameText = sheetCellText(name);
+                    const nameId = nameText ? resolveSheetCategory(items, nameText) : '';
+                    const current = zone ? (zone[field] || '') : resolveSheetCategory(items, sheetCellText(value));
+                    // A blank name only clears the category of an existing zone
+                    if (nameId !== current && (nameText || zone)) value = name;
+                }
+            }
+            if (value === undefined || value === null) return;
+
+            const text = sheetCellText(value);
+            if (field === 'discipline' || field === 'status') {
+                if (!text) {
+                    // A zone always has a status, only the discipline can be cleared
+                    if (field === 'discipline') values.discipline = '';
+                    return;
+                }
+                const id = resolveSheetCategory(field === 'discipline' ? state.disciplines : state.statuses, text);
+                if (id === null) invalid.push({ zone: zoneName, column: field, value: text });
+                else values[field] = id;
+            } else if (field === 'startDate' || field === 'endDate') {
+                const date = parseSheetDate(value);
+                if (date === null) invalid.push({ zone: zoneName, column: field, value: text });
+                else values[field] = date;
+            } else {
+                values[field] = text;
+            }
+        });
+        return values;
+    };
+    const readCustomData = (properties) => {
+        let source = properties.customData;
+        // Some tools save nested properties as JSON text
+        if (typeof source === 'string') {
+            try {
+                source = JSON.parse(source);
+            } catch (e) {
+                source = null;
+            }
+        }
+        const customData = source && typeof source === 'object' && !Array.isArray(source) ? { ...source } : {};
+        delete customData._connectedActivities; // Links come from the schedule
+        return customData;
+    };
+
+    const zonesById = new Map(layout.zones.map(zone => [zone.id, zone]));
+    const updates = new Map();
+    const newZones = [];
+    let skipped = 0;
+
+    features.forEach(feature => {
+        const properties = (feature && feature.properties) || {};
+        const id = feature && (feature.id !== undefined ? feature.id : properties.id);
+        const zone = id !== undefined ? zonesById.get(String(id)) : null;
+
+        if (zone) {
+            const values = readValues(properties, zone.name || zone.id, zone);
+            const changed = {};
+            Object.keys(values).forEach(field => {
+                if (sheetCellText(zone[field]) !== sheetCellText(values[field])) changed[field] = values[field];
+            });
+            const customData = zone.customData || {};
+            const customUpdates = readCustomData(properties);
+            if (Object.keys(customUpdates).some(key => JSON.stringify(customData[key]) !== JSON.stringify(customUpdates[key]))) {
+                changed.customData = { ...customData, ...customUpdates };
+            }
+            if (Object.keys(changed).length > 0) updates.set(zone.id, changed);
+            return;
+        }
+
+        const geometry = feature && feature.geometry;
+        const polygons = !geometry ? []
+            : geometry.type === 'Polygon' ? [geometry.coordinates]
+            : geometry.type === 'MultiPolygon' && Array.isArray(geometry.coordinates) ? geometry.coordinates
+            : [];
+        // Outer rings only, a feature with any malformed ring is skipped as a whole
+        const rings = polygons.map(polygon => Array.isArray(polygon) ? polygon[0] : null);
+        const isRing = (ring) => Array.isArray(ring) && ring.length >= 4 && ring.every(isPosition);
+        if (rings.length === 0 || !rings.every(isRing)) {
+            skipped++;
+            return;
+        }
+
+        const values = readValues(properties, properties.name || String(id || ''));
+        rings.forEach(ring => {
+            // The closing point repeats the first
+            const points = ring.slice(0, -1).map(toCanvas);
+            const x = Math.min(...points.map(p => p.x));
+            const y = Math.min(...points.map(p => p.y));
+            newZones.push({
+                id: generateUUID(),
+                type: 'polygon',
+                points,
+                x,
+                y,
+                width: Math.max(...points.map(p => p.x)) - x,
+                height: Math.max(...points.map(p => p.y)) - y,
+                color: '#2563EB',
+                opacity: 0.5,
+                discipline: '',
+                status: 'planned',
+                comments: '',
+                ...values,
+                name: values.name || t('newPolygon'),
+                customData: readCustomData(properties)
+            });
+        });
+    });
+
+    const zones = layout.zones.map(zone => updates.has(zone.id) ? { ...zone, ...updates.get(zone.id) } : zone);
+    const layouts = state.layouts.map(l => l.id === layoutId ? { ...l, zones: [...zones, ...newZones] } : l);
+    return { layouts, added: newZones.length, updated: updates.size, skipped, invalid };
+}
@@ -0,0 +1,212 @@
+/**
+ * Zone Sheet
+ * One row per zone across all layouts, for bulk editing in Excel. On import the rows are
+ * matched to zones by ID and only the editable columns are written back. Week days, area
+ * and linked activities are derived and only exported.
+ */
+
+// Zones that carry planning data (dates, contact...), the others hide those fields in the sidebar
+const ZONE_SHEET_TYPES = ['rect', 'ellipse', 'polygon'];
+
+// Headers are translated on export and recognised in every language on import
+const ZONE_SHEET_COLUMNS = [
+    { field: 'id', labelKey: 'zoneSheetId' },
+    { field: 'layout', labelKey: 'zoneSheetLayout' },
+    { field: 'name', labelKey: 'zoneSheetName', editable: true },
+    { field: 'discipline', labelKey: 'discipline', editable: true },
+    { field: 'status', labelKey: 'status', editable: true },
+    { field: 'startDate', labelKey: 'startDate', editable: true },
+    { field: 'endDate', labelKey: 'endDate', editable: true },
+    { field: 'startWeekDay', labelKey: 'zoneSheetStartWeekDay' },
+    { field: 'endWeekDay', labelKey: 'zoneSheetEndWeekDay' },
+    { field: 'area', labelKey: 'zoneSheetArea' },
+    { field: 'contact', labelKey: 'contactPerson', editable: true },
+    { field: 'comments', labelKey: 'comments', editable: true },
+    { field: 'activities', labelKey: 'zoneSheetActivities' }
+];
+
+function sheetCellText(value) {
+    return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Discipline or status for an imported cell. Categories are exported by name, so ids and
+ * names in every language are accepted.
+ * @returns {string|null} id, null if nothing matches
+ */
+function resolveSheetCategory(items, value) {
+    const lower = String(value).trim().toLowerCase();
+    const item = items.find(i =>
+        i.id.toLowerCase() === lower ||
+        String(i.name).toLowerCase() === lower ||
+        Object.keys(TRANSLATIONS).some(lang => String(TRANSLATIONS[lang][i.name] || '').toLowerCase() === lower));
+    return item ? item.id : null;
+}
+
+/**
+ * Dates typed or reformatted in Excel come back as serial numbers, text must be ISO.
+ * Local formats are refused rather than guessed: "03/04/2026" is March in the US and
+ * April here.
+ * @returns {string|null} 'YYYY-MM-DD', '' for an empty cell, null if the value is not a date
+ */
+function parseSheetDate(value) {
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return null;
+        return new Date(Math.round((value - 25569) * 86400 * 1000)).toISOString().split('T')[0];
+    }
+    const text = String(value).trim();
+    if (text === '') return '';
+    // A time part (2026-04-03T08:00) is dropped
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/);
+    if (!match) return null;
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+    // Rejects days that do not exist, like 2026-02-30
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+/**
+ * @param {Object} state - Project state
+ * @param {Function} t - Translate function of the current language
+ * @returns {Array<Array>} header row and one row per zone, for XLSX.utils.aoa_to_sheet
+ */
+function buildZoneSheet(state, t) {
+    const nameOf = (items, id) => {
+        const item = items.find(i => i.id === id);
+        return item ? t(item.name) : (id || '');
+    };
+
+    const header = [
+        ...ZONE_SHEET_COLUMNS.map(column => t(column.labelKey)),
+        ...state.customFields.map(field => field.name)
+    ];
+
+    const rows = [header];
+    state.layouts.forEach(layout => {
+        layout.zones.filter(zone => ZONE_SHEET_TYPES.includes(zone.type || 'rect')).forEach(zone => {
+            const area = getZoneAreaMeters(zone, layout.calibrationScale);
+            const customData = zone.customData || {};
+            const values = {
+                id: zone.id,
+                layout: layout.name,
+                name: zone.name || '',
+                discipline: nameOf(state.disciplines, zone.discipline),
+                status: nameOf(state.statuses, zone.status),
+                startDate: zone.startDate || '',
+                endDate: zone.endDate || '',
+                startWeekDay: getWeekDayString(zone.startDate),
+                endWeekDay: getWeekDayString(zone.endDate),
+                area: area === null ? '' : Math.round(area * 100) / 100,
+                contact: zone.contact || '',
+                comments: zone.comments || '',
+                activities: (customData._connectedActivities || []).map(a => a.code).join(', ')
+            };
+            rows.push([
+                ...ZONE_SHEET_COLUMNS.map(column => values[column.field]),
+                ...state.customFields.map(field => customData[field.id] || '')
+            ]);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Apply an edited zone sheet to the layouts.
+ * @param {Object} state - Project state
+ * @param {Object[]} records - Sheet rows keyed by header, see DataManager.getSheetRecords
+ * @returns {{layouts: Array, updated: number, unchanged: number, notFound: string[], invalid: Array<{zone, column, value}>}}
+ *          layouts is state.layouts with the updated zones replaced
+ */
+function applyZoneSheet(state, records) {
+    // Header text -> field, in every language
+    const headerFields = new Map();
+    ZONE_SHEET_COLUMNS.forEach(column => {
+        Object.keys(TRANSLATIONS).forEach(lang => {
+            const label = TRANSLATIONS[lang][column.labelKey];
+            if (label) headerFields.set(label.toLowerCase(), column.field);
+        });
+    });
+    const customFieldByName = new Map(state.customFields.map(field => [field.name.toLowerCase(), field]));
+
+    const editsById = new Map();
+    const notFound = [];
+    const invalid = [];
+    const zoneIds = new Set();
+    state.layouts.forEach(layout => layout.zones.forEach(zone => zoneIds.add(zone.id)));
+
+    records.forEach(record => {
+        const values = {};
+        const custom = {};
+        Object.keys(record).forEach(header => {
+            const key = header.trim().toLowerCase();
+            if (headerFields.has(key)) values[headerFields.get(key)] = record[header];
+            else if (customFieldByName.has(key)) custom[customFieldByName.get(key).id] = record[header];
+        });
+
+        const id = sheetCellText(values.id);
+        if (!id) return;
+        if (!zoneIds.has(id)) {
+            notFound.push(id);
+            return;
+        }
+        editsById.set(id, { values, custom });
+    });
+
+    let updated = 0;
+    let unchanged = 0;
+    const layouts = state.layouts.map(layout => {
+        let layoutChanged = false;
+        const zones = layout.zones.map(zone => {
+            const edit = editsById.get(zone.id);
+            if (!edit) return zone;
+
+            const updates = {};
+            const setIfChanged = (field, value) => {
+                if (sheetCellText(zone[field]) !== sheetCellText(value)) updates[field] = value;
+            };
+
+            ZONE_SHEET_COLUMNS.filter(column => column.editable && column.field in edit.values).forEach(column => {
+                const raw = edit.values[column.field];
+                const text = sheetCellText(raw);
+                if (column.field === 'discipline' || column.field === 'status') {
+                    if (!text) {
+                        // A zone always has a status, only the discipline can be cleared
+                        if (column.field === 'discipline') setIfChanged('discipline', '');
+                        return;
+                    }
+                    const id = resolveSheetCategory(column.field === 'discipline' ? state.disciplines : state.statuses, text);
+                    if (id === null) invalid.push({ zone: zone.name || zone.id, column: column.labelKey, value: text });
+                    else setIfChanged(column.field, id);
+                } else if (column.field === 'startDate' || column.field === 'endDate') {
+                    const date = parseSheetDate(raw);
+                    if (date === null) invalid.push({ zone: zone.name || zone.id, column: column.labelKey, value: text });
+                    else setIfChanged(column.field, date);
+                } else {
+                    setIfChanged(column.field, text);
+                }
+            });
+
+            const customData = zone.customData || {};
+            const customUpdates = {};
+            Object.keys(edit.custom).forEach(fieldId => {
+                const text = sheetCellText(edit.custom[fieldId]);
+                if (sheetCellText(customData[fieldId]) !== text) customUpdates[fieldId] = text;
+            });
+            if (Object.keys(customUpdates).length > 0) {
+                updates.customData = { ...customData, ...customUpdates };
+            }
+
+            if (Object.keys(updates).length === 0) {
+                unchanged++;
+                return zone;
+            }
+            updated++;
+            layoutChanged = true;
+            return { ...zone, ...updates };
+        });
+        return layoutChanged ? { ...layout, zones } : layout;
+    });
+
+    return { layouts, updated, unchanged, notFound, invalid };
+}
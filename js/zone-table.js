@@ -0,0 +1,166 @@
+/**
+ * Zone Table
+ * Table of the visible zones for PDF export, as a side panel next to the plan or on pages
+ * after it. Rows follow the legend: grouped by discipline or status (by view mode) in the
+ * order of the settings, then in drawing order.
+ * Drawn through the Canvas 2D API in PDF points, see PdfContext.
+ */
+
+// Share of the page (or sheet frame) width for the side panel
+const ZONE_TABLE_PANEL_SHARE = 0.35;
+
+// width is the share of the table width
+const ZONE_TABLE_COLUMNS = [
+    { field: 'number', labelKey: 'zoneTableNumber', width: 0.06 },
+    { field: 'name', labelKey: 'zoneSheetName', width: 0.17 },
+    { field: 'discipline', labelKey: 'discipline', width: 0.12 },
+    { field: 'status', labelKey: 'status', width: 0.12 },
+    { field: 'period', labelKey: 'zoneTablePeriod', width: 0.14 },
+    { field: 'contact', labelKey: 'contactPerson', width: 0.13 },
+    { field: 'area', labelKey: 'zoneSheetArea', width: 0.1, align: 'right' },
+    { field: 'activities', labelKey: 'zoneSheetActivities', width: 0.16 }
+];
+
+/**
+ * @param {Array} zones - Visible zones of the layout, see CanvasManager.getVisibleZones
+ * @param {Object} state - Project state
+ * @param {Object} layout - Layout the zones belong to (calibration)
+ * @param {Function} t - Translate function of the current language
+ * @returns {Array<Object>} one row per planning zone: values by field, plus disciplineColor/statusColor
+ */
+function buildZoneTable(zones, state, layout, t) {
+    // Same grouping as CanvasManager.drawLegend
+    const byDiscipline = state.viewMode === 'discipline';
+    const legendItems = byDiscipline ? state.disciplines : state.statuses;
+    const legendField = byDiscipline ? 'discipline' : 'status';
+    const legendIndex = (zone) => {
+        const index = legendItems.findIndex(item => item.id === zone[legendField]);
+        return index === -1 ? legendItems.length : index;
+    };
+
+    // Array.sort is stable, zones keep their drawing order within a group
+    const sorted = zones
+        .filter(zone => ZONE_SHEET_TYPES.includes(zone.type || 'rect'))
+        .map(zone => ({ zone, group: legendIndex(zone) }))
+        .sort((a, b) => a.group - b.group)
+        .map(entry => entry.zone);
+
+    return sorted.map((zone, index) => {
+        const discipline = state.disciplines.find(d => d.id === zone.discipline);
+        const status = state.statuses.find(s => s.id === zone.status);
+        const start = getWeekDayString(zone.startDate || zone.date);
+        const end = getWeekDayString(zone.endDate || zone.date);
+        const area = getZoneAreaMeters(zone, layout.calibrationScale);
+        const activities = (zone.customData && zone.customData._connectedActivities) || [];
+
+        return {
+            number: String(index + 1),
+            name: zone.name || '',
+            discipline: discipline ? t(discipline.name) : '',
+            disciplineColor: discipline ? discipline.color : null,
+            status: status ? t(status.name) : '',
+            statusColor: status ? status.color : null,
+            period: start && end && start !== end ? `${start} - ${end}` : (start || end),
+            contact: zone.contact || '',
+            area: area === null ? '' : area.toFixed(1),
+            activities: activities.map(a => a.code).join(', ')
+        };
+    });
+}
+
+// Row height in points, grows with the paper so the table reads the same on A4 and A0
+function getZoneTableRowHeight(format) {
+    return Math.max(12, Math.min(format[0], format[1]) / 48);
+}
+
+// Cut text to fit `width`, with an ellipsis
+function fitTableText(ctx, text, width) {
+    if (ctx.measureText(text).width <= width) return text;
+    let end = text.length;
+    while (end > 0 && ctx.measureText(text.slice(0, end) + '...').width > width) end--;
+    return end > 0 ? text.slice(0, end) + '...' : '';
+}
+
+/**
+ * Draw rows from `start` until the box is full.
+ * @param {CanvasRenderingContext2D|PdfContext} ctx
+ * @param {Array} rows - Result of buildZoneTable
+ * @param {Object} box - { x, y, width, height } in points
+ * @param {Object} options - { title, start, rowHeight, t }
+ * @returns {number} index of the first row that did not fit
+ */
+function drawZoneTable(ctx, rows, box, options) {
+    const { title, start = 0, t } = options;
+    const rowHeight = options.rowHeight || 16;
+    const fontSize = rowHeight * 0.55;
+    const pad = rowHeight * 0.3;
+
+    ctx.save();
+    ctx.setLineDash([]);
+    ctx.textBaseline = 'middle';
+
+    let y = box.y;
+    if (title) {
+        ctx.fillStyle = '#000000';
+        ctx.font = `bold ${rowHeight * 0.8}px Inter, sans-serif`;
+        ctx.textAlign = 'left';
+        ctx.fillText(title, box.x, y + rowHeight * 0.6);
+        y += rowHeight * 1.5;
+    }
+
+    // Header
+    ctx.fillStyle = '#F1F5F9';
+    ctx.fillRect(box.x, y, box.width, rowHeight);
+    ctx.font = `bold ${fontSize}px Inter, sans-serif`;
+    ctx.fillStyle = '#1E293B';
+    let x = box.x;
+    ZONE_TABLE_COLUMNS.forEach(column => {
+        const width = column.width * box.width;
+        ctx.textAlign = column.align || 'left';
+        const textX = column.align === 'right' ? x + width - pad : x + pad;
+        ctx.fillText(fitTableText(ctx, t(column.labelKey), width - pad * 2), textX, y + rowHeight / 2);
+        x += width;
+    });
+    y += rowHeight;
+
+    ctx.font = `${fontSize}px Inter, sans-serif`;
+    ctx.strokeStyle = '#E2E8F0';
+    ctx.lineWidth = 0.5;
+
+    let index = start;
+    while (index < rows.length && y + rowHeight <= box.y + box.height) {
+        const row = rows[index];
+        x = box.x;
+        ZONE_TABLE_COLUMNS.forEach(column => {
+            const width = column.width * box.width;
+            let textX = x + pad;
+            let available = width - pad * 2;
+
+            // Category swatch in the same color as the legend
+            const swatch = column.field === 'discipline' ? row.disciplineColor : (column.field === 'status' ? row.statusColor : null);
+            if (swatch) {
+                const size = fontSize;
+                ctx.fillStyle = swatch;
+                ctx.fillRect(textX, y + (rowHeight - size) / 2, size, size);
+                textX += size + pad / 2;
+                available -= size + pad / 2;
+            }
+
+            ctx.fillStyle = '#000000';
+            ctx.textAlign = column.align || 'left';
+            if (column.align === 'right') textX = x + width - pad;
+            ctx.fillText(fitTableText(ctx, row[column.field] || '', available), textX, y + rowHeight / 2);
+            x += width;
+        });
+
+        ctx.beginPath();
+        ctx.moveTo(box.x, y + rowHeight);
+        ctx.lineTo(box.x + box.width, y + rowHeight);
+        ctx.stroke();
+        y += rowHeight;
+        index++;
+    }
+
+    ctx.restore();
+    return index;
+}